@@ -0,0 +1,376 @@
+// adapters.js
+
+import { Klines } from './klines.js';
+
+/**
+ * @typedef PriceObject
+ * @property {number} timestamp
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ */
+
+/**
+ * @typedef HttpResponse
+ * Subset of the fetch `Response` used by the adapters.
+ * @property {number} status
+ * @property {{get: (name: string) => (string|null)}|Object} headers
+ * @property {() => Promise<any>} json
+ */
+
+/**
+ * @callback HttpClient
+ * @param {string} url
+ * @returns {Promise<HttpResponse>}
+ */
+
+/**
+ * @typedef KlineQuery
+ * @property {string} symbol - Exchange symbol, see `ExchangeAdapter.symbol`.
+ * @property {string} [interval='1m'] - Candle interval: 1m, 3m, 5m, 15m, 30m, 1h, 2h, 4h, 6h, 12h, 1d, 1w or 1M.
+ * @property {number} start - Inclusive start timestamp in ms.
+ * @property {number} [end] - Inclusive end timestamp in ms, default now.
+ */
+
+/**
+ * Reads a response header from a fetch `Headers` object or a plain object.
+ * @param {HttpResponse} response
+ * @param {string} name - Lower case header name.
+ * @returns {string|null}
+ */
+const header = (response, name) => {
+	const headers = response?.headers;
+	if (!headers) return null;
+	if (typeof headers.get === 'function') return headers.get(name);
+	const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+	return key === undefined ? null : headers[key];
+};
+
+/**
+ * Historical kline downloader of an exchange REST API. Splits a time range into paginated
+ * requests, waits when the rate-limit headers say the quota is used up and retries rate-limited
+ * or failed requests with exponential backoff. Candles are normalized with `Klines.invert`.
+ * Subclasses describe the endpoint with `url`, `parse` and `throttle`.
+ */
+export class ExchangeAdapter {
+	/**
+	 * @param {Object} [options]
+	 * @param {HttpClient} [options.client] - HTTP client, default the global `fetch`.
+	 * @param {string} [options.baseUrl] - REST endpoint, e.g. a testnet or a local stub server.
+	 * @param {number} [options.retries=5] - Retries of a failed request.
+	 * @param {number} [options.backoff=500] - First retry delay in ms, doubled on every retry.
+	 * @param {number} [options.maxBackoff=30000] - Maximum retry delay in ms.
+	 * @param {(ms: number) => Promise<void>} [options.sleep] - Delay function, replaceable in tests.
+	 * @param {() => number} [options.now] - Clock in ms, replaceable in tests.
+	 */
+	constructor({ client, baseUrl, retries = 5, backoff = 500, maxBackoff = 30000, sleep, now } = {}) {
+		/** @type {HttpClient} */
+		this.client = typeof client === 'function' ? client : (url) => fetch(url);
+		this.baseUrl = baseUrl || '';
+		this.retries = typeof retries === 'number' && retries >= 0 ? retries : 5;
+		this.backoff = typeof backoff === 'number' && backoff >= 0 ? backoff : 500;
+		this.maxBackoff = typeof maxBackoff === 'number' && maxBackoff >= 0 ? maxBackoff : 30000;
+		this.sleep = typeof sleep === 'function' ? sleep : (ms) => new Promise(resolve => setTimeout(resolve, ms));
+		this.now = typeof now === 'function' ? now : () => Date.now();
+		/** @type {number} maximum candles per request */
+		this.pageLimit = 1000;
+		/** @type {'forward'|'backward'} order in which the endpoint pages through a range */
+		this.direction = 'forward';
+		/** @type {number} timestamp before which no request is sent, set from rate-limit headers */
+		this.resumeAt = 0;
+	}
+	
+	/**
+	 * Exchange symbol of a pair.
+	 * @param {string} sym1 - Base asset, e.g. "BTC".
+	 * @param {string} sym2 - Quote asset, e.g. "USDT".
+	 * @returns {string}
+	 */
+	symbol(sym1, sym2) {
+		return `${sym1}${sym2}`.toUpperCase();
+	}
+	
+	/**
+	 * Request URL of one page.
+	 * @param {{symbol: string, interval: string, start: number, end: number, limit: number}} page
+	 * @returns {string}
+	 */
+	url(page) {
+		throw new Error(`${this.constructor.name} does not implement url`);
+	}
+	
+	/**
+	 * Reads the raw candles of a response body, throws on API errors.
+	 * @param {any} body
+	 * @returns {Array} - Raw candles in any shape supported by `Klines.invert`.
+	 */
+	parse(body) {
+		return Array.isArray(body) ? body : [];
+	}
+	
+	/**
+	 * Whether a response asks to retry later, besides HTTP 429 and 5xx.
+	 * @param {HttpResponse} response
+	 * @param {any} body
+	 * @returns {boolean}
+	 */
+	limited(response, body) {
+		return false;
+	}
+	
+	/**
+	 * Reads the rate-limit headers of a response and sets `resumeAt` when the quota is used up.
+	 * @param {HttpResponse} response
+	 */
+	throttle(response) {}
+	
+	/**
+	 * Sends a request, waiting for the rate limit and retrying with backoff.
+	 * @param {string} url
+	 * @returns {Promise<any>} - Parsed JSON body.
+	 */
+	async request(url) {
+		for (let attempt = 0; ; attempt++) {
+			const wait = this.resumeAt - this.now();
+			if (wait > 0) await this.sleep(wait);
+			
+			let response;
+			let body = null;
+			try {
+				response = await this.client(url);
+				body = await response.json().catch(() => null);
+			} catch (e) {
+				// gangguan jaringan: coba lagi dengan backoff
+				if (attempt >= this.retries) throw e;
+				await this.sleep(this.delay(attempt));
+				continue;
+			}
+			
+			this.throttle(response);
+			const status = response.status;
+			if (status === 429 || status === 418 || status >= 500 || this.limited(response, body)) {
+				if (attempt >= this.retries) throw new Error(`Request failed after ${attempt + 1} attempts with status ${status}: ${url}`);
+				const retryAfter = parseFloat(header(response, 'retry-after'));
+				await this.sleep(isFinite(retryAfter) ? retryAfter * 1000 : this.delay(attempt));
+				continue;
+			}
+			if (status >= 400) {
+				throw new Error(`Request failed with status ${status}: ${body?.msg ?? body?.retMsg ?? body?.message ?? url}`);
+			}
+			return body;
+		}
+	}
+	
+	/**
+	 * Retry delay of an attempt.
+	 * @param {number} attempt - 0 for the first retry.
+	 * @returns {number}
+	 */
+	delay(attempt) {
+		return Math.min(this.backoff * 2 ** attempt, this.maxBackoff);
+	}
+	
+	/**
+	 * Downloads every candle of a time range, page by page.
+	 * @param {KlineQuery} query
+	 * @returns {Promise<PriceObject[]>} - Candles sorted by timestamp, without duplicates.
+	 */
+	async fetchKlines({ symbol, interval = '1m', start, end } = {}) {
+		end = typeof end === 'number' ? end : this.now();
+		if (typeof start !== 'number' || !(end >= start)) return [];
+		
+		/** @type {Map<number, PriceObject>} */
+		const candles = new Map();
+		let from = start;
+		let to = end;
+		
+		while (from <= to) {
+			const body = await this.request(this.url({ symbol, interval, start: from, end: to, limit: this.pageLimit }));
+			const page = Klines.invert(this.parse(body));
+			if (!page.length) break;
+			
+			let first = Infinity;
+			let last = -Infinity;
+			for (const candle of page) {
+				first = Math.min(first, candle.timestamp);
+				last = Math.max(last, candle.timestamp);
+				if (candle.timestamp >= start && candle.timestamp <= end) candles.set(candle.timestamp, candle);
+			}
+			
+			if (page.length < this.pageLimit) break;
+			if (this.direction === 'forward') {
+				if (last < from) break; // halaman tidak maju
+				from = last + 1;
+			} else {
+				if (first > to) break;
+				to = first - 1;
+			}
+		}
+		
+		return Array.from(candles.values()).sort((a, b) => a.timestamp - b.timestamp);
+	}
+	
+	/**
+	 * Creates an `APIRequestFunction` for `CryptoTradeScenario.setAPI` that downloads the last
+	 * `limit` candles, including the candle that is still forming.
+	 * @param {string} [interval='1m']
+	 * @returns {(sym1: string, sym2: string, limit: number) => Promise<PriceObject[]>}
+	 */
+	api(interval = '1m') {
+		return async (sym1, sym2, limit) => {
+			const end = this.now();
+			const start = end - limit * Klines.duration(interval);
+			const candles = await this.fetchKlines({ symbol: this.symbol(sym1, sym2), interval, start, end });
+			return candles.slice(-limit);
+		};
+	}
+	
+	/**
+	 * Duration of an interval in ms, see `Klines.duration`.
+	 * @param {string} interval - e.g. "15m", "4h", "1d".
+	 * @returns {number}
+	 */
+	static duration(interval) {
+		return Klines.duration(interval);
+	}
+	
+	/**
+	 * Creates an adapter from its exchange name.
+	 * @param {string} name - One of the keys of `ExchangeAdapters`.
+	 * @param {Object} [options] - Options of the adapter.
+	 * @returns {ExchangeAdapter}
+	 */
+	static create(name, options = {}) {
+		const Adapter = ExchangeAdapters[String(name).toLowerCase()];
+		if (!Adapter) throw new Error(`Unknown exchange adapter ${name}`);
+		return new Adapter(options);
+	}
+}
+
+/**
+ * Binance spot klines (`/api/v3/klines`), paged forward from `startTime`.
+ * Waits for the next minute when the used request weight (`x-mbx-used-weight-1m`) reaches `weightLimit`.
+ * @extends ExchangeAdapter
+ */
+export class BinanceAdapter extends ExchangeAdapter {
+	/**
+	 * @param {Object} [options] - See `ExchangeAdapter`.
+	 * @param {number} [options.weightLimit=6000] - Request weight allowed per minute.
+	 */
+	constructor(options = {}) {
+		super({ ...options, baseUrl: options.baseUrl || 'https://api.binance.com' });
+		this.weightLimit = typeof options.weightLimit === 'number' && options.weightLimit > 0 ? options.weightLimit : 6000;
+	}
+	
+	url({ symbol, interval, start, end, limit }) {
+		return `${this.baseUrl}/api/v3/klines?symbol=${symbol}&interval=${interval}&startTime=${start}&endTime=${end}&limit=${limit}`;
+	}
+	
+	throttle(response) {
+		const used = parseFloat(header(response, 'x-mbx-used-weight-1m'));
+		// sisakan ruang untuk bobot satu request berikutnya
+		if (used >= this.weightLimit * 0.95) {
+			this.resumeAt = (Math.floor(this.now() / 60000) + 1) * 60000;
+		}
+	}
+}
+
+/**
+ * Bybit v5 klines (`/v5/market/kline`), newest first so the range is paged backward from `end`.
+ * Waits until `X-Bapi-Limit-Reset-Timestamp` when `X-Bapi-Limit-Status` reports no requests left.
+ * @extends ExchangeAdapter
+ */
+export class BybitAdapter extends ExchangeAdapter {
+	/**
+	 * @param {Object} [options] - See `ExchangeAdapter`.
+	 * @param {'spot'|'linear'|'inverse'} [options.category='spot']
+	 */
+	constructor(options = {}) {
+		super({ ...options, baseUrl: options.baseUrl || 'https://api.bybit.com' });
+		this.category = options.category || 'spot';
+		this.direction = 'backward';
+	}
+	
+	url({ symbol, interval, start, end, limit }) {
+		return `${this.baseUrl}/v5/market/kline?category=${this.category}&symbol=${symbol}&interval=${BybitAdapter.interval(interval)}&start=${start}&end=${end}&limit=${limit}`;
+	}
+	
+	parse(body) {
+		if (body?.retCode !== 0) throw new Error(`Bybit error ${body?.retCode}: ${body?.retMsg}`);
+		return body.result?.list ?? [];
+	}
+	
+	limited(response, body) {
+		return body?.retCode === 10006; // too many visits
+	}
+	
+	throttle(response) {
+		const remaining = parseFloat(header(response, 'x-bapi-limit-status'));
+		const reset = parseFloat(header(response, 'x-bapi-limit-reset-timestamp'));
+		if (remaining <= 0 && isFinite(reset)) this.resumeAt = reset;
+	}
+	
+	/**
+	 * Bybit interval of a standard interval: minutes, D, W or M.
+	 * @param {string} interval
+	 * @returns {string}
+	 */
+	static interval(interval) {
+		const unit = String(interval).slice(-1);
+		if (unit === 'm' || unit === 'h') return String(Klines.duration(interval) / 60000);
+		return { d: 'D', w: 'W', M: 'M' }[unit];
+	}
+}
+
+/**
+ * OKX history candles (`/api/v5/market/history-candles`), newest first and at most 100 per
+ * request, paged backward with `after`. OKX sends no quota headers, rate-limited requests
+ * (HTTP 429 or code 50011) are retried with backoff.
+ * @extends ExchangeAdapter
+ */
+export class OkxAdapter extends ExchangeAdapter {
+	constructor(options = {}) {
+		super({ ...options, baseUrl: options.baseUrl || 'https://www.okx.com' });
+		this.pageLimit = 100;
+		this.direction = 'backward';
+	}
+	
+	symbol(sym1, sym2) {
+		return `${sym1}-${sym2}`.toUpperCase();
+	}
+	
+	url({ symbol, interval, start, end, limit }) {
+		// after/before bersifat eksklusif
+		return `${this.baseUrl}/api/v5/market/history-candles?instId=${symbol}&bar=${OkxAdapter.interval(interval)}&after=${end + 1}&before=${start - 1}&limit=${limit}`;
+	}
+	
+	parse(body) {
+		if (body?.code !== '0') throw new Error(`OKX error ${body?.code}: ${body?.msg}`);
+		return body.data ?? [];
+	}
+	
+	limited(response, body) {
+		return body?.code === '50011';
+	}
+	
+	/**
+	 * OKX interval of a standard interval: minutes in lower case, other units in upper case.
+	 * @param {string} interval
+	 * @returns {string}
+	 */
+	static interval(interval) {
+		const value = String(interval);
+		return value.endsWith('m') ? value : value.toUpperCase();
+	}
+}
+
+/**
+ * @type {{[name: string]: typeof ExchangeAdapter}}
+ */
+export const ExchangeAdapters = {
+	binance: BinanceAdapter,
+	bybit: BybitAdapter,
+	okx: OkxAdapter
+};
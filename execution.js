@@ -0,0 +1,324 @@
+// execution.js
+
+import { AverageTrueRange } from './indicator.js';
+
+/**
+ * @typedef PriceObject
+ * @property {number} timestamp
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ */
+
+/**
+ * @typedef FillQuote
+ * @property {number} price - Execution price after slippage.
+ * @property {number} quantity - Base asset quantity traded.
+ * @property {number} value - Quote asset value traded (price * quantity), before fees.
+ * @property {number} fee - Fee amount, denominated in `feeAsset`.
+ * @property {'base'|'quote'} feeAsset - Which side of the pair the fee is paid in.
+ */
+
+/**
+ * Base class for fee models. Charges nothing.
+ */
+export class FeeModel {
+	/**
+	 * @param {Object} [options]
+	 * @param {'base'|'quote'} [options.asset='quote'] - Asset the fee is paid in.
+	 */
+	constructor({ asset = 'quote' } = {}) {
+		this.asset = asset === 'base' ? 'base' : 'quote';
+	}
+	
+	/**
+	 * Calculates the fee of a fill.
+	 * @param {Object} fill
+	 * @param {number} fill.quantity - Base asset quantity.
+	 * @param {number} fill.value - Quote asset value.
+	 * @param {'maker'|'taker'} fill.liquidity
+	 * @returns {number} - Fee in `this.asset`.
+	 */
+	calc(fill) {
+		return 0;
+	}
+	
+	/**
+	 * Resolves a fee option into a model instance.
+	 * @param {number|Object|FeeModel} [option=0] - A rate used for both maker and taker,
+	 * `{ type: 'percent'|'fixed', ... }` or a FeeModel instance.
+	 * @returns {FeeModel}
+	 */
+	static create(option = 0) {
+		if (option instanceof FeeModel) return option;
+		if (typeof option === 'number') return new PercentFee({ maker: option, taker: option });
+		const Model = FeeModels[option?.type] || PercentFee;
+		return new Model(option || {});
+	}
+}
+
+/**
+ * Percentage fee with separate maker and taker rates.
+ * @extends FeeModel
+ */
+export class PercentFee extends FeeModel {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.maker=0] - Rate for resting orders, 0.001 = 0.1%.
+	 * @param {number} [options.taker=0] - Rate for market orders.
+	 * @param {'base'|'quote'} [options.asset='quote']
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.maker = typeof options.maker === 'number' ? options.maker : 0;
+		this.taker = typeof options.taker === 'number' ? options.taker : 0;
+	}
+	
+	calc({ quantity, value, liquidity }) {
+		const rate = liquidity === 'maker' ? this.maker : this.taker;
+		return rate * (this.asset === 'base' ? quantity : value);
+	}
+}
+
+/**
+ * Flat fee charged per fill.
+ * @extends FeeModel
+ */
+export class FixedFee extends FeeModel {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.amount=0] - Fee per fill in `asset` units.
+	 * @param {'base'|'quote'} [options.asset='quote']
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.amount = typeof options.amount === 'number' ? options.amount : 0;
+	}
+	
+	calc() {
+		return this.amount;
+	}
+}
+
+/**
+ * Base class for slippage models. Fills at the reference price.
+ */
+export class SlippageModel {
+	constructor(options = {}) {}
+	
+	/**
+	 * Feeds a closed bar of a pair, for models that keep per-pair state.
+	 * @param {string} pair
+	 * @param {PriceObject} bar
+	 */
+	update(pair, bar) {}
+	
+	/**
+	 * Clears any per-pair state.
+	 */
+	reset() {}
+	
+	/**
+	 * Calculates the adverse price offset of a fill.
+	 * @param {Object} fill
+	 * @param {string} fill.pair
+	 * @param {number} fill.price - Reference price before slippage.
+	 * @param {number} fill.quantity - Estimated base quantity.
+	 * @param {PriceObject} fill.bar - Bar the fill happens on.
+	 * @returns {number} - Offset in price units, always >= 0.
+	 */
+	calc(fill) {
+		return 0;
+	}
+	
+	/**
+	 * Resolves a slippage option into a model instance.
+	 * @param {number|Object|SlippageModel} [option=0] - Basis points,
+	 * `{ type: 'bps'|'atr'|'volume', ... }` or a SlippageModel instance.
+	 * @returns {SlippageModel}
+	 */
+	static create(option = 0) {
+		if (option instanceof SlippageModel) return option;
+		if (typeof option === 'number') return new BpsSlippage({ bps: option });
+		const Model = SlippageModels[option?.type] || BpsSlippage;
+		return new Model(option || {});
+	}
+}
+
+/**
+ * Constant slippage in basis points of the price.
+ * @extends SlippageModel
+ */
+export class BpsSlippage extends SlippageModel {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.bps=0] - 1 bps = 0.01%.
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.bps = typeof options.bps === 'number' ? options.bps : 0;
+	}
+	
+	calc({ price }) {
+		return price * this.bps / 10000;
+	}
+}
+
+/**
+ * Slippage as a fraction of the pair's Average True Range.
+ * Until the ATR is warmed up the range of the current bar is used instead.
+ * @extends SlippageModel
+ */
+export class ATRSlippage extends SlippageModel {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.fraction=0.1] - Fraction of the ATR.
+	 * @param {number} [options.period=14] - ATR period.
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.fraction = typeof options.fraction === 'number' ? options.fraction : 0.1;
+		this.period = typeof options.period === 'number' && options.period > 0 ? options.period : 14;
+		/** @type {{[pair: string]: AverageTrueRange}} */
+		this.atr = {};
+	}
+	
+	update(pair, bar) {
+		this.atr[pair] = this.atr[pair] || new AverageTrueRange({ period: this.period });
+		this.atr[pair].update(bar);
+	}
+	
+	reset() {
+		this.atr = {};
+	}
+	
+	calc({ pair, bar }) {
+		const atr = this.atr[pair]?.values['base'].at(-1);
+		return this.fraction * (isFinite(atr) ? atr : bar.high - bar.low);
+	}
+}
+
+/**
+ * Slippage proportional to the share of the bar volume taken by the order.
+ * @extends SlippageModel
+ */
+export class VolumeSlippage extends SlippageModel {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.impact=0.1] - Price impact (as fraction) of trading the whole bar volume.
+	 * @param {number} [options.max=0.1] - Upper bound of the price impact fraction.
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.impact = typeof options.impact === 'number' ? options.impact : 0.1;
+		this.max = typeof options.max === 'number' ? options.max : 0.1;
+	}
+	
+	calc({ price, quantity, bar }) {
+		if (!(bar.volume > 0)) return price * this.max;
+		return price * Math.min(this.impact * quantity / bar.volume, this.max);
+	}
+}
+
+/**
+ * Combines a fee model, a slippage model and the fill timing into the price and amounts of a fill.
+ */
+export class ExecutionModel {
+	/**
+	 * @param {Object} [options]
+	 * @param {number|Object|FeeModel} [options.fee] - A rate (percent maker and taker), `{ type: 'percent'|'fixed', ... }` or a FeeModel.
+	 * @param {number|Object|SlippageModel} [options.slippage] - Basis points, `{ type: 'bps'|'atr'|'volume', ... }` or a SlippageModel.
+	 * @param {'average'|'close'|'nextOpen'} [options.fill='average'] - Reference price of market orders:
+	 * `average` = (high+close)/2 for buys and (low+close)/2 for sells, `close` = bar close,
+	 * `nextOpen` = open of the pair's next bar.
+	 */
+	constructor({ fee = 0, slippage = 0, fill = 'average' } = {}) {
+		/** @type {FeeModel} */
+		this.fee = FeeModel.create(fee);
+		/** @type {SlippageModel} */
+		this.slippage = SlippageModel.create(slippage);
+		/** @type {'average'|'close'|'nextOpen'} */
+		this.fill = ['average', 'close', 'nextOpen'].includes(fill) ? fill : 'average';
+	}
+	
+	/**
+	 * Feeds a closed bar to the stateful models.
+	 * @param {string} pair
+	 * @param {PriceObject} bar
+	 */
+	update(pair, bar) {
+		this.slippage.update(pair, bar);
+	}
+	
+	/**
+	 * Clears the state of the models before a new simulation.
+	 */
+	reset() {
+		this.slippage.reset();
+	}
+	
+	/**
+	 * Reference price of a market order on the bar it is requested, before slippage.
+	 * @param {'buy'|'sell'} side
+	 * @param {PriceObject} bar
+	 * @returns {number|null} - null when the order has to wait for the next bar (`nextOpen`).
+	 */
+	marketPrice(side, bar) {
+		switch (this.fill) {
+			case 'close': return bar.close;
+			case 'nextOpen': return null;
+			default: return side === 'buy' ? (bar.high + bar.close) / 2 : (bar.low + bar.close) / 2;
+		}
+	}
+	
+	/**
+	 * Calculates the execution of an order for a quote value (or a base quantity) at a reference price.
+	 * @param {Object} order
+	 * @param {string} order.pair
+	 * @param {'buy'|'sell'} order.side
+	 * @param {number} [order.value] - Requested value in the quote asset.
+	 * @param {number} [order.quantity] - Requested quantity in the base asset, takes precedence over `value`.
+	 * @param {number} order.price - Reference price before slippage.
+	 * @param {PriceObject} order.bar
+	 * @param {'maker'|'taker'} [order.liquidity='taker']
+	 * @returns {FillQuote|null} - null when the slippage of a sell reaches the reference price, so
+	 * there is no positive price to fill at.
+	 */
+	quote({ pair, side, value, quantity, price: reference, bar, liquidity = 'taker' }) {
+		const byQuantity = typeof quantity === 'number' && quantity > 0;
+		const estimate = byQuantity ? quantity : value / reference;
+		const offset = this.slippage.calc({ pair, price: reference, quantity: estimate, bar });
+		const price = side === 'buy' ? reference + offset : reference - offset;
+		if (!(price > 0)) return null;
+		if (byQuantity) value = quantity * price;
+		else quantity = value / price;
+		const fee = this.fee.calc({ quantity, value, liquidity });
+		return { price, quantity, value, fee, feeAsset: this.fee.asset };
+	}
+}
+
+/**
+ * @type {{
+ * percent: typeof PercentFee,
+ * fixed: typeof FixedFee
+ * }}
+ */
+export const FeeModels = {
+	percent: PercentFee,
+	fixed: FixedFee
+};
+
+/**
+ * @type {{
+ * bps: typeof BpsSlippage,
+ * atr: typeof ATRSlippage,
+ * volume: typeof VolumeSlippage
+ * }}
+ */
+export const SlippageModels = {
+	bps: BpsSlippage,
+	atr: ATRSlippage,
+	volume: VolumeSlippage
+};
@@ -0,0 +1,329 @@
+// feed.js
+
+import { Klines } from './klines.js';
+
+/**
+ * @typedef PriceObject
+ * @property {number} timestamp
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ */
+
+/**
+ * @typedef KlineEvent
+ * @property {'open'|'update'|'close'|'error'} type - `open` is the first message of a new candle, `update`
+ * a newer version of the forming candle and `close` its final version. `error` means the feed lost
+ * its connection and stopped; `pair` and `bar` are null then.
+ * @property {string|null} pair - Pair key, e.g. "BTC/USDT".
+ * @property {PriceObject|null} bar
+ * @property {Error} [error] - Reason of an `error` event.
+ */
+
+/**
+ * @typedef KlineMessage
+ * @property {string} symbol - Exchange symbol, e.g. "BTCUSDT".
+ * @property {PriceObject} bar
+ * @property {boolean} closed - Whether the candle is final.
+ */
+
+/**
+ * @typedef FeedAdapter
+ * @property {(pairs: string[], interval: string) => string} url - Stream URL of the pairs.
+ * @property {(pairs: string[], interval: string) => (Object|null)} subscribe - Message sent after the
+ * connection opens, or null when the URL already selects the streams.
+ * @property {(message: any) => KlineMessage[]} parse - Reads the candles of a parsed JSON message.
+ */
+
+/**
+ * @typedef SocketLike
+ * Minimal WebSocket interface used by `WebSocketFeed`, e.g. the browser `WebSocket`, the `ws`
+ * package or a mock.
+ * @property {(type: string, listener: Function) => void} addEventListener
+ * @property {(data: string) => void} send
+ * @property {() => void} close
+ */
+
+/**
+ * @callback SocketFactory
+ * @param {string} url
+ * @returns {SocketLike}
+ */
+
+/**
+ * Streaming source of candles. Subscribers receive `open`, `update` and `close` events per pair
+ * and an `error` event when the feed stopped; subclasses only have to pass every received candle
+ * to `receive`.
+ */
+export class CandleFeed {
+	constructor() {
+		/** @type {string[]} */
+		this.pairs = [];
+		/** @type {Array<(event: KlineEvent) => void>} */
+		this.listeners = [];
+		/** @type {{[pair: string]: number}} timestamp of the candle that is forming per pair */
+		this.forming = {};
+		/** @type {{[pair: string]: number}} timestamp of the last closed candle per pair */
+		this.closed = {};
+	}
+	
+	/**
+	 * Adds a subscriber.
+	 * @param {(event: KlineEvent) => void} listener
+	 * @returns {() => void} - Removes the subscriber.
+	 */
+	subscribe(listener) {
+		if (typeof listener !== 'function') return () => {};
+		this.listeners.push(listener);
+		return () => {
+			this.listeners = this.listeners.filter(fn => fn !== listener);
+		};
+	}
+	
+	/**
+	 * Starts streaming the pairs.
+	 * @param {string[]} pairs - Pair keys, e.g. ["BTC/USDT"].
+	 * @returns {Promise<void>}
+	 */
+	async connect(pairs = []) {
+		this.pairs = pairs.slice();
+		this.forming = {};
+		this.closed = {};
+	}
+	
+	/**
+	 * Stops streaming.
+	 */
+	close() {}
+	
+	/**
+	 * Passes a received candle to the subscribers as an `open`, `update` or `close` event.
+	 * @param {string} pair
+	 * @param {PriceObject} bar
+	 * @param {boolean} [closed=false] - Whether the candle is final.
+	 */
+	receive(pair, bar, closed = false) {
+		// candle yang sudah ditutup (pesan ganda atau terlambat) diabaikan
+		if (bar.timestamp <= this.closed[pair]) return;
+		if (this.forming[pair] !== bar.timestamp) {
+			this.forming[pair] = bar.timestamp;
+			this.emit({ type: 'open', pair, bar });
+		} else if (!closed) {
+			this.emit({ type: 'update', pair, bar });
+		}
+		if (closed) {
+			this.closed[pair] = bar.timestamp;
+			delete this.forming[pair];
+			this.emit({ type: 'close', pair, bar });
+		}
+	}
+	
+	/**
+	 * Sends an event to every subscriber.
+	 * @param {KlineEvent} event
+	 */
+	emit(event) {
+		for (const listener of this.listeners) {
+			listener(event);
+		}
+	}
+	
+	/**
+	 * Finds the pair key of an exchange symbol.
+	 * @param {string} symbol - e.g. "BTCUSDT".
+	 * @param {string[]} pairs - e.g. ["BTC/USDT"].
+	 * @returns {string|undefined}
+	 */
+	static matchPair(symbol, pairs) {
+		const key = String(symbol).toUpperCase();
+		return pairs.find(pair => pair.replace(/[\W\s]+/g, '').toUpperCase() === key);
+	}
+}
+
+/**
+ * Kline stream of Binance (`<symbol>@kline_<interval>`), also the message shape of most
+ * exchanges: `{ s, k: { t, o, h, l, c, v, x } }`, optionally wrapped as `{ stream, data }` by
+ * combined streams.
+ * @type {FeedAdapter}
+ */
+export const binanceKline = {
+	url(pairs, interval) {
+		const streams = pairs.map(pair => `${pair.replace(/[\W\s]+/g, '').toLowerCase()}@kline_${interval}`);
+		return `wss://stream.binance.com:9443/stream?streams=${streams.join('/')}`;
+	},
+	subscribe() {
+		return null;
+	},
+	parse(message) {
+		const data = message?.data ?? message;
+		if (!data || typeof data.k !== 'object') return [];
+		const [bar] = Klines.invert([data.k]);
+		// pesan tanpa harga yang lengkap tidak dipakai untuk candle live
+		if (!bar || ![bar.timestamp, bar.open, bar.high, bar.low, bar.close].every(isFinite)) return [];
+		return [{ symbol: data.s ?? data.k.s, bar, closed: data.k.x === true }];
+	}
+};
+
+/**
+ * @type {{[name: string]: FeedAdapter}}
+ */
+export const FeedAdapters = {
+	binance: binanceKline
+};
+
+/**
+ * Candle feed over a WebSocket connection. The socket is created by `createSocket`, so it can be
+ * replaced by any WebSocket implementation or a mock.
+ * @extends CandleFeed
+ */
+export class WebSocketFeed extends CandleFeed {
+	/**
+	 * @param {Object} [options]
+	 * @param {string|FeedAdapter} [options.adapter='binance'] - Key of `FeedAdapters` or an adapter object.
+	 * @param {string} [options.interval='1m'] - Candle interval in the exchange format.
+	 * @param {string} [options.url] - Stream URL, overrides `adapter.url`.
+	 * @param {SocketFactory} [options.createSocket] - Creates the connection, default the global `WebSocket`.
+	 * @param {number} [options.retries=5] - Reconnect attempts after the connection dropped.
+	 * @param {number} [options.backoff=500] - First reconnect delay in ms, doubled on every attempt.
+	 * @param {number} [options.maxBackoff=30000] - Maximum reconnect delay in ms.
+	 * @param {(ms: number) => Promise<void>} [options.sleep] - Delay function, replaceable in tests.
+	 */
+	constructor({ adapter = 'binance', interval = '1m', url, createSocket, retries = 5, backoff = 500, maxBackoff = 30000, sleep } = {}) {
+		super();
+		this.adapter = typeof adapter === 'string' ? FeedAdapters[adapter] : adapter;
+		if (!this.adapter) throw new Error(`Unknown feed adapter ${adapter}`);
+		this.interval = interval;
+		this.url = url;
+		/** @type {SocketFactory} */
+		this.createSocket = typeof createSocket === 'function' ? createSocket : WebSocketFeed.createSocket;
+		this.retries = typeof retries === 'number' && retries >= 0 ? retries : 5;
+		this.backoff = typeof backoff === 'number' && backoff >= 0 ? backoff : 500;
+		this.maxBackoff = typeof maxBackoff === 'number' && maxBackoff >= 0 ? maxBackoff : 30000;
+		this.sleep = typeof sleep === 'function' ? sleep : (ms) => new Promise(resolve => setTimeout(resolve, ms));
+		/** @type {SocketLike|null} */
+		this.socket = null;
+		/** @type {boolean} the connection should stay open, false after `close` */
+		this.active = false;
+	}
+	
+	/**
+	 * Opens the connection and subscribes to the pairs.
+	 * @param {string[]} pairs
+	 * @returns {Promise<void>} - Resolves when the connection is open, rejects when it fails before that.
+	 */
+	async connect(pairs = []) {
+		await super.connect(pairs);
+		this.active = true;
+		try {
+			await this.open();
+		} catch (e) {
+			this.active = false;
+			throw e;
+		}
+	}
+	
+	/**
+	 * Creates the socket and subscribes once it is open. A close or error after that reconnects.
+	 * @returns {Promise<void>} - Resolves when the socket is open.
+	 */
+	open() {
+		const socket = this.socket = this.createSocket(this.url || this.adapter.url(this.pairs, this.interval));
+		socket.addEventListener('message', (event) => this.handle(event.data));
+		
+		return new Promise((resolve, reject) => {
+			let opened = false;
+			socket.addEventListener('open', () => {
+				opened = true;
+				const request = this.adapter.subscribe(this.pairs, this.interval);
+				if (request) socket.send(JSON.stringify(request));
+				resolve();
+			});
+			
+			const drop = (event) => {
+				if (!opened) return reject(WebSocketFeed.reason(event));
+				// socket lama atau ditutup lewat `close`
+				if (this.socket !== socket) return;
+				this.socket = null;
+				socket.close();
+				this.reconnect(WebSocketFeed.reason(event));
+			};
+			socket.addEventListener('error', drop);
+			socket.addEventListener('close', drop);
+		});
+	}
+	
+	/**
+	 * Reconnects after the connection dropped, with exponential backoff. When every attempt fails
+	 * the feed stops and the subscribers receive an `error` event.
+	 * @param {Error} error - Why the connection dropped.
+	 * @returns {Promise<void>}
+	 */
+	async reconnect(error) {
+		for (let attempt = 0; attempt < this.retries; attempt++) {
+			await this.sleep(Math.min(this.backoff * 2 ** attempt, this.maxBackoff));
+			if (!this.active) return;
+			try {
+				await this.open();
+				return;
+			} catch (e) {
+				error = e;
+			}
+		}
+		if (!this.active) return;
+		this.active = false;
+		this.socket = null;
+		this.emit({ type: 'error', pair: null, bar: null, error });
+	}
+	
+	/**
+	 * Reads a raw socket message.
+	 * @param {string|Buffer} data
+	 */
+	handle(data) {
+		let message;
+		try {
+			message = JSON.parse(String(data));
+		} catch (e) {
+			return; // bukan JSON, misal pong
+		}
+		for (const { symbol, bar, closed } of this.adapter.parse(message)) {
+			const pair = CandleFeed.matchPair(symbol, this.pairs);
+			if (pair) this.receive(pair, bar, closed);
+		}
+	}
+	
+	/**
+	 * Closes the connection.
+	 */
+	close() {
+		const socket = this.socket;
+		this.active = false;
+		this.socket = null;
+		socket?.close();
+	}
+	
+	/**
+	 * Error of a close or error event of the socket.
+	 * @param {any} event
+	 * @returns {Error}
+	 */
+	static reason(event) {
+		if (event?.error instanceof Error) return event.error;
+		if (event?.type === 'close' || typeof event?.code === 'number') {
+			return new Error(`WebSocket closed${event?.code ? ` with code ${event.code}` : ''}`);
+		}
+		return new Error('WebSocket error');
+	}
+	
+	/**
+	 * Default socket factory using the global `WebSocket`.
+	 * @param {string} url
+	 * @returns {SocketLike}
+	 */
+	static createSocket(url) {
+		if (typeof WebSocket !== 'function') throw new Error('WebSocket is not available, set the createSocket option');
+		return new WebSocket(url);
+	}
+}
@@ -1,6 +1,6 @@
 // indicator.js
 
-import { ArrayMap } from './utils.js';
+import { ArrayMap, deepCopy } from './utils.js';
 import { Klines } from './klines.js';
 
 /**
@@ -13,6 +13,9 @@ import { Klines } from './klines.js';
  * @property {number} volume
  */
 
+/** Properties that are not part of the rolling state saved for a forming bar. */
+const STATELESS = ['values', 'listeners', 'limit', 'snapshot'];
+
 /**
  * @class
  * @extends ArrayMap
@@ -25,14 +28,23 @@ export class Indicator extends ArrayMap {
 	 * @param {string} [options.name=''] - The name of the indicator.
 	 * @param {number} [options.period=1] - The period for calculations.
 	 * @param {number} [options.limit=200] - The limit on the number of values stored.
+	 * @param {string|Function} [options.source='close'] - Input of `numberArray` indicators: a Klines source
+	 * field ('close', 'hl2', 'hlc3', ...) or a column of another indicator as `key` (its `base` column)
+	 * or `key.column`, e.g. 'macd.histogram'. A function receives `(indicator, tradeData)` and returns
+	 * the new input passed to `update`.
 	 */
-	constructor({ id = '', name = '', period = 1, limit = 200 } = {}) {
+	constructor({ id = '', name = '', period = 1, limit = 200, source = 'close' } = {}) {
 		super('base');
 		this.id = id;
 		this.name = name;
 		this.period = period;
 		this.inputType = 'numberArray'; // or 'priceArray' = TOHLCV object
 		this.limit = limit;
+		this.source = source;
+		/** @type {number} number of inputs processed, including rows already trimmed by `limit` */
+		this.count = 0;
+		/** @type {Object|null} state before the forming bar, see `updateLast` */
+		this.snapshot = null;
 	}
 	
 	/**
@@ -48,12 +60,130 @@ export class Indicator extends ArrayMap {
 	}
 	
 	/**
-	 * Adds new items to the indicator.
-	 * @param {...any} items - The items to add.
+	 * Streams one new input into the indicator and stores the resulting row.
+	 * The indicator keeps its own rolling state, so every update costs O(1) and stays correct
+	 * after `limit` has trimmed old rows.
+	 * @param {PriceObject|number} input - A price bar. `numberArray` indicators read their `source`
+	 * field from it, or take a number directly.
+	 * @returns {Object} - The new row.
+	 */
+	update(input) {
+		this.snapshot = null; // bar yang sedang terbentuk dianggap sudah ditutup
+		const row = this.next(this.inputType === 'priceArray' ? input : this.read(input));
+		this.append(row);
+		this.count++;
+		return row;
+	}
+	
+	/**
+	 * Recalculates the newest row for a bar that is still forming (repaint).
+	 * The first call appends a row and saves the state before it; later calls restore that state
+	 * and replace the newest row, so the history is never changed by intrabar values.
+	 * @param {PriceObject|number} input - Latest version of the forming bar.
+	 * @returns {Object} - The newest row.
+	 */
+	updateLast(input) {
+		if (this.snapshot === null) {
+			const state = this.saveState();
+			const row = this.update(input);
+			this.snapshot = state;
+			return row;
+		}
+		
+		this.restoreState(this.snapshot);
+		const row = this.next(this.inputType === 'priceArray' ? input : this.read(input));
+		this.count++;
+		const index = this.length - 1;
+		if (index >= 0) {
+			for (let key in this.values) {
+				this.setValueAt(index, key, key in row ? row[key] : null);
+			}
+		}
+		return row;
+	}
+	
+	/**
+	 * Closes the forming bar: its row becomes history and the next `updateLast` starts a new bar.
+	 * @param {PriceObject|number} [input] - Final version of the bar, applied with `updateLast` first.
+	 */
+	commit(input) {
+		if (input !== undefined) this.updateLast(input);
+		this.snapshot = null;
+	}
+	
+	/**
+	 * Copies the rolling state of the indicator, everything except the stored rows and settings
+	 * listed in `STATELESS`.
+	 * @returns {Object}
+	 */
+	saveState() {
+		const state = {};
+		for (let key of Object.keys(this)) {
+			if (!STATELESS.includes(key)) state[key] = deepCopy(this[key]);
+		}
+		return state;
+	}
+	
+	/**
+	 * Restores a state saved by `saveState`. The saved state is copied, so it can be restored again.
+	 * @param {Object} state
+	 */
+	restoreState(state) {
+		for (let key in state) {
+			this[key] = deepCopy(state[key]);
+		}
+	}
+	
+	/**
+	 * Calculates the row of a new input from the rolling state and advances the state.
+	 * Implemented by every indicator.
+	 * @param {PriceObject|number|null} input - A price bar for `priceArray` indicators, otherwise a number.
+	 * @returns {Object} - Column values of the new row.
+	 */
+	next(input) {
+		return { base: null };
+	}
+	
+	/**
+	 * Reads the number a `numberArray` indicator calculates from.
+	 * @param {PriceObject|number} input
+	 * @returns {number|null}
+	 */
+	read(input) {
+		if (typeof input === 'number') return input;
+		if (input === null || typeof input !== 'object') return null;
+		return Klines.parse(input, Klines.source.includes(this.source) ? this.source : 'close');
+	}
+	
+	/**
+	 * Appends a row to every column and drops the oldest rows beyond `limit`.
+	 * @param {Object} row
+	 */
+	append(row) {
+		const item = {};
+		for (let key in this.values) {
+			item[key] = key in row ? row[key] : null;
+		}
+		super.push(item);
+		if (this.length > this.limit) {
+			super.splice(0, this.length - this.limit);
+		}
+	}
+	
+	/**
+	 * Adds new input to the indicator. `priceArray` indicators take the new price bars, `numberArray`
+	 * indicators take the whole input series, of which the values after the `count` already
+	 * processed are new.
+	 * @param {Array<PriceObject|number>} items
 	 */
-	push(...items) {
-		super.push(...items);
-		this.length;
+	push(items) {
+		if (!Array.isArray(items)) return;
+		const inputs = this.inputType === 'priceArray' ?
+			items.filter(item => item !== null && typeof item === 'object') :
+			items.slice(this.count);
+		for (let input of inputs) {
+			this.update(input);
+		}
 	}
 	
 	/**
@@ -63,14 +193,404 @@ export class Indicator extends ArrayMap {
 	clone() {
 		return new this.constructor(this);
 	}
+}
+
+/**
+ * Highest and lowest value of a rolling window, kept in monotonic queues so that each update
+ * costs amortized O(1).
+ * @class
+ */
+export class RollingExtremes {
+	/**
+	 * @param {number} period - Window length.
+	 */
+	constructor(period) {
+		this.period = period;
+		this.index = -1;
+		/** @type {{index: number, value: number}[]} */
+		this.highs = [];
+		/** @type {{index: number, value: number}[]} */
+		this.lows = [];
+	}
+	
+	/**
+	 * Adds a value to the window.
+	 * @param {number} high
+	 * @param {number} [low=high]
+	 */
+	push(high, low = high) {
+		const index = ++this.index;
+		// nilai yang sama: yang terbaru dipertahankan
+		while (this.highs.length && this.highs.at(-1).value <= high) this.highs.pop();
+		this.highs.push({ index, value: high });
+		while (this.lows.length && this.lows.at(-1).value >= low) this.lows.pop();
+		this.lows.push({ index, value: low });
+		
+		const first = index - this.period + 1;
+		while (this.highs[0].index < first) this.highs.shift();
+		while (this.lows[0].index < first) this.lows.shift();
+	}
+	
+	/**
+	 * Whether the window holds `period` values.
+	 * @returns {boolean}
+	 */
+	get ready() {
+		return this.index + 1 >= this.period;
+	}
+	
+	/** @returns {number} */
+	get highest() {
+		return this.highs[0].value;
+	}
+	
 	/** @returns {number} */
-	get length() {
-		const count = items.length + this.length;
-		super.splice(0, count > this.limit ? count - this.limit : 0);
-		return super.length;
+	get lowest() {
+		return this.lows[0].value;
+	}
+	
+	/**
+	 * Number of values since the highest value, 0 = the newest value.
+	 * @returns {number}
+	 */
+	get highestAge() {
+		return this.index - this.highs[0].index;
+	}
+	
+	/**
+	 * Number of values since the lowest value, 0 = the newest value.
+	 * @returns {number}
+	 */
+	get lowestAge() {
+		return this.index - this.lows[0].index;
+	}
+}
+
+/**
+ * Incremental moving average used by the indicators for their smoothing. Every call to `next`
+ * adds one value and returns the average so far; invalid values are skipped and return null.
+ * @class
+ */
+export class Smoother {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.period=14]
+	 */
+	constructor({ period = 14 } = {}) {
+		this.period = typeof period === 'number' && period > 0 ? Math.round(period) : 14;
+		this.value = null;
+	}
+	
+	/**
+	 * Adds a value and returns the current average.
+	 * @param {number} value
+	 * @param {number} [weight=1] - Weight of the value, used by volume weighted averages.
+	 * @returns {number|null} - null until enough values have been added.
+	 */
+	next(value, weight = 1) {
+		return null;
+	}
+	
+	/**
+	 * Checks whether a value can be averaged.
+	 * @param {any} value
+	 * @returns {boolean}
+	 */
+	static valid(value) {
+		return typeof value === 'number' && isFinite(value);
+	}
+	
+	/**
+	 * Creates a smoother from its type name.
+	 * @param {string} [type='sma'] - One of the keys of `Smoothers`.
+	 * @param {Object} [options] - Options of the smoother, e.g. `period`.
+	 * @returns {Smoother}
+	 */
+	static create(type = 'sma', options = {}) {
+		const SmootherClass = Smoothers[typeof type === 'string' ? type.toLowerCase() : type];
+		if (!SmootherClass) throw new Error(`Unknown moving average type ${type}`);
+		return new SmootherClass(options);
+	}
+}
+
+/**
+ * Simple moving average.
+ * @class
+ * @extends Smoother
+ */
+export class SimpleSmoother extends Smoother {
+	constructor(options = {}) {
+		super(options);
+		this.window = [];
+		this.sum = 0;
+	}
+	
+	next(value) {
+		if (!Smoother.valid(value)) return null;
+		this.window.push(value);
+		this.sum += value;
+		if (this.window.length > this.period) this.sum -= this.window.shift();
+		if (this.window.length === this.period) this.value = this.sum / this.period;
+		return this.value;
+	}
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values.
+ * @class
+ * @extends Smoother
+ */
+export class ExponentialSmoother extends Smoother {
+	constructor(options = {}) {
+		super(options);
+		this.alpha = 2 / (this.period + 1);
+		this.seed = [];
+	}
+	
+	next(value) {
+		if (!Smoother.valid(value)) return null;
+		if (this.value !== null) {
+			this.value += (value - this.value) * this.alpha;
+		} else {
+			this.seed.push(value);
+			if (this.seed.length === this.period) {
+				this.value = MovingAverage.calc(this.seed);
+				this.seed = [];
+			}
+		}
+		return this.value;
+	}
+}
+
+/**
+ * Wilder's moving average (RMA / SMMA): an EMA with `alpha = 1 / period`.
+ * @class
+ * @extends ExponentialSmoother
+ */
+export class WilderSmoother extends ExponentialSmoother {
+	constructor(options = {}) {
+		super(options);
+		this.alpha = 1 / this.period;
+	}
+}
+
+/**
+ * Linearly weighted moving average, the newest value has the largest weight.
+ * @class
+ * @extends Smoother
+ */
+export class WeightedSmoother extends Smoother {
+	constructor(options = {}) {
+		super(options);
+		this.window = [];
+		this.sum = 0;
+		this.weighted = 0;
+	}
+	
+	next(value) {
+		if (!Smoother.valid(value)) return null;
+		// semua bobot turun satu ketika window penuh: kurangi jumlah nilai sebelum menambah nilai baru
+		if (this.window.length === this.period) {
+			this.weighted -= this.sum;
+			this.sum -= this.window.shift();
+		}
+		this.window.push(value);
+		this.sum += value;
+		this.weighted += value * this.window.length;
+		if (this.window.length === this.period) {
+			this.value = this.weighted / (this.period * (this.period + 1) / 2);
+		}
+		return this.value;
+	}
+}
+
+/**
+ * Hull moving average: `WMA(2 * WMA(n / 2) - WMA(n), sqrt(n))`.
+ * @class
+ * @extends Smoother
+ */
+export class HullSmoother extends Smoother {
+	constructor(options = {}) {
+		super(options);
+		this.half = new WeightedSmoother({ period: Math.max(1, Math.floor(this.period / 2)) });
+		this.full = new WeightedSmoother({ period: this.period });
+		this.smooth = new WeightedSmoother({ period: Math.max(1, Math.round(Math.sqrt(this.period))) });
+	}
+	
+	next(value) {
+		if (!Smoother.valid(value)) return null;
+		const half = this.half.next(value);
+		const full = this.full.next(value);
+		if (half === null || full === null) return null;
+		return this.value = this.smooth.next(2 * half - full);
+	}
+}
+
+/**
+ * Double exponential moving average: `2 * EMA - EMA(EMA)`.
+ * @class
+ * @extends Smoother
+ */
+export class DoubleExponentialSmoother extends Smoother {
+	constructor(options = {}) {
+		super(options);
+		this.ema1 = new ExponentialSmoother({ period: this.period });
+		this.ema2 = new ExponentialSmoother({ period: this.period });
+	}
+	
+	next(value) {
+		const ema1 = this.ema1.next(value);
+		const ema2 = ema1 === null ? null : this.ema2.next(ema1);
+		if (ema2 === null) return null;
+		return this.value = 2 * ema1 - ema2;
+	}
+}
+
+/**
+ * Triple exponential moving average: `3 * EMA - 3 * EMA(EMA) + EMA(EMA(EMA))`.
+ * @class
+ * @extends Smoother
+ */
+export class TripleExponentialSmoother extends Smoother {
+	constructor(options = {}) {
+		super(options);
+		this.ema1 = new ExponentialSmoother({ period: this.period });
+		this.ema2 = new ExponentialSmoother({ period: this.period });
+		this.ema3 = new ExponentialSmoother({ period: this.period });
+	}
+	
+	next(value) {
+		const ema1 = this.ema1.next(value);
+		const ema2 = ema1 === null ? null : this.ema2.next(ema1);
+		const ema3 = ema2 === null ? null : this.ema3.next(ema2);
+		if (ema3 === null) return null;
+		return this.value = 3 * ema1 - 3 * ema2 + ema3;
+	}
+}
+
+/**
+ * Kaufman's adaptive moving average: the smoothing follows the efficiency ratio of the last
+ * `period` changes, between the `fast` and `slow` EMA periods.
+ * @class
+ * @extends Smoother
+ */
+export class KaufmanSmoother extends Smoother {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.period=10] - Efficiency ratio lookback.
+	 * @param {number} [options.fast=2]
+	 * @param {number} [options.slow=30]
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 10 });
+		this.fast = 2 / ((options.fast > 0 ? options.fast : 2) + 1);
+		this.slow = 2 / ((options.slow > 0 ? options.slow : 30) + 1);
+		this.window = [];
+		this.volatility = 0; // jumlah perubahan absolut di dalam window
+	}
+	
+	next(value) {
+		if (!Smoother.valid(value)) return null;
+		if (this.window.length) this.volatility += Math.abs(value - this.window.at(-1));
+		this.window.push(value);
+		if (this.window.length > this.period + 1) {
+			const removed = this.window.shift();
+			this.volatility -= Math.abs(this.window[0] - removed);
+		}
+		if (this.window.length <= this.period) return null;
+		
+		const change = Math.abs(value - this.window[0]);
+		const ratio = this.volatility > 0 ? change / this.volatility : 0;
+		const constant = (ratio * (this.fast - this.slow) + this.slow) ** 2;
+		// nilai pertama dimulai dari harga sebelumnya
+		const prev = this.value ?? this.window.at(-2);
+		return this.value = prev + constant * (value - prev);
+	}
+}
+
+/**
+ * Arnaud Legoux moving average: a Gaussian weighted window.
+ * @class
+ * @extends Smoother
+ */
+export class ArnaudLegouxSmoother extends Smoother {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.period=9]
+	 * @param {number} [options.offset=0.85] - Position of the Gaussian peak, 1 = newest value.
+	 * @param {number} [options.sigma=6] - Sharpness of the curve.
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 9 });
+		const offset = typeof options.offset === 'number' ? options.offset : 0.85;
+		const sigma = options.sigma > 0 ? options.sigma : 6;
+		const m = offset * (this.period - 1);
+		const s = this.period / sigma;
+		this.weights = Array.from({ length: this.period }, (_, i) => Math.exp(-((i - m) ** 2) / (2 * s * s)));
+		this.norm = this.weights.reduce((a, w) => a + w, 0);
+		this.window = [];
+	}
+	
+	next(value) {
+		if (!Smoother.valid(value)) return null;
+		this.window.push(value);
+		if (this.window.length > this.period) this.window.shift();
+		if (this.window.length === this.period) {
+			this.value = this.window.reduce((a, v, i) => a + v * this.weights[i], 0) / this.norm;
+		}
+		return this.value;
+	}
+}
+
+/**
+ * Volume weighted moving average, the weight of each value is passed to `next`.
+ * @class
+ * @extends Smoother
+ */
+export class VolumeWeightedSmoother extends Smoother {
+	constructor(options = {}) {
+		super(options);
+		this.window = [];
+		this.weighted = 0;
+		this.weights = 0;
+	}
+	
+	next(value, weight = 1) {
+		if (!Smoother.valid(value) || !Smoother.valid(weight)) return null;
+		this.window.push({ value, weight });
+		this.weighted += value * weight;
+		this.weights += weight;
+		if (this.window.length > this.period) {
+			const removed = this.window.shift();
+			this.weighted -= removed.value * removed.weight;
+			this.weights -= removed.weight;
+		}
+		if (this.window.length === this.period) {
+			this.value = this.weights > 0 ? this.weighted / this.weights : null;
+		}
+		return this.value;
 	}
 }
 
+/**
+ * Moving average types selectable by the `type` option of `MovingAverage` and the `smoothing`
+ * option of the other indicators.
+ * @type {{[type: string]: typeof Smoother}}
+ */
+export const Smoothers = {
+	sma: SimpleSmoother,
+	ema: ExponentialSmoother,
+	wma: WeightedSmoother,
+	hma: HullSmoother,
+	dema: DoubleExponentialSmoother,
+	tema: TripleExponentialSmoother,
+	rma: WilderSmoother,
+	smma: WilderSmoother,
+	kama: KaufmanSmoother,
+	alma: ArnaudLegouxSmoother,
+	vwma: VolumeWeightedSmoother
+};
+
 /**
  * @class
  * @extends Indicator
@@ -79,34 +599,49 @@ export class MovingAverage extends Indicator {
 	/**
 	 * Constructs a MovingAverage instance.
 	 * @param {Object} options - The options for the moving average.
+	 * @param {string} [options.type='sma'] - Moving average type, one of the keys of `Smoothers`:
+	 * sma, ema, wma, hma, dema, tema, rma/smma, kama, alma or vwma. `vwma` reads price bars
+	 * (`priceArray`) and weights the `source` field of each bar by its volume.
+	 * @param {number} [options.period] - Defaults to the period of the type: 10 for kama, 9 for alma, 14 for the others.
+	 * @param {number} [options.offset] - ALMA offset.
+	 * @param {number} [options.sigma] - ALMA sigma.
+	 * @param {number} [options.fast] - KAMA fast period.
+	 * @param {number} [options.slow] - KAMA slow period.
 	 */
 	constructor(options = {}) {
 		super(options);
+		this.type = typeof options.type === 'string' ? options.type.toLowerCase() : 'sma';
+		this.offset = options.offset;
+		this.sigma = options.sigma;
+		this.fast = options.fast;
+		this.slow = options.slow;
+		// tanpa period, smoother memakai period default jenisnya
+		this.smoother = Smoother.create(this.type, {
+			period: options.period,
+			offset: this.offset,
+			sigma: this.sigma,
+			fast: this.fast,
+			slow: this.slow
+		});
+		this.period = this.smoother.period;
+		if (this.type === 'vwma') this.inputType = 'priceArray';
 	}
 	
 	/**
-	 * Adds new values to the moving average and calculates the new average.
-	 * @param {number[]} numberArray - An array of numbers to calculate the moving average from.
+	 * @param {number|PriceObject} input - A number, or a price bar for the `vwma` type.
+	 * @returns {{base: number|null}} - null until enough data is available.
 	 */
-	push(numberArray) {
-		if (!Array.isArray(numberArray)) return;
-		const baseArr = this.values['base'];
-		const startIndex = baseArr.length;
-		
-		for (let i = startIndex; i < numberArray.length; i++) {
-			if (i + 1 < this.period) {
-				baseArr.push(null); // Belum cukup data untuk moving average
-			} else {
-				const slice = numberArray.slice(i + 1 - this.period, i + 1);
-				const base = MovingAverage.calc(slice);
-				baseArr.push(base);
-			}
+	next(input) {
+		if (this.inputType === 'priceArray') {
+			const source = Klines.source.includes(this.source) ? this.source : 'close';
+			return { base: this.smoother.next(Klines.parse(input, source), input.volume) };
 		}
+		return { base: this.smoother.next(input) };
 	}
 	
 	static calc(values = []) {
 		if (!Array.isArray(values)) return null;
-		const cleaned = values.filter(v => typeof v === 'number');
+		const cleaned = values.filter(v => typeof v === 'number' && isFinite(v));
 		if (cleaned.length < values.length) return null; // Ada nilai tak valid
 		return cleaned.reduce((sum, v) => sum + v, 0) / cleaned.length;
 	}
@@ -119,42 +654,21 @@ export class MovingAverage extends Indicator {
 export class ExponentialMovingAverage extends Indicator {
 	/**
 	 * Constructs an ExponentialMovingAverage instance.
+	 * The first EMA is the SMA of the first `period` valid values, so series with leading nulls
+	 * (e.g. the output of another indicator) are seeded once enough values are available.
 	 * @param {Object} options - The options for the exponential moving average.
 	 */
 	constructor(options = {}) {
 		super(options);
+		this.smoother = new ExponentialSmoother({ period: this.period });
 	}
 	
 	/**
-	 * Adds new values to calculate the exponential moving average.
-	 * @param {number[]} numberArray - An array of numbers to calculate the EMA from.
+	 * @param {number} value
+	 * @returns {{base: number|null}}
 	 */
-	push(numberArray) {
-		if (!Array.isArray(numberArray)) return;
-		const baseArr = this.values['base'];
-		const start = baseArr.length;
-		const end = numberArray.length;
-		
-		for (let i = start; i < end; i++) {
-			const current = numberArray[i];
-			if (typeof current !== 'number') {
-				baseArr.push(null);
-				continue;
-			}
-			
-			if (i < this.period - 1) {
-				// Belum cukup data
-				baseArr.push(null);
-			} else if (i === this.period - 1) {
-				// EMA pertama = SMA dari periode pertama
-				const slice = numberArray.slice(i + 1 - this.period, i + 1);
-				baseArr.push(MovingAverage.calc(slice));
-			} else {
-				const prevEMA = baseArr[i - 1];
-				const ema = ExponentialMovingAverage.calc(current, prevEMA, this.period);
-				baseArr.push(ema);
-			}
-		}
+	next(value) {
+		return { base: this.smoother.next(value) };
 	}
 	
 	/**
@@ -184,77 +698,48 @@ export class MovingAverageConvergenceDivergence extends Indicator {
 		this.shortPeriod = typeof options?.shortPeriod === 'number' && options.shortPeriod > 0 ? options.shortPeriod : 12;
 		this.longPeriod = typeof options?.longPeriod === 'number' && options.longPeriod > 0 ? options.longPeriod : 26;
 		this.signalPeriod = typeof options?.signalPeriod === 'number' && options.signalPeriod > 0 ? options.signalPeriod : 9;
+		/** Moving average type of the short and long lines, see `Smoothers`. */
+		this.smoothing = options?.smoothing ?? 'ema';
+		/** Moving average type of the signal line. */
+		this.signalSmoothing = options?.signalSmoothing ?? this.smoothing;
+		this.smoothers = {
+			short: Smoother.create(this.smoothing, { period: this.shortPeriod }),
+			long: Smoother.create(this.smoothing, { period: this.longPeriod }),
+			signal: Smoother.create(this.signalSmoothing, { period: this.signalPeriod })
+		};
 		
 		super.addKey('short', 'long', 'signal', 'histogram');
 	}
 	
-	push(numberArray) {
-		if (!Array.isArray(numberArray)) return;
+	/**
+	 * @param {number} price
+	 * @returns {{base: number|null, short: number|null, long: number|null, signal: number|null, histogram: number|null}}
+	 */
+	next(price) {
+		if (!Smoother.valid(price)) {
+			return { base: null, short: null, long: null, signal: null, histogram: null };
+		}
 		
-		const start = this.values['base'].length;
-		const end = numberArray.length;
+		// Hitung short dan long MA
+		const short = this.smoothers.short.next(price);
+		const long = this.smoothers.long.next(price);
 		
-		const shortArr = this.values['short'];
-		const longArr = this.values['long'];
-		const baseArr = this.values['base'];
-		const signalArr = this.values['signal'];
-		const histogramArr = this.values['histogram'];
+		// Hitung MACD Line (base)
+		let base = null;
+		if (typeof short === 'number' && typeof long === 'number') {
+			base = short - long;
+		}
 		
-		for (let i = start; i < end; i++) {
-			const price = numberArray[i];
-			if (typeof price !== 'number') {
-				shortArr.push(null);
-				longArr.push(null);
-				baseArr.push(null);
-				signalArr.push(null);
-				histogramArr.push(null);
-				continue;
-			}
-			
-			// Hitung short EMA
-			let short = null;
-			if (i === this.shortPeriod - 1) {
-				const slice = numberArray.slice(i + 1 - this.shortPeriod, i + 1);
-				short = MovingAverage.calc(slice);
-			} else if (i >= this.shortPeriod) {
-				short = ExponentialMovingAverage.calc(price, shortArr[i - 1], this.shortPeriod);
-			}
-			shortArr.push(short);
-			
-			// Hitung long EMA
-			let long = null;
-			if (i === this.longPeriod - 1) {
-				const slice = numberArray.slice(i + 1 - this.longPeriod, i + 1);
-				long = MovingAverage.calc(slice);
-			} else if (i >= this.longPeriod) {
-				long = ExponentialMovingAverage.calc(price, longArr[i - 1], this.longPeriod);
-			}
-			longArr.push(long);
-			
-			// Hitung MACD Line (base)
-			let base = null;
-			if (typeof short === 'number' && typeof long === 'number') {
-				base = short - long;
-			}
-			baseArr.push(base);
-			
-			// Hitung Signal Line
-			let signal = null;
-			if (i === this.longPeriod + this.signalPeriod - 2) {
-				const slice = baseArr.slice(i + 1 - this.signalPeriod, i + 1);
-				signal = MovingAverage.calc(slice);
-			} else if (i > this.longPeriod + this.signalPeriod - 2) {
-				signal = ExponentialMovingAverage.calc(base, signalArr[i - 1], this.signalPeriod);
-			}
-			signalArr.push(signal);
-			
-			// Hitung Histogram
-			let histogram = null;
-			if (typeof base === 'number' && typeof signal === 'number') {
-				histogram = base - signal;
-			}
-			histogramArr.push(histogram);
+		// Hitung Signal Line
+		const signal = base === null ? null : this.smoothers.signal.next(base);
+		
+		// Hitung Histogram
+		let histogram = null;
+		if (typeof base === 'number' && typeof signal === 'number') {
+			histogram = base - signal;
 		}
+		
+		return { base, short, long, signal, histogram };
 	}
 }
 
@@ -263,49 +748,47 @@ export class MovingAverageConvergenceDivergence extends Indicator {
  * @extends Indicator
  */
 export class RelativeStrengthIndex extends Indicator {
-	constructor(options = { period: 17 }) {
-		super(options);
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=17]
+	 * @param {string} [options.smoothing='sma'] - Moving average type of the gains and losses, see
+	 * `Smoothers`. Most charting platforms use Wilder's 'rma'.
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 17 });
+		this.smoothing = options.smoothing ?? 'sma';
+		this.smoothers = {
+			gain: Smoother.create(this.smoothing, { period: this.period }),
+			loss: Smoother.create(this.smoothing, { period: this.period })
+		};
+		this.prev = null; // nilai input sebelumnya
 		super.addKey('gain', 'loss'); // gunakan key yang konsisten
 	}
 	
 	/**
-	 * @param {number[]} numberArray - deret harga penutupan (close)
+	 * @param {number} curr - harga penutupan (close) atau nilai source lain
+	 * @returns {{base: number|null, gain: number|null, loss: number|null}}
 	 */
-	push(numberArray) {
-		if (!Array.isArray(numberArray)) return;
+	next(curr) {
+		const prev = this.prev;
+		this.prev = Smoother.valid(curr) ? curr : null;
 		
-		const baseArr = this.values['base'];
-		const gainArr = this.values['gain'];
-		const lossArr = this.values['loss'];
+		if (!Smoother.valid(curr) || prev === null) {
+			return { base: null, gain: null, loss: null };
+		}
 		
-		for (let i = baseArr.length; i < numberArray.length; i++) {
-			const curr = numberArray[i];
-			const prev = numberArray[i - 1];
-			
-			if (typeof curr !== 'number' || typeof prev !== 'number') {
-				baseArr.push(null);
-				gainArr.push(null);
-				lossArr.push(null);
-				continue;
-			}
-			
-			const change = curr - prev;
-			const gain = Math.max(change, 0);
-			const loss = Math.max(-change, 0);
-			
-			gainArr.push(gain);
-			lossArr.push(loss);
-			
-			let rsi = null;
-			if (gainArr.length >= this.period) {
-				const avgGain = gainArr.slice(-this.period).reduce((a, b) => a + b, 0) / this.period;
-				const avgLoss = lossArr.slice(-this.period).reduce((a, b) => a + b, 0) / this.period;
-				const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-				rsi = 100 - 100 / (1 + rs);
-			}
-			
-			baseArr.push(rsi);
+		const change = curr - prev;
+		const gain = Math.max(change, 0);
+		const loss = Math.max(-change, 0);
+		
+		let rsi = null;
+		const avgGain = this.smoothers.gain.next(gain);
+		const avgLoss = this.smoothers.loss.next(loss);
+		if (avgGain !== null && avgLoss !== null) {
+			rsi = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
 		}
+		
+		return { base: rsi, gain, loss };
 	}
 }
 
@@ -314,58 +797,55 @@ export class RelativeStrengthIndex extends Indicator {
  * @extends Indicator
  */
 export class AverageTrueRange extends Indicator {
-	constructor(options = { period: 14 }) {
-		super(options);
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=14]
+	 * @param {string} [options.smoothing='rma'] - Moving average type of the true range, see `Smoothers`.
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 14 });
 		this.inputType = 'priceArray';
+		this.smoothing = options.smoothing ?? 'rma';
+		this.smoother = Smoother.create(this.smoothing, { period: this.period });
 		this.addKey('range'); // key 'base' sudah di inisialisasi pada class Indicator
 		this.prevClose = null; // pada iterasi pertama, prevClose hasil dari hl2
 	}
 	
 	/**
-	 * @param {PriceObject[]} priceArray
-	 */
-	push(priceArray = []) {
-		if (!Array.isArray(priceArray) || priceArray.length === 0) return;
-		const baseArr = this.values['base'];
-		const trueRangeArr = this.values['range'];
-		const period = this.period ?? 14;
-		
-		for (let value of priceArray) {
-			if (typeof value !== 'object') continue;
-			
-			const high = value.high;
-			const low = value.low;
-			const close = value.close ?? (high + low) / 2;
-			
-			// Gunakan hl2 jika prevClose belum ada (bar pertama)
-			const prevClose = this.prevClose ?? (high + low) / 2;
-			
-			// True Range (TR)
-			const tr = Math.max(
-				high - low,
-				Math.abs(high - prevClose),
-				Math.abs(low - prevClose)
-			);
-			
-			trueRangeArr.push(tr);
-			
-			// Average True Range (ATR)
-			if (trueRangeArr.length < period) {
-				baseArr.push(NaN); // belum cukup data
-			} else if (trueRangeArr.length === period) {
-				// Rata-rata pertama
-				const sum = trueRangeArr.slice(0, period).reduce((a, b) => a + b, 0);
-				const atr = sum / period;
-				baseArr.push(atr);
-			} else {
-				// Smoothed ATR
-				const prevATR = baseArr.at(-1);
-				const atr = ((prevATR * (period - 1)) + tr) / period;
-				baseArr.push(atr);
-			}
-			
-			this.prevClose = close;
-		}
+	 * @param {PriceObject} value
+	 * @returns {{base: number, range: number}} - `base` is NaN until enough data is available.
+	 */
+	next(value) {
+		const high = value.high;
+		const low = value.low;
+		const close = value.close ?? (high + low) / 2;
+		
+		// Gunakan hl2 jika prevClose belum ada (bar pertama)
+		const prevClose = this.prevClose ?? (high + low) / 2;
+		
+		// True Range (TR)
+		const tr = AverageTrueRange.trueRange(high, low, prevClose);
+		
+		// Average True Range (ATR), NaN selama data belum cukup
+		const atr = this.smoother.next(tr);
+		
+		this.prevClose = close;
+		return { base: atr ?? NaN, range: tr };
+	}
+	
+	/**
+	 * Calculates the true range of a bar.
+	 * @param {number} high
+	 * @param {number} low
+	 * @param {number} prevClose - Close of the previous bar.
+	 * @returns {number}
+	 */
+	static trueRange(high, low, prevClose) {
+		return Math.max(
+			high - low,
+			Math.abs(high - prevClose),
+			Math.abs(low - prevClose)
+		);
 	}
 }
 
@@ -375,73 +855,858 @@ export class AverageTrueRange extends Indicator {
  * @extends AverageTrueRange
  */
 export class SuperTrend extends AverageTrueRange {
-	constructor(options = { period: 10, multiplier: 3 }) {
-		super(options);
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 10 });
 		this.multiplier = options.multiplier || 3;
 		this.addKey('upper', 'lower', 'trend');
+		this.prevUpper = null;
+		this.prevLower = null;
+		this.prevTrend = null;
 	}
+	
 	/**
-	 * @param {PriceObject[]} priceArray
-	 */
-	push(priceArray) {
-		if (!Array.isArray(priceArray) || priceArray.length === 0) return;
-		
-		const baseArr = this.values['base'];
-		const upperArr = this.values['upper'];
-		const lowerArr = this.values['lower'];
-		const trendArr = this.values['trend'];
-		
-		let prevUpper = upperArr.at(-1);
-		let prevLower = lowerArr.at(-1);
-		let prevTrend = trendArr.at(-1);
-		
-		for (let price of priceArray) {
-			if (typeof price !== 'object') continue;
-			
-			super.push([price]); // hitung ATR dari parent class
-			
-			const high = price.high;
-			const low = price.low;
-			const close = price.close ?? (high + low) / 2;
-			const atr = baseArr.at(-1);
-			
-			if (!isFinite(atr)) {
-				upperArr.push(NaN);
-				lowerArr.push(NaN);
-				trendArr.push(null);
-				continue;
-			}
-			
-			const hl2 = (high + low) / 2;
-			const multiplier = this.multiplier;
-			
-			const upperBand = hl2 + multiplier * atr;
-			const lowerBand = hl2 - multiplier * atr;
-			
-			// Awal trend, atau lanjut dari sebelumnya
-			let trend;
-			if (prevTrend == null) {
-				trend = 1; // default awal: uptrend
-			} else if (close > prevUpper) {
-				trend = 1; // uptrend
-			} else if (close < prevLower) {
-				trend = -1; // downtrend
-			} else {
-				trend = prevTrend;
+	 * @param {PriceObject} price
+	 * @returns {{base: number, range: number, upper: number, lower: number, trend: number|null}}
+	 */
+	next(price) {
+		const row = super.next(price); // hitung ATR dari parent class
+		
+		const high = price.high;
+		const low = price.low;
+		const close = price.close ?? (high + low) / 2;
+		const atr = row.base;
+		
+		if (!isFinite(atr)) {
+			return { ...row, upper: NaN, lower: NaN, trend: null };
+		}
+		
+		const hl2 = (high + low) / 2;
+		const multiplier = this.multiplier;
+		const { prevUpper, prevLower, prevTrend } = this;
+		
+		const upperBand = hl2 + multiplier * atr;
+		const lowerBand = hl2 - multiplier * atr;
+		
+		// Awal trend, atau lanjut dari sebelumnya
+		let trend;
+		if (prevTrend == null) {
+			trend = 1; // default awal: uptrend
+		} else if (close > prevUpper) {
+			trend = 1; // uptrend
+		} else if (close < prevLower) {
+			trend = -1; // downtrend
+		} else {
+			trend = prevTrend;
+		}
+		
+		// Update band berdasarkan trend
+		const finalUpper = (trend === 1 && prevUpper != null) ? Math.min(upperBand, prevUpper) : upperBand;
+		const finalLower = (trend === -1 && prevLower != null) ? Math.max(lowerBand, prevLower) : lowerBand;
+		
+		this.prevUpper = finalUpper;
+		this.prevLower = finalLower;
+		this.prevTrend = trend;
+		
+		return { ...row, upper: finalUpper, lower: finalLower, trend };
+	}
+}
+
+/**
+ * Bollinger Bands: a moving average with bands at a multiple of the standard deviation.
+ * `base` holds the middle band, %B and bandwidth are stored in their own columns.
+ * @class
+ * @extends Indicator
+ */
+export class BollingerBands extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=20]
+	 * @param {number} [options.multiplier=2] - Standard deviation multiplier of the bands.
+	 * @param {string} [options.smoothing='sma'] - Moving average type of the middle band, see `Smoothers`.
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 20 });
+		this.multiplier = typeof options.multiplier === 'number' && options.multiplier > 0 ? options.multiplier : 2;
+		this.smoothing = options.smoothing ?? 'sma';
+		this.smoother = Smoother.create(this.smoothing, { period: this.period });
+		this.addKey('upper', 'middle', 'lower', 'percentB', 'bandwidth');
+		this.window = [];
+		this.sum = 0;
+		this.sumSquares = 0;
+	}
+	
+	/**
+	 * @param {number} value
+	 * @returns {{base: number|null, upper: number|null, middle: number|null, lower: number|null, percentB: number|null, bandwidth: number|null}}
+	 */
+	next(value) {
+		const empty = { base: null, upper: null, middle: null, lower: null, percentB: null, bandwidth: null };
+		if (!Smoother.valid(value)) return empty;
+		
+		const middle = this.smoother.next(value);
+		this.window.push(value);
+		this.sum += value;
+		this.sumSquares += value * value;
+		if (this.window.length > this.period) {
+			const removed = this.window.shift();
+			this.sum -= removed;
+			this.sumSquares -= removed * removed;
+		}
+		if (middle === null || this.window.length < this.period) return empty;
+		
+		// standar deviasi populasi, sama seperti platform charting pada umumnya
+		const mean = this.sum / this.period;
+		const deviation = Math.sqrt(Math.max(this.sumSquares / this.period - mean * mean, 0));
+		const upper = middle + this.multiplier * deviation;
+		const lower = middle - this.multiplier * deviation;
+		const width = upper - lower;
+		
+		return {
+			base: middle,
+			upper,
+			middle,
+			lower,
+			percentB: width > 0 ? (value - lower) / width : null,
+			bandwidth: middle !== 0 ? width / middle : null
+		};
+	}
+}
+
+/**
+ * Keltner Channels: an EMA of the close with bands at a multiple of the ATR.
+ * `base` holds the middle line.
+ * @class
+ * @extends Indicator
+ */
+export class KeltnerChannels extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=20] - EMA period of the middle line.
+	 * @param {number} [options.atrPeriod=10]
+	 * @param {number} [options.multiplier=2] - ATR multiplier of the bands.
+	 * @param {string} [options.smoothing='ema'] - Moving average type of the middle line, see `Smoothers`.
+	 * @param {string} [options.atrSmoothing='rma'] - Moving average type of the ATR.
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 20 });
+		this.inputType = 'priceArray';
+		this.atrPeriod = typeof options.atrPeriod === 'number' && options.atrPeriod > 0 ? options.atrPeriod : 10;
+		this.multiplier = typeof options.multiplier === 'number' && options.multiplier > 0 ? options.multiplier : 2;
+		this.smoothing = options.smoothing ?? 'ema';
+		this.smoother = Smoother.create(this.smoothing, { period: this.period });
+		this.atrSmoothing = options.atrSmoothing ?? 'rma';
+		this.addKey('upper', 'middle', 'lower');
+		this.atr = new AverageTrueRange({ period: this.atrPeriod, smoothing: this.atrSmoothing });
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null, upper: number|null, middle: number|null, lower: number|null}}
+	 */
+	next(price) {
+		const atr = this.atr.next(price).base;
+		const middle = this.smoother.next(price.close, price.volume);
+		const ready = typeof middle === 'number' && isFinite(atr);
+		return {
+			base: middle,
+			middle,
+			upper: ready ? middle + this.multiplier * atr : null,
+			lower: ready ? middle - this.multiplier * atr : null
+		};
+	}
+}
+
+/**
+ * Donchian Channels: the highest high and lowest low of the last `period` bars.
+ * `base` holds the middle line.
+ * @class
+ * @extends Indicator
+ */
+export class DonchianChannels extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=20]
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 20 });
+		this.inputType = 'priceArray';
+		this.addKey('upper', 'middle', 'lower');
+		this.extremes = new RollingExtremes(this.period);
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null, upper: number|null, middle: number|null, lower: number|null}}
+	 */
+	next(price) {
+		this.extremes.push(price.high, price.low);
+		if (!this.extremes.ready) return { base: null, upper: null, middle: null, lower: null };
+		
+		const upper = this.extremes.highest;
+		const lower = this.extremes.lowest;
+		const middle = (upper + lower) / 2;
+		return { base: middle, upper, middle, lower };
+	}
+}
+
+/**
+ * Stochastic oscillator: position of the close inside the high-low range of the last `period` bars.
+ * `base` holds %K.
+ * @class
+ * @extends Indicator
+ */
+export class Stochastic extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=14] - %K lookback.
+	 * @param {number} [options.smoothK=1] - SMA period of %K, 3 gives the slow stochastic.
+	 * @param {number} [options.smoothD=3] - SMA period of %D.
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 14 });
+		this.inputType = 'priceArray';
+		this.smoothK = typeof options.smoothK === 'number' && options.smoothK > 0 ? options.smoothK : 1;
+		this.smoothD = typeof options.smoothD === 'number' && options.smoothD > 0 ? options.smoothD : 3;
+		this.addKey('k', 'd');
+		this.extremes = new RollingExtremes(this.period);
+		this.smoothers = {
+			k: new SimpleSmoother({ period: this.smoothK }),
+			d: new SimpleSmoother({ period: this.smoothD })
+		};
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null, k: number|null, d: number|null}}
+	 */
+	next(price) {
+		this.extremes.push(price.high, price.low);
+		
+		let raw = null;
+		if (this.extremes.ready) {
+			const highest = this.extremes.highest;
+			const lowest = this.extremes.lowest;
+			raw = highest > lowest ? (price.close - lowest) / (highest - lowest) * 100 : 50;
+		}
+		
+		const k = this.smoothers.k.next(raw);
+		const d = this.smoothers.d.next(k);
+		return { base: k, k, d };
+	}
+}
+
+/**
+ * Stochastic RSI: the stochastic oscillator applied to RSI values.
+ * `base` holds %K, the RSI is kept in the `rsi` column.
+ * @class
+ * @extends RelativeStrengthIndex
+ */
+export class StochasticRSI extends RelativeStrengthIndex {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=14] - RSI period.
+	 * @param {number} [options.stochPeriod=14] - Stochastic lookback over the RSI.
+	 * @param {number} [options.smoothK=3]
+	 * @param {number} [options.smoothD=3]
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 14 });
+		this.stochPeriod = typeof options.stochPeriod === 'number' && options.stochPeriod > 0 ? options.stochPeriod : 14;
+		this.smoothK = typeof options.smoothK === 'number' && options.smoothK > 0 ? options.smoothK : 3;
+		this.smoothD = typeof options.smoothD === 'number' && options.smoothD > 0 ? options.smoothD : 3;
+		this.addKey('rsi', 'k', 'd');
+		this.extremes = new RollingExtremes(this.stochPeriod);
+		this.smoothers.k = new SimpleSmoother({ period: this.smoothK });
+		this.smoothers.d = new SimpleSmoother({ period: this.smoothD });
+	}
+	
+	/**
+	 * @param {number} value
+	 * @returns {{base: number|null, gain: number|null, loss: number|null, rsi: number|null, k: number|null, d: number|null}}
+	 */
+	next(value) {
+		const row = super.next(value); // hitung RSI dari parent class
+		const rsi = row.base;
+		
+		let raw = null;
+		if (rsi !== null) {
+			this.extremes.push(rsi);
+			if (this.extremes.ready) {
+				const highest = this.extremes.highest;
+				const lowest = this.extremes.lowest;
+				raw = highest > lowest ? (rsi - lowest) / (highest - lowest) * 100 : 50;
 			}
-			
-			// Update band berdasarkan trend
-			const finalUpper = (trend === 1 && prevUpper != null) ? Math.min(upperBand, prevUpper) : upperBand;
-			const finalLower = (trend === -1 && prevLower != null) ? Math.max(lowerBand, prevLower) : lowerBand;
-			
-			upperArr.push(finalUpper);
-			lowerArr.push(finalLower);
-			trendArr.push(trend);
-			
-			prevUpper = finalUpper;
-			prevLower = finalLower;
-			prevTrend = trend;
 		}
+		
+		const k = this.smoothers.k.next(raw);
+		const d = this.smoothers.d.next(k);
+		return { ...row, base: k, rsi, k, d };
+	}
+}
+
+/**
+ * Commodity Channel Index: distance of the typical price from its SMA in units of mean deviation.
+ * The mean deviation is recalculated over the window on every bar (O(period)).
+ * @class
+ * @extends Indicator
+ */
+export class CommodityChannelIndex extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=20]
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 20 });
+		this.inputType = 'priceArray';
+		this.typical = []; // typical price (hlc3) dari `period` bar terakhir
+		this.sum = 0;
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null}}
+	 */
+	next(price) {
+		const current = Klines.parse(price, 'hlc3');
+		this.typical.push(current);
+		this.sum += current;
+		if (this.typical.length > this.period) this.sum -= this.typical.shift();
+		if (this.typical.length < this.period) return { base: null };
+		
+		const mean = this.sum / this.period;
+		const deviation = this.typical.reduce((a, v) => a + Math.abs(v - mean), 0) / this.period;
+		return { base: deviation > 0 ? (current - mean) / (0.015 * deviation) : 0 };
+	}
+}
+
+/**
+ * Williams %R: position of the close below the highest high of the last `period` bars, from 0 to -100.
+ * @class
+ * @extends Indicator
+ */
+export class WilliamsR extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=14]
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 14 });
+		this.inputType = 'priceArray';
+		this.extremes = new RollingExtremes(this.period);
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null}}
+	 */
+	next(price) {
+		this.extremes.push(price.high, price.low);
+		if (!this.extremes.ready) return { base: null };
+		
+		const highest = this.extremes.highest;
+		const lowest = this.extremes.lowest;
+		return { base: highest > lowest ? (highest - price.close) / (highest - lowest) * -100 : -50 };
+	}
+}
+
+/**
+ * Rate of Change: percentage change over `period` values. The absolute change (momentum) is
+ * stored in the `momentum` column.
+ * @class
+ * @extends Indicator
+ */
+export class RateOfChange extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=10]
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 10 });
+		this.addKey('momentum');
+		this.window = []; // `period + 1` nilai terakhir
+	}
+	
+	/**
+	 * @param {number} current
+	 * @returns {{base: number|null, momentum: number|null}}
+	 */
+	next(current) {
+		this.window.push(current);
+		if (this.window.length > this.period + 1) this.window.shift();
+		const prev = this.window.length > this.period ? this.window[0] : null;
+		
+		if (!Smoother.valid(current) || !Smoother.valid(prev)) {
+			return { base: null, momentum: null };
+		}
+		
+		return {
+			base: prev !== 0 ? (current - prev) / prev * 100 : null,
+			momentum: current - prev
+		};
+	}
+}
+
+/**
+ * On-Balance Volume: running total of volume, added on up closes and subtracted on down closes.
+ * @class
+ * @extends Indicator
+ */
+export class OnBalanceVolume extends Indicator {
+	constructor(options = {}) {
+		super(options);
+		this.inputType = 'priceArray';
+		this.prevClose = null;
+		this.total = 0;
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number}}
+	 */
+	next(price) {
+		const volume = price.volume || 0;
+		const direction = this.prevClose === null ? 0 : Math.sign(price.close - this.prevClose);
+		this.total += direction * volume;
+		this.prevClose = price.close;
+		return { base: this.total };
+	}
+}
+
+/**
+ * Volume Weighted Average Price of the typical price (hlc3).
+ * Anchored VWAP restarts at every UTC day, week (starting Monday) or month derived from the bar
+ * timestamp; rolling VWAP uses the last `period` bars.
+ * @class
+ * @extends Indicator
+ */
+export class VolumeWeightedAveragePrice extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {'day'|'week'|'month'|'rolling'} [options.anchor='day']
+	 * @param {number} [options.period=20] - Window of the rolling VWAP.
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 20 });
+		this.inputType = 'priceArray';
+		this.anchor = ['day', 'week', 'month', 'rolling'].includes(options.anchor) ? options.anchor : 'day';
+		this.session = null;
+		this.smoother = new VolumeWeightedSmoother({ period: this.period });
+		this.value = 0; // jumlah tp * volume dalam sesi berjalan
+		this.volume = 0;
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null}}
+	 */
+	next(price) {
+		const typical = Klines.parse(price, 'hlc3');
+		const volume = price.volume || 0;
+		
+		if (this.anchor === 'rolling') {
+			this.smoother.next(typical, volume);
+			// rolling VWAP sudah dihitung sebelum window penuh
+			return { base: this.smoother.weights > 0 ? this.smoother.weighted / this.smoother.weights : null };
+		}
+		
+		const session = VolumeWeightedAveragePrice.session(price.timestamp, this.anchor);
+		if (session !== this.session) {
+			this.value = 0;
+			this.volume = 0;
+			this.session = session;
+		}
+		this.value += typical * volume;
+		this.volume += volume;
+		return { base: this.volume > 0 ? this.value / this.volume : null };
+	}
+	
+	/**
+	 * Session key of a timestamp.
+	 * @param {number} timestamp
+	 * @param {'day'|'week'|'month'} anchor
+	 * @returns {number}
+	 */
+	static session(timestamp, anchor) {
+		const day = Math.floor(timestamp / 86400000);
+		if (anchor === 'week') return Math.floor((day + 3) / 7); // 1 Jan 1970 adalah hari Kamis
+		if (anchor === 'month') {
+			const date = new Date(timestamp);
+			return date.getUTCFullYear() * 12 + date.getUTCMonth();
+		}
+		return day;
+	}
+}
+
+/**
+ * Money Flow Index: a volume weighted RSI of the typical price.
+ * @class
+ * @extends Indicator
+ */
+export class MoneyFlowIndex extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=14]
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 14 });
+		this.inputType = 'priceArray';
+		this.prevTypical = null;
+		this.flows = []; // money flow bertanda dari `period` bar terakhir
+		this.positive = 0;
+		this.negative = 0;
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null}}
+	 */
+	next(price) {
+		const typical = Klines.parse(price, 'hlc3');
+		const prevTypical = this.prevTypical;
+		this.prevTypical = typical;
+		if (prevTypical === null) return { base: null };
+		
+		const flow = typical * (price.volume || 0);
+		const signed = typical > prevTypical ? flow : typical < prevTypical ? -flow : 0;
+		this.flows.push(signed);
+		this.add(signed, 1);
+		if (this.flows.length > this.period) this.add(this.flows.shift(), -1);
+		if (this.flows.length < this.period) return { base: null };
+		
+		const { positive, negative } = this;
+		return { base: negative <= 0 ? 100 : 100 - 100 / (1 + positive / negative) };
+	}
+	
+	/**
+	 * Adds or removes a signed money flow from the running sums.
+	 * @param {number} flow
+	 * @param {1|-1} sign
+	 */
+	add(flow, sign) {
+		if (flow > 0) this.positive += sign * flow;
+		else if (flow < 0) this.negative -= sign * flow;
+	}
+}
+
+/**
+ * Accumulation/Distribution line: running total of the money flow volume.
+ * @class
+ * @extends Indicator
+ */
+export class AccumulationDistribution extends Indicator {
+	constructor(options = {}) {
+		super(options);
+		this.inputType = 'priceArray';
+		this.total = 0;
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number}}
+	 */
+	next(price) {
+		this.total += AccumulationDistribution.flowVolume(price);
+		return { base: this.total };
+	}
+	
+	/**
+	 * Money flow volume of a bar: volume weighted by where the close sits in the bar range.
+	 * @param {PriceObject} price
+	 * @returns {number}
+	 */
+	static flowVolume(price) {
+		const range = price.high - price.low;
+		if (!(range > 0)) return 0;
+		const multiplier = ((price.close - price.low) - (price.high - price.close)) / range;
+		return multiplier * (price.volume || 0);
+	}
+}
+
+/**
+ * Chaikin Money Flow: money flow volume of the last `period` bars divided by their volume.
+ * @class
+ * @extends Indicator
+ */
+export class ChaikinMoneyFlow extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=20]
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 20 });
+		this.inputType = 'priceArray';
+		this.bars = []; // {flow, volume} dari `period` bar terakhir
+		this.flow = 0;
+		this.volume = 0;
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null}}
+	 */
+	next(price) {
+		const bar = { flow: AccumulationDistribution.flowVolume(price), volume: price.volume || 0 };
+		this.bars.push(bar);
+		this.flow += bar.flow;
+		this.volume += bar.volume;
+		if (this.bars.length > this.period) {
+			const removed = this.bars.shift();
+			this.flow -= removed.flow;
+			this.volume -= removed.volume;
+		}
+		if (this.bars.length < this.period) return { base: null };
+		return { base: this.volume > 0 ? this.flow / this.volume : 0 };
+	}
+}
+
+/**
+ * Average Directional Index with the directional indicators +DI and -DI (DMI).
+ * True range, directional movement and DX are smoothed with Wilder's moving average by default.
+ * `base` holds the ADX.
+ * @class
+ * @extends Indicator
+ */
+export class AverageDirectionalIndex extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=14] - Smoothing period of the DI lines.
+	 * @param {number} [options.adxPeriod] - Smoothing period of the ADX, defaults to `period`.
+	 * @param {string} [options.smoothing='rma'] - Moving average type, see `Smoothers`.
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 14 });
+		this.inputType = 'priceArray';
+		this.adxPeriod = typeof options.adxPeriod === 'number' && options.adxPeriod > 0 ? options.adxPeriod : this.period;
+		this.addKey('plusDI', 'minusDI', 'dx');
+		this.smoothing = options.smoothing ?? 'rma';
+		this.prev = null;
+		this.smoothers = {
+			tr: Smoother.create(this.smoothing, { period: this.period }),
+			plus: Smoother.create(this.smoothing, { period: this.period }),
+			minus: Smoother.create(this.smoothing, { period: this.period }),
+			dx: Smoother.create(this.smoothing, { period: this.adxPeriod })
+		};
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null, plusDI: number|null, minusDI: number|null, dx: number|null}}
+	 */
+	next(price) {
+		const { tr, plus, minus, dx } = this.smoothers;
+		const prev = this.prev;
+		this.prev = { high: price.high, low: price.low, close: price.close };
+		if (prev === null) return { base: null, plusDI: null, minusDI: null, dx: null };
+		
+		const up = price.high - prev.high;
+		const down = prev.low - price.low;
+		const range = tr.next(AverageTrueRange.trueRange(price.high, price.low, prev.close));
+		const plusDM = plus.next(up > down && up > 0 ? up : 0);
+		const minusDM = minus.next(down > up && down > 0 ? down : 0);
+		
+		let plusDI = null;
+		let minusDI = null;
+		let dxValue = null;
+		let adx = null;
+		if (range !== null && plusDM !== null && minusDM !== null) {
+			plusDI = range > 0 ? plusDM / range * 100 : 0;
+			minusDI = range > 0 ? minusDM / range * 100 : 0;
+			const sum = plusDI + minusDI;
+			dxValue = sum > 0 ? Math.abs(plusDI - minusDI) / sum * 100 : 0;
+			adx = dx.next(dxValue);
+		}
+		
+		return { base: adx, plusDI, minusDI, dx: dxValue };
+	}
+}
+
+/**
+ * Parabolic SAR (stop and reverse). `base` holds the SAR, `trend` is 1 when the SAR is below
+ * the price and -1 when it is above.
+ * @class
+ * @extends Indicator
+ */
+export class ParabolicSAR extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.start=0.02] - Initial acceleration factor.
+	 * @param {number} [options.increment=0.02] - Step of the acceleration factor on every new extreme.
+	 * @param {number} [options.maximum=0.2] - Maximum acceleration factor.
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.inputType = 'priceArray';
+		this.start = typeof options.start === 'number' && options.start > 0 ? options.start : 0.02;
+		this.increment = typeof options.increment === 'number' && options.increment > 0 ? options.increment : 0.02;
+		this.maximum = typeof options.maximum === 'number' && options.maximum > 0 ? options.maximum : 0.2;
+		this.addKey('trend');
+		this.state = null; // {trend, sar, ep, af}
+		this.bars = []; // dua bar sebelumnya
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null, trend: number|null}}
+	 */
+	next(price) {
+		const prev = this.bars.at(-1);
+		let state = this.state;
+		let row;
+		
+		if (!prev) {
+			row = { base: null, trend: null };
+		} else if (state === null) {
+			// bar kedua: arah awal dari perubahan close
+			const trend = price.close >= prev.close ? 1 : -1;
+			state = this.state = {
+				trend,
+				sar: trend === 1 ? Math.min(prev.low, price.low) : Math.max(prev.high, price.high),
+				ep: trend === 1 ? Math.max(prev.high, price.high) : Math.min(prev.low, price.low),
+				af: this.start
+			};
+			row = { base: state.sar, trend };
+		} else {
+			let sar = state.sar + state.af * (state.ep - state.sar);
+			if (state.trend === 1) {
+				// SAR tidak boleh melewati low dua bar sebelumnya
+				sar = Math.min(sar, ...this.bars.map(b => b.low));
+				if (price.low < sar) {
+					Object.assign(state, { trend: -1, sar: Math.max(state.ep, price.high), ep: price.low, af: this.start });
+				} else {
+					state.sar = sar;
+					if (price.high > state.ep) {
+						state.ep = price.high;
+						state.af = Math.min(state.af + this.increment, this.maximum);
+					}
+				}
+			} else {
+				sar = Math.max(sar, ...this.bars.map(b => b.high));
+				if (price.high > sar) {
+					Object.assign(state, { trend: 1, sar: Math.min(state.ep, price.low), ep: price.high, af: this.start });
+				} else {
+					state.sar = sar;
+					if (price.low < state.ep) {
+						state.ep = price.low;
+						state.af = Math.min(state.af + this.increment, this.maximum);
+					}
+				}
+			}
+			row = { base: state.sar, trend: state.trend };
+		}
+		
+		this.bars.push({ high: price.high, low: price.low, close: price.close });
+		if (this.bars.length > 2) this.bars.shift();
+		return row;
+	}
+}
+
+/**
+ * Ichimoku Cloud. `base` holds the tenkan-sen (conversion line).
+ *
+ * Displaced spans never look ahead: each row only holds values known at that bar.
+ * - `leadA` / `leadB`: senkou span A and B calculated on this bar, plotted `displacement - 1` bars ahead.
+ * - `senkouA` / `senkouB`: the cloud at this bar, i.e. the leads calculated `displacement - 1` bars ago
+ *   (the current bar counts as the first of `displacement`, as on most charting platforms).
+ * - `chikou`: the close of this bar, plotted `displacement - 1` bars back; compare it with the price
+ *   of that bar (`data.price.last(displacement - 1)`).
+ * @class
+ * @extends Indicator
+ */
+export class IchimokuCloud extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.tenkanPeriod=9]
+	 * @param {number} [options.kijunPeriod=26]
+	 * @param {number} [options.senkouPeriod=52] - Period of senkou span B.
+	 * @param {number} [options.displacement=26]
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.inputType = 'priceArray';
+		const positive = (n, fallback) => typeof n === 'number' && n > 0 ? n : fallback;
+		this.tenkanPeriod = positive(options.tenkanPeriod, 9);
+		this.kijunPeriod = positive(options.kijunPeriod, 26);
+		this.senkouPeriod = positive(options.senkouPeriod, 52);
+		this.displacement = positive(options.displacement, 26);
+		this.addKey('tenkan', 'kijun', 'senkouA', 'senkouB', 'leadA', 'leadB', 'chikou');
+		this.extremes = {
+			tenkan: new RollingExtremes(this.tenkanPeriod),
+			kijun: new RollingExtremes(this.kijunPeriod),
+			senkou: new RollingExtremes(this.senkouPeriod)
+		};
+		this.leads = []; // leadA/leadB yang belum mencapai bar tempatnya diplot
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {Object}
+	 */
+	next(price) {
+		for (let key in this.extremes) {
+			this.extremes[key].push(price.high, price.low);
+		}
+		
+		const tenkan = IchimokuCloud.midpoint(this.extremes.tenkan);
+		const kijun = IchimokuCloud.midpoint(this.extremes.kijun);
+		const leadA = tenkan !== null && kijun !== null ? (tenkan + kijun) / 2 : null;
+		const leadB = IchimokuCloud.midpoint(this.extremes.senkou);
+		
+		this.leads.push({ leadA, leadB });
+		const cloud = this.leads.length >= this.displacement ? this.leads.shift() : { leadA: null, leadB: null };
+		
+		return {
+			base: tenkan,
+			tenkan,
+			kijun,
+			senkouA: cloud.leadA,
+			senkouB: cloud.leadB,
+			leadA,
+			leadB,
+			chikou: price.close
+		};
+	}
+	
+	/**
+	 * Midpoint of the highest high and lowest low of a window.
+	 * @param {RollingExtremes} extremes
+	 * @returns {number|null} - null until the window is full.
+	 */
+	static midpoint(extremes) {
+		if (!extremes.ready) return null;
+		return (extremes.highest + extremes.lowest) / 2;
+	}
+}
+
+/**
+ * Aroon: how many bars ago the highest high and lowest low of the last `period` bars occurred.
+ * `base` holds the oscillator (up - down).
+ * @class
+ * @extends Indicator
+ */
+export class Aroon extends Indicator {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.period=25]
+	 */
+	constructor(options = {}) {
+		super({ ...options, period: options.period ?? 25 });
+		this.inputType = 'priceArray';
+		this.addKey('up', 'down');
+		this.extremes = new RollingExtremes(this.period + 1);
+	}
+	
+	/**
+	 * @param {PriceObject} price
+	 * @returns {{base: number|null, up: number|null, down: number|null}}
+	 */
+	next(price) {
+		this.extremes.push(price.high, price.low);
+		if (!this.extremes.ready) return { base: null, up: null, down: null };
+		
+		// bar terbaru dipilih jika ada nilai ekstrem yang sama
+		const up = (this.period - this.extremes.highestAge) / this.period * 100;
+		const down = (this.period - this.extremes.lowestAge) / this.period * 100;
+		return { base: up - down, up, down };
 	}
 }
 
@@ -452,7 +1717,24 @@ export class SuperTrend extends AverageTrueRange {
  * MACD: typeof MovingAverageConvergenceDivergence,
  * RSI: typeof RelativeStrengthIndex,
  * ATR: typeof AverageTrueRange,
- * ST: typeof SuperTrend
+ * ST: typeof SuperTrend,
+ * BB: typeof BollingerBands,
+ * KC: typeof KeltnerChannels,
+ * DC: typeof DonchianChannels,
+ * STOCH: typeof Stochastic,
+ * STOCHRSI: typeof StochasticRSI,
+ * CCI: typeof CommodityChannelIndex,
+ * WILLR: typeof WilliamsR,
+ * ROC: typeof RateOfChange,
+ * OBV: typeof OnBalanceVolume,
+ * VWAP: typeof VolumeWeightedAveragePrice,
+ * MFI: typeof MoneyFlowIndex,
+ * AD: typeof AccumulationDistribution,
+ * CMF: typeof ChaikinMoneyFlow,
+ * ADX: typeof AverageDirectionalIndex,
+ * PSAR: typeof ParabolicSAR,
+ * ICHIMOKU: typeof IchimokuCloud,
+ * AROON: typeof Aroon
  * }}
  */
 export const Indicators = {
@@ -461,5 +1743,22 @@ export const Indicators = {
 	MACD: MovingAverageConvergenceDivergence,
 	RSI: RelativeStrengthIndex,
 	ATR: AverageTrueRange,
-	ST: SuperTrend
+	ST: SuperTrend,
+	BB: BollingerBands,
+	KC: KeltnerChannels,
+	DC: DonchianChannels,
+	STOCH: Stochastic,
+	STOCHRSI: StochasticRSI,
+	CCI: CommodityChannelIndex,
+	WILLR: WilliamsR,
+	ROC: RateOfChange,
+	OBV: OnBalanceVolume,
+	VWAP: VolumeWeightedAveragePrice,
+	MFI: MoneyFlowIndex,
+	AD: AccumulationDistribution,
+	CMF: ChaikinMoneyFlow,
+	ADX: AverageDirectionalIndex,
+	PSAR: ParabolicSAR,
+	ICHIMOKU: IchimokuCloud,
+	AROON: Aroon
 };
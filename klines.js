@@ -2,6 +2,119 @@
 
 import {ArrayMap} from './utils.js';
 
+/**
+ * @typedef {'csv'|'tsv'|'json'|'ndjson'} TextFormat
+ */
+
+/**
+ * @typedef {'duplicate'|'order'|'gap'|'highLow'|'range'|'nan'|'zeroVolume'} IssueType
+ */
+
+/**
+ * @typedef KlineIssue
+ * @property {IssueType} type - `duplicate` timestamp seen before, `order` timestamp older than the
+ * previous one, `gap` missing intervals before the Kline, `highLow` high below low, `range` open or
+ * close outside the high-low range, `nan` a field that is not a number, `zeroVolume` no volume.
+ * @property {number} index - Index of the Kline in the checked list.
+ * @property {number} timestamp
+ * @property {string} [field] - Field of a `range` or `nan` issue.
+ * @property {number} [missing] - Number of missing Klines of a `gap` issue.
+ */
+
+/**
+ * @typedef ValidationReport
+ * @property {boolean} valid - Whether no issue was found.
+ * @property {number|null} interval - Interval used to find gaps in ms, null when it is unknown.
+ * @property {KlineIssue[]} issues
+ * @property {{[type: string]: number}} counts - Number of issues per type.
+ */
+
+/**
+ * @typedef {'ffill'|'drop'|'interpolate'} RepairPolicy
+ */
+
+/** Duration of the interval units in ms, a month is counted as 30 days. */
+const UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000, M: 2592000000 };
+
+/** Price fields checked and repaired by `Klines.validate` and `Klines.repair`. */
+const PRICES = ['open', 'high', 'low', 'close'];
+
+/**
+ * Most common positive spacing between consecutive timestamps.
+ * @param {number[]} timestamps
+ * @returns {number|null}
+ */
+const commonSpacing = (timestamps) => {
+	const counts = new Map();
+	let spacing = null;
+	for (let i = 1; i < timestamps.length; i++) {
+		const diff = timestamps[i] - timestamps[i - 1];
+		if (!(diff > 0)) continue;
+		counts.set(diff, (counts.get(diff) || 0) + 1);
+		if (spacing === null || counts.get(diff) > counts.get(spacing)) spacing = diff;
+	}
+	return spacing;
+};
+
+/**
+ * Header names recognized for each Kline field, compared in lower case without spaces and symbols.
+ * @type {{[field: string]: string[]}}
+ */
+const ALIASES = {
+	timestamp: ['timestamp', 'time', 't', 'ts', 'date', 'datetime', 'opentime', 'starttime', 'unix', 'unixtime'],
+	open: ['open', 'o', 'openprice'],
+	high: ['high', 'h', 'highprice'],
+	low: ['low', 'l', 'lowprice'],
+	close: ['close', 'c', 'closeprice'],
+	volume: ['volume', 'vol', 'v', 'basevolume']
+};
+
+/**
+ * Splits a delimited line into cells, supporting double-quoted cells.
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+const splitLine = (line, delimiter) => {
+	const cells = [];
+	let cell = '';
+	let quoted = false;
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+		if (quoted) {
+			if (char === '"' && line[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === delimiter) {
+			cells.push(cell.trim());
+			cell = '';
+		} else {
+			cell += char;
+		}
+	}
+	cells.push(cell.trim());
+	return cells;
+};
+
+/**
+ * Formats a cell of a delimited line, quoting it when needed.
+ * @param {any} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+const formatCell = (value, delimiter) => {
+	if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) return '';
+	const text = String(value);
+	return text.includes(delimiter) || text.includes('"') || text.includes('\n') ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 /**
  * Represents a collection of Klines (candlestick data) with utility methods to manipulate and parse them.
  * Extends ArrayMap for column-based storage.
@@ -9,11 +122,12 @@ import {ArrayMap} from './utils.js';
 export class Klines extends ArrayMap {
 	/**
 	 * Constructs a new Klines instance with a default limit of 100.
+	 * @param {number} [limit=100] - Maximum number of Klines kept, older ones are dropped first.
 	 */
-	constructor() {
+	constructor(limit = 100) {
 		super(); // pastikan ini ada agar pewarisan berjalan benar
 		/** @type {number} */
-		this.limit = 100;
+		this.limit = typeof limit === 'number' && limit > 0 ? limit : 100;
 	}
 	
 	/**
@@ -27,6 +141,18 @@ export class Klines extends ArrayMap {
 		super.push(...results);
 	}
 	
+	/**
+	 * Replaces the last Kline, e.g. with a newer version of a candle that is still forming.
+	 * Adds the Kline when the collection is empty.
+	 * @param {Object} object - Kline object replacing the last one.
+	 */
+	updateLast(object) {
+		const [result] = Klines.invert([object]);
+		if (!result) return;
+		if (!this.length) return this.push(result);
+		super.splice(this.length - 1, 1, result);
+	}
+	
 	/**
 	 * Removes and/or inserts Kline objects at the specified index.
 	 * @param {number} start - The starting index for the splice operation.
@@ -77,6 +203,104 @@ export class Klines extends ArrayMap {
 		return result;
 	}
 	
+	/**
+	 * Adds the Klines of a CSV, TSV, JSON or NDJSON text, see `Klines.read`.
+	 * @param {string} text
+	 * @param {Object} [options] - Options of `Klines.read`.
+	 * @returns {this}
+	 */
+	import(text, options = {}) {
+		const klines = Klines.read(text, options);
+		if (klines.length) this.push(...klines);
+		return this;
+	}
+	
+	/**
+	 * Exports the Klines, optionally together with indicator columns, as CSV, TSV, JSON or NDJSON.
+	 * Indicator rows are aligned to the Klines from the newest row backwards; a `base` column is
+	 * named after its indicator, other columns `key.column` (e.g. `macd.signal`).
+	 * @param {TextFormat} [format='csv']
+	 * @param {Object} [options]
+	 * @param {{[key: string]: ArrayMap}} [options.indicators={}] - Indicators to include, e.g. `data.indicators`.
+	 * @param {'ms'|'s'|'iso'} [options.time='ms'] - Format of the timestamp column.
+	 * @returns {string}
+	 */
+	export(format = 'csv', { indicators = {}, time = 'ms' } = {}) {
+		const table = new ArrayMap(...Klines.source.slice(0, 6));
+		const length = this.length;
+		for (let i = 0; i < length; i++) {
+			const row = this.getItemAt(i);
+			if (time === 'iso') row.timestamp = new Date(row.timestamp).toISOString();
+			else if (time === 's') row.timestamp = Math.floor(row.timestamp / 1000);
+			
+			for (let key in indicators) {
+				const indicator = indicators[key];
+				const j = indicator.length - (length - i);
+				for (let column in indicator.values) {
+					row[column === 'base' ? key : `${key}.${column}`] = j >= 0 ? indicator.values[column][j] : null;
+				}
+			}
+			table.push(row);
+		}
+		return Klines.write(table, format);
+	}
+	
+	/**
+	 * Aggregates the Klines into a higher interval (OHLCV rollup). Periods are aligned to UTC:
+	 * minutes, hours and days to the unix epoch, weeks to Monday and months to the calendar month.
+	 * @param {string} interval - Target interval, e.g. "4h", "1d", "1w", "1M".
+	 * @param {Object} [options]
+	 * @param {boolean} [options.partial=true] - Keep the last period when it is not complete yet,
+	 * i.e. when its last Kline does not reach the end of the period.
+	 * @returns {Klines} - A new Klines with the same limit.
+	 */
+	resample(interval, { partial = true } = {}) {
+		const result = new Klines(this.limit);
+		/** @type {Object|null} */
+		let bar = null;
+		let spacing = Infinity;
+		
+		for (let i = 0; i < this.length; i++) {
+			const kline = this.getItemAt(i);
+			if (i > 0 && kline.timestamp > this.values['timestamp'][i - 1]) {
+				spacing = Math.min(spacing, kline.timestamp - this.values['timestamp'][i - 1]);
+			}
+			const start = Klines.bucket(kline.timestamp, interval);
+			if (bar && bar.timestamp !== start) {
+				result.push(bar);
+				bar = null;
+			}
+			bar = Klines.merge(bar, { ...kline, timestamp: start });
+		}
+		
+		if (bar) {
+			const last = this.values['timestamp'][this.length - 1];
+			if (partial || last + spacing >= Klines.bucket(bar.timestamp, interval, 1)) result.push(bar);
+		}
+		return result;
+	}
+	
+	/**
+	 * Checks the Klines for data problems, see `Klines.validate`.
+	 * @param {Object} [options] - Options of `Klines.validate`.
+	 * @returns {ValidationReport}
+	 */
+	validate(options = {}) {
+		return Klines.validate(this.map(kline => kline), options);
+	}
+	
+	/**
+	 * Repairs the Klines, see `Klines.repair`.
+	 * @param {Object} [options] - Options of `Klines.repair`.
+	 * @returns {Klines} - A new Klines with the same limit.
+	 */
+	repair(options = {}) {
+		const result = new Klines(this.limit);
+		const klines = Klines.repair(this.map(kline => kline), options);
+		if (klines.length) result.push(...klines);
+		return result;
+	}
+	
 	/**
 	 * Returns the list of supported source fields for Kline data.
 	 * @returns {string[]} - The supported source field names.
@@ -84,31 +308,36 @@ export class Klines extends ArrayMap {
 	static get source() { return ['timestamp', 'open', 'high', 'low', 'close', 'volume', 'hl2', 'hlc3', 'ohlc4', 'hlcc4']; }
 	
 	/**
-	 * Converts raw input data with various key names into normalized Kline format.
+	 * Converts raw input data with various key names into normalized Kline format. The key naming
+	 * is detected from the first row with a numeric open, or from the keys when no row has one.
+	 * Every row is kept; values that are not numbers become NaN, see `Klines.validate`.
 	 * @param {Object[]} [data=[]] - The raw array of Kline-like objects with varied key naming.
 	 * @returns {Object[]} - The normalized array of Kline objects.
 	 */
 	static invert(data = []) {
 		if (!data?.length) return [];
 		
-		let keysOut = this.source.slice(6, 10);
-		let keysIn = null;
+		let keysOut = this.source.slice(0, 6);
 		let result = [];
 		
 		const candidates = [1, 'o', 'open', 'O', 'OPEN'];
 		const transformFn = [
-			(e) => e[0],
+			(e, i) => i, // [timestamp, open, high, low, close, volume, ...]
 			(e) => e[0],
 			(e) => e,
 			(e) => e[0].toUpperCase(),
 			(e) => e.toUpperCase()
 		];
-		for (let i = 0; i < candidates.length; i++) {
-			if (!isNaN(parseFloat(data[0][candidates[i]]))) {
-				keysIn = keysOut.map(transformFn[i]);
-				break;
+		const detect = (test) => {
+			for (let d of data) {
+				if (d === null || typeof d !== 'object') continue;
+				const i = candidates.findIndex(key => test(d, key));
+				if (i >= 0) return keysOut.map(transformFn[i]);
 			}
-		}
+			return null;
+		};
+		// bar pertama yang rusak tidak menentukan format, baris tanpa angka sama sekali dikenali dari key-nya
+		const keysIn = detect((d, key) => !isNaN(parseFloat(d[key]))) ?? detect((d, key) => key in d);
 		
 		if (keysIn === null) return [];
 		
@@ -116,8 +345,8 @@ export class Klines extends ArrayMap {
 			const c = {};
 			for (let i = 0; i < keysIn.length; i++) {
 				c[keysOut[i]] = i === 0 ?
-					parseInt(d[keysIn[i]]) :
-					parseFloat(d[keysIn[i]]);
+					parseInt(d?.[keysIn[i]]) :
+					parseFloat(d?.[keysIn[i]]);
 			}
 			result.push(c);
 		}
@@ -125,6 +354,332 @@ export class Klines extends ArrayMap {
 		return result;
 	}
 	
+	/**
+	 * Reads Klines from a CSV, TSV, JSON or NDJSON text. The columns are detected from the header
+	 * (or the object keys) by their common names, e.g. `time`/`date`/`open_time`, `o`/`open`,
+	 * `vol`/`volume`; without a header the columns are read in the order
+	 * `timestamp, open, high, low, close, volume`. Timestamps may be seconds, milliseconds,
+	 * microseconds or date strings, see `Klines.time`. The order of the rows is kept.
+	 * @param {string} text
+	 * @param {Object} [options]
+	 * @param {TextFormat|'auto'} [options.format='auto']
+	 * @param {string} [options.delimiter] - Delimiter of CSV text, detected from the first line by default.
+	 * @returns {Object[]} - Normalized Kline objects.
+	 */
+	static read(text, { format = 'auto', delimiter } = {}) {
+		const source = String(text ?? '').replace(/^\uFEFF/, '').trim();
+		if (!source) return [];
+		if (format === 'auto') format = Klines.detect(source);
+		
+		let records;
+		if (format === 'json') {
+			const data = JSON.parse(source);
+			records = Array.isArray(data) ? data : [data];
+		} else if (format === 'ndjson') {
+			records = source.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+		} else {
+			const lines = source.split(/\r?\n/).filter(line => line.trim());
+			if (!delimiter) {
+				delimiter = format === 'tsv' ? '\t' :
+					['\t', ';', ','].reduce((a, d) => lines[0].split(d).length > lines[0].split(a).length ? d : a, ',');
+			}
+			records = lines.map(line => splitLine(line, delimiter));
+			// baris pertama adalah header jika tidak ada sel berupa angka
+			const header = records[0].some(cell => cell !== '' && isFinite(Number(cell))) ? null : records.shift();
+			if (header) {
+				records = records.map(cells => Object.fromEntries(header.map((name, i) => [name, cells[i]])));
+			}
+		}
+		
+		if (!records.length) return [];
+		const keys = Klines.columns(records[0]);
+		return records.map(record => ({
+			timestamp: Klines.time(record[keys.timestamp]),
+			open: parseFloat(record[keys.open]),
+			high: parseFloat(record[keys.high]),
+			low: parseFloat(record[keys.low]),
+			close: parseFloat(record[keys.close]),
+			volume: keys.volume === undefined ? 0 : parseFloat(record[keys.volume])
+		}));
+	}
+	
+	/**
+	 * Duration of an interval in ms.
+	 * @param {string} interval - e.g. "15m", "4h", "1d"; a month ("1M") is counted as 30 days.
+	 * @returns {number}
+	 */
+	static duration(interval) {
+		const match = String(interval).match(/^(\d+)([mhdwM])$/);
+		if (!match) throw new Error(`Unknown interval ${interval}`);
+		return parseInt(match[1]) * UNITS[match[2]];
+	}
+	
+	/**
+	 * Start of the UTC-aligned period of an interval containing a timestamp.
+	 * @param {number} timestamp
+	 * @param {string} interval
+	 * @param {number} [offset=0] - Periods to move, 1 gives the start of the next period (the end of this one).
+	 * @returns {number}
+	 */
+	static bucket(timestamp, interval, offset = 0) {
+		const size = Klines.duration(interval);
+		const [, count, unit] = String(interval).match(/^(\d+)([mhdwM])$/);
+		if (unit === 'M') {
+			const date = new Date(timestamp);
+			const months = Math.floor((date.getUTCFullYear() * 12 + date.getUTCMonth()) / count) * count + offset * count;
+			return Date.UTC(Math.floor(months / 12), months % 12, 1);
+		}
+		// minggu dimulai hari Senin, 1 Jan 1970 adalah hari Kamis
+		const shift = unit === 'w' ? 4 * UNITS.d : 0;
+		return Math.floor((timestamp - shift) / size) * size + shift + offset * size;
+	}
+	
+	/**
+	 * Merges a Kline into an aggregated Kline of a higher interval.
+	 * @param {Object|null} bar - Aggregated Kline so far, null for the first Kline of a period.
+	 * @param {Object} kline - Next Kline of the period.
+	 * @returns {Object} - New aggregated Kline, keeping the timestamp of `bar`.
+	 */
+	static merge(bar, kline) {
+		if (!bar) return { ...kline };
+		return {
+			timestamp: bar.timestamp,
+			open: bar.open,
+			high: Math.max(bar.high, kline.high),
+			low: Math.min(bar.low, kline.low),
+			close: kline.close,
+			volume: (bar.volume || 0) + (kline.volume || 0)
+		};
+	}
+	
+	/**
+	 * Checks a list of Klines, in the given order, for duplicate or out-of-order timestamps, missing
+	 * intervals, high below low, open/close outside the high-low range, fields that are not numbers
+	 * and zero-volume Klines.
+	 * @param {Object[]} klines - Normalized Kline objects, e.g. from `Klines.invert` or `Klines.read`.
+	 * @param {Object} [options]
+	 * @param {string} [options.interval] - Expected interval, e.g. "1h"; by default the most common
+	 * spacing between the timestamps.
+	 * @returns {ValidationReport}
+	 */
+	static validate(klines = [], { interval } = {}) {
+		const spacing = interval ? Klines.duration(interval) : commonSpacing(klines.map(kline => kline.timestamp));
+		/** @type {KlineIssue[]} */
+		const issues = [];
+		const seen = new Set();
+		let latest = -Infinity;
+		
+		klines.forEach((kline, index) => {
+			const { timestamp } = kline;
+			const issue = (type, extra) => issues.push({ type, index, timestamp, ...extra });
+			
+			for (let field of Klines.source.slice(0, 6)) {
+				if (typeof kline[field] !== 'number' || !isFinite(kline[field])) issue('nan', { field });
+			}
+			
+			if (isFinite(timestamp)) {
+				if (seen.has(timestamp)) {
+					issue('duplicate');
+				} else if (timestamp < latest) {
+					issue('order');
+				} else if (spacing && isFinite(latest)) {
+					const missing = Math.round((timestamp - latest) / spacing) - 1;
+					if (missing > 0) issue('gap', { missing });
+				}
+				seen.add(timestamp);
+				latest = Math.max(latest, timestamp);
+			}
+			
+			const { open, high, low, close, volume } = kline;
+			if (high < low) {
+				issue('highLow');
+			} else {
+				if (open > high || open < low) issue('range', { field: 'open' });
+				if (close > high || close < low) issue('range', { field: 'close' });
+			}
+			if (volume === 0) issue('zeroVolume');
+		});
+		
+		const counts = {};
+		for (let { type } of issues) counts[type] = (counts[type] || 0) + 1;
+		return { valid: issues.length === 0, interval: spacing || null, issues, counts };
+	}
+	
+	/**
+	 * Repairs a list of Klines. The Klines are sorted by timestamp and duplicates keep their last
+	 * version; Klines without a timestamp are removed. The other problems are handled by the policy:
+	 * - `ffill`: missing prices take the previous close, missing intervals are filled with flat
+	 *   zero-volume Klines at the previous close.
+	 * - `interpolate`: missing prices and the close of the filled Klines are interpolated linearly in
+	 *   time between the surrounding values.
+	 * - `drop`: Klines with invalid prices, or without volume (zero or not a number), are removed;
+	 *   missing intervals stay missing.
+	 *
+	 * With `ffill` and `interpolate` high and low are widened to include open and close (swapped
+	 * when high is below low), missing volume becomes 0 and zero-volume Klines are kept.
+	 * @param {Object[]} klines - Normalized Kline objects.
+	 * @param {Object} [options]
+	 * @param {RepairPolicy} [options.policy='ffill']
+	 * @param {string} [options.interval] - Expected interval, by default the most common spacing.
+	 * @returns {Object[]} - New Kline objects sorted by timestamp.
+	 */
+	static repair(klines = [], { policy = 'ffill', interval } = {}) {
+		if (!['ffill', 'drop', 'interpolate'].includes(policy)) throw new Error(`Unknown repair policy ${policy}`);
+		
+		/** @type {Map<number, Object>} */
+		const unique = new Map();
+		for (let kline of klines) {
+			if (isFinite(kline.timestamp)) unique.set(kline.timestamp, kline);
+		}
+		const list = Array.from(unique.values()).sort((a, b) => a.timestamp - b.timestamp);
+		const valid = (value) => typeof value === 'number' && isFinite(value);
+		
+		if (policy === 'drop') {
+			// volume yang hilang diperlakukan sama dengan volume nol
+			return list.filter(kline => PRICES.every(field => valid(kline[field])) &&
+				kline.high >= kline.low &&
+				kline.open <= kline.high && kline.open >= kline.low &&
+				kline.close <= kline.high && kline.close >= kline.low &&
+				valid(kline.volume) && kline.volume !== 0
+			).map(kline => ({ ...kline }));
+		}
+		
+		const spacing = interval ? Klines.duration(interval) : commonSpacing(list.map(kline => kline.timestamp));
+		const nextTime = (timestamp) => interval && interval.endsWith('M') ? Klines.bucket(timestamp, interval, 1) : timestamp + spacing;
+		
+		// nilai valid berikutnya per field untuk interpolasi
+		const after = {};
+		if (policy === 'interpolate') {
+			for (let field of PRICES) {
+				after[field] = new Array(list.length);
+				let next = null;
+				for (let i = list.length - 1; i >= 0; i--) {
+					after[field][i] = next;
+					if (valid(list[i][field])) next = list[i];
+				}
+			}
+		}
+		
+		const result = [];
+		list.forEach((kline, i) => {
+			const previous = result.length ? result[result.length - 1] : null;
+			
+			// interval yang hilang sebelum bar ini
+			if (previous && spacing) {
+				const to = valid(kline.open) ? kline.open : previous.close;
+				const times = [];
+				for (let t = nextTime(previous.timestamp); t < kline.timestamp; t = nextTime(t)) times.push(t);
+				times.forEach((timestamp, j) => {
+					const open = result[result.length - 1].close;
+					const close = policy === 'ffill' ? previous.close : previous.close + (to - previous.close) * (j + 1) / (times.length + 1);
+					result.push({ timestamp, open, high: Math.max(open, close), low: Math.min(open, close), close, volume: 0 });
+				});
+			}
+			
+			const repaired = { ...kline, volume: valid(kline.volume) ? kline.volume : 0 };
+			for (let field of PRICES) {
+				if (valid(kline[field])) continue;
+				const next = after[field]?.[i];
+				if (policy === 'interpolate' && previous && next) {
+					repaired[field] = previous[field] + (next[field] - previous[field]) * (kline.timestamp - previous.timestamp) / (next.timestamp - previous.timestamp);
+				} else {
+					repaired[field] = previous ? previous.close : next?.[field];
+				}
+			}
+			// tanpa harga sama sekali (bar pertama tanpa nilai berikutnya) bar dibuang
+			const prices = PRICES.map(field => repaired[field]).filter(valid);
+			if (!prices.length) return;
+			for (let field of PRICES) {
+				if (!valid(repaired[field])) repaired[field] = prices[prices.length - 1];
+			}
+			const values = PRICES.map(field => repaired[field]);
+			repaired.high = Math.max(...values);
+			repaired.low = Math.min(...values);
+			result.push(repaired);
+		});
+		return result;
+	}
+	
+	/**
+	 * Detects the format of a text.
+	 * @param {string} text
+	 * @returns {TextFormat}
+	 */
+	static detect(text) {
+		const source = text.trim();
+		if (source.startsWith('[')) return 'json';
+		if (source.startsWith('{')) {
+			try {
+				JSON.parse(source);
+				return 'json';
+			} catch (e) {
+				return 'ndjson';
+			}
+		}
+		return source.split(/\r?\n/, 1)[0].includes('\t') ? 'tsv' : 'csv';
+	}
+	
+	/**
+	 * Finds the key of every Kline field in a record.
+	 * @param {Array|Object} record - An array (positional columns) or an object with named columns.
+	 * @returns {{[field: string]: string|number}}
+	 */
+	static columns(record) {
+		const fields = Klines.source.slice(0, 6);
+		if (Array.isArray(record)) return Object.fromEntries(fields.map((field, i) => [field, i]));
+		
+		const keys = {};
+		for (let key of Object.keys(record)) {
+			const name = key.toLowerCase().replace(/[^a-z0-9]/g, '');
+			const field = fields.find(f => ALIASES[f].includes(name));
+			if (field && keys[field] === undefined) keys[field] = key;
+		}
+		const missing = ['timestamp', 'open', 'high', 'low', 'close'].filter(field => keys[field] === undefined);
+		if (missing.length) throw new Error(`Cannot detect Kline columns: ${missing.join(', ')}`);
+		return keys;
+	}
+	
+	/**
+	 * Converts a timestamp to milliseconds. Numbers (or numeric strings) below 1e11 are read as
+	 * seconds and above 1e14 as microseconds; other strings are parsed as dates, date-times without
+	 * a time zone are UTC.
+	 * @param {number|string} value
+	 * @returns {number} - NaN when the value is not a timestamp.
+	 */
+	static time(value) {
+		const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+		if (isFinite(number)) {
+			if (Math.abs(number) < 1e11) return Math.round(number * 1000);
+			if (Math.abs(number) >= 1e14) return Math.floor(number / 1000);
+			return Math.round(number);
+		}
+		if (typeof value !== 'string') return NaN;
+		let date = value.trim();
+		if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(date)) date = date.replace(' ', 'T') + 'Z';
+		return Date.parse(date);
+	}
+	
+	/**
+	 * Writes the rows of an ArrayMap (Klines, a ledger, an equity curve, ...) as text.
+	 * @param {ArrayMap} map
+	 * @param {TextFormat} [format='csv']
+	 * @returns {string}
+	 */
+	static write(map, format = 'csv') {
+		const rows = map.map(row => row);
+		if (format === 'json') return JSON.stringify(rows);
+		if (format === 'ndjson') return rows.map(row => JSON.stringify(row)).join('\n');
+		if (format !== 'csv' && format !== 'tsv') throw new Error(`Unknown format ${format}`);
+		
+		const delimiter = format === 'tsv' ? '\t' : ',';
+		const columns = Object.keys(map.values);
+		const lines = [columns.map(column => formatCell(column, delimiter)).join(delimiter)];
+		for (const row of rows) {
+			lines.push(columns.map(column => formatCell(row[column], delimiter)).join(delimiter));
+		}
+		return lines.join('\n');
+	}
+	
 	/**
 	 * Parses a value from a Kline object using a specific source field.
 	 * Supports derived values like hl2, hlc3, etc.
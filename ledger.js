@@ -0,0 +1,141 @@
+// ledger.js
+
+import { ArrayMap } from './utils.js';
+
+/**
+ * @typedef OrderRecord
+ * @property {number} id - Sequential order id, unique within the ledger.
+ * @property {number} timestamp - Timestamp of the bar on which the order was requested.
+ * @property {number|null} filledAt - Timestamp of the bar on which the order was executed.
+ * @property {string} pair - Pair key, e.g. "BTC/USDT".
+ * @property {'buy'|'sell'} side
+ * @property {string} type - Order type: 'market', 'limit', 'stop', 'stopLimit' or 'takeProfit'.
+ * @property {number|null} requested - Requested order value in the quote asset.
+ * @property {number|null} requestedQuantity - Requested order size in the base asset, used instead of `requested` when set.
+ * @property {number|null} limitPrice - Limit price of limit and stop-limit orders.
+ * @property {number|null} stopPrice - Trigger price of stop, stop-limit and take-profit orders.
+ * @property {number|null} group - OCO group id.
+ * @property {number|null} triggeredAt - Timestamp on which a stop-limit order was triggered.
+ * @property {number} price - Execution price (or the price it would have executed at when rejected).
+ * @property {number} quantity - Base asset quantity.
+ * @property {number} value - Quote asset value.
+ * @property {number} fee - Fee charged for the order.
+ * @property {string|null} feeAsset - Symbol the fee was paid in.
+ * @property {'pending'|'open'|'filled'|'cancelled'|'rejected'} status - `pending` market orders wait for
+ * the next bar, `open` orders rest until a bar reaches their price.
+ * @property {string|null} reason - Rejection or cancellation reason.
+ */
+
+/**
+ * @typedef OrderQuery
+ * @property {number} [id]
+ * @property {string} [pair]
+ * @property {'buy'|'sell'} [side]
+ * @property {string} [type]
+ * @property {string} [status]
+ * @property {number} [from] - Inclusive lower timestamp bound.
+ * @property {number} [to] - Inclusive upper timestamp bound.
+ */
+
+/**
+ * Tabular record of every order requested during a simulation, one row per order.
+ * Extends ArrayMap so the columns can be read directly from `values`.
+ */
+export class Ledger extends ArrayMap {
+	constructor() {
+		super(...Ledger.columns);
+		/** @type {number} */
+		this.nextId = 1;
+		/** @type {Map<number, number>} row index per order id, kept by `record` */
+		this.rows = new Map();
+	}
+	
+	/**
+	 * Appends an order to the ledger and assigns its id.
+	 * @param {Omit<OrderRecord, 'id'>} order
+	 * @returns {OrderRecord} - The stored record.
+	 */
+	record(order) {
+		const row = { reason: null, ...order, id: this.nextId++ };
+		this.push(row);
+		this.rows.set(row.id, this.length - 1);
+		return this.getItemAt(this.length - 1);
+	}
+	
+	/**
+	 * Changes fields of a stored order, e.g. when a pending order is executed.
+	 * @param {number} id
+	 * @param {Partial<OrderRecord>} changes
+	 * @returns {OrderRecord|undefined} - The updated record.
+	 */
+	update(id, changes = {}) {
+		const index = this.rows.get(id);
+		if (index === undefined) return;
+		for (let key in changes) {
+			if (key !== 'id') this.setValueAt(index, key, changes[key]);
+		}
+		return this.getItemAt(index);
+	}
+	
+	/**
+	 * Finds an order by id.
+	 * @param {number} id
+	 * @returns {OrderRecord|undefined}
+	 */
+	getOrder(id) {
+		const index = this.rows.get(id);
+		return index === undefined ? undefined : this.getItemAt(index);
+	}
+	
+	/**
+	 * Returns every order matching all given criteria.
+	 * @param {OrderQuery} [query={}]
+	 * @returns {OrderRecord[]}
+	 */
+	query(query = {}) {
+		const { from, to, ...fields } = query;
+		const result = [];
+		this.forEach((order) => {
+			if (typeof from === 'number' && order.timestamp < from) return;
+			if (typeof to === 'number' && order.timestamp > to) return;
+			for (let key in fields) {
+				if (fields[key] !== undefined && order[key] !== fields[key]) return;
+			}
+			result.push(order);
+		});
+		return result;
+	}
+	
+	/**
+	 * Returns the executed orders, optionally limited to one pair.
+	 * @param {string} [pair]
+	 * @returns {OrderRecord[]}
+	 */
+	fills(pair) {
+		return this.query({ pair, status: 'filled' });
+	}
+	
+	/**
+	 * Returns the rejected orders, optionally limited to one pair.
+	 * @param {string} [pair]
+	 * @returns {OrderRecord[]}
+	 */
+	rejections(pair) {
+		return this.query({ pair, status: 'rejected' });
+	}
+	
+	/**
+	 * Clears all orders and restarts the id sequence.
+	 */
+	clear() {
+		super.clear();
+		this.nextId = 1;
+		this.rows.clear();
+	}
+	
+	/**
+	 * Column names of the ledger.
+	 * @returns {string[]}
+	 */
+	static get columns() { return ['id', 'timestamp', 'filledAt', 'pair', 'side', 'type', 'requested', 'requestedQuantity', 'limitPrice', 'stopPrice', 'group', 'triggeredAt', 'price', 'quantity', 'value', 'fee', 'feeAsset', 'status', 'reason']; }
+}
@@ -0,0 +1,95 @@
+// margin.js
+
+/**
+ * @callback FundingRateFunction
+ * @param {string} pair
+ * @param {number} timestamp - Funding time.
+ * @returns {number} - Rate per funding interval, 0.0001 = 0.01%.
+ */
+
+/**
+ * Settings and formulas of the margin / perpetual futures mode.
+ * In this mode positions are held against collateral in the pair's quote asset (cross margin per
+ * quote asset): fills move no base asset, realized profit and fees settle into the quote balance.
+ */
+export class MarginModel {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.leverage=1] - Maximum leverage, sets the default initial margin.
+	 * @param {number} [options.initialMargin] - Margin rate required to open exposure, default `1 / leverage`.
+	 * @param {number} [options.maintenanceMargin=0.005] - Margin rate below which positions are liquidated.
+	 * @param {number} [options.liquidationFee=0] - Fee rate charged on the notional of a liquidation.
+	 * @param {number|FundingRateFunction} [options.fundingRate=0] - Funding rate per interval; positive rates are paid by longs to shorts.
+	 * @param {number} [options.fundingInterval=28800000] - Funding interval in ms (8 hours), aligned to the unix epoch.
+	 */
+	constructor({ leverage = 1, initialMargin, maintenanceMargin = 0.005, liquidationFee = 0, fundingRate = 0, fundingInterval = 8 * 60 * 60 * 1000 } = {}) {
+		this.leverage = typeof leverage === 'number' && leverage > 0 ? leverage : 1;
+		this.initialMargin = typeof initialMargin === 'number' && initialMargin > 0 ? initialMargin : 1 / this.leverage;
+		this.maintenanceMargin = typeof maintenanceMargin === 'number' && maintenanceMargin >= 0 ? maintenanceMargin : 0.005;
+		this.liquidationFee = typeof liquidationFee === 'number' && liquidationFee >= 0 ? liquidationFee : 0;
+		/** @type {number|FundingRateFunction} */
+		this.fundingRate = fundingRate;
+		this.fundingInterval = typeof fundingInterval === 'number' && fundingInterval > 0 ? fundingInterval : 8 * 60 * 60 * 1000;
+	}
+	
+	/**
+	 * Funding rate of a pair at a funding time.
+	 * @param {string} pair
+	 * @param {number} timestamp
+	 * @returns {number}
+	 */
+	rateAt(pair, timestamp) {
+		const rate = typeof this.fundingRate === 'function' ? this.fundingRate(pair, timestamp) : this.fundingRate;
+		return typeof rate === 'number' && isFinite(rate) ? rate : 0;
+	}
+	
+	/**
+	 * Funding times in the half-open range (from, to].
+	 * @param {number} from - Timestamp of the previous bar.
+	 * @param {number} to - Timestamp of the current bar.
+	 * @returns {number[]}
+	 */
+	fundingTimes(from, to) {
+		const times = [];
+		if (typeof from !== 'number' || !(to > from)) return times;
+		const interval = this.fundingInterval;
+		for (let t = Math.floor(from / interval) * interval + interval; t <= to; t += interval) {
+			times.push(t);
+		}
+		return times;
+	}
+	
+	/**
+	 * Margin required to hold a notional value.
+	 * @param {number} notional
+	 * @returns {number}
+	 */
+	required(notional) {
+		return Math.abs(notional) * this.initialMargin;
+	}
+	
+	/**
+	 * Maintenance margin of a notional value.
+	 * @param {number} notional
+	 * @returns {number}
+	 */
+	maintenance(notional) {
+		return Math.abs(notional) * this.maintenanceMargin;
+	}
+	
+	/**
+	 * Price at which the equity of the account drops to the maintenance margin, assuming only
+	 * the price of this position moves.
+	 * @param {number} quantity - Signed position size.
+	 * @param {number} entryPrice - Average entry price.
+	 * @param {number} buffer - Equity of the account without this position's profit, minus the
+	 * maintenance margin of the other positions.
+	 * @returns {number} - NaN when flat or when no positive price reaches the maintenance margin.
+	 */
+	liquidationPrice(quantity, entryPrice, buffer) {
+		if (!quantity) return NaN;
+		// buffer + (P - entry) * q = |q| * P * mmr
+		const price = (entryPrice * quantity - buffer) / (quantity - Math.abs(quantity) * this.maintenanceMargin);
+		return price > 0 ? price : NaN;
+	}
+}
@@ -0,0 +1,245 @@
+// montecarlo.js
+
+import { ArrayMap, createRandom } from './utils.js';
+import { Klines } from './klines.js';
+import { createReport, drawdown } from './report.js';
+
+/**
+ * @typedef Interval
+ * @property {number} mean
+ * @property {number} median
+ * @property {number} lower - Lower bound of the confidence interval.
+ * @property {number} upper - Upper bound of the confidence interval.
+ */
+
+/**
+ * @typedef MonteCarloReport
+ * @property {number} runs - Number of simulated runs.
+ * @property {number} confidence - Confidence level of the intervals, e.g. 0.95.
+ * @property {number} initialEquity
+ * @property {Interval} finalEquity
+ * @property {Interval} maxDrawdown - Largest peak-to-trough loss as a positive fraction.
+ * @property {number} riskOfRuin - Fraction of the runs in which the equity fell to the ruin level.
+ * @property {{finalEquity: number[], maxDrawdown: number[]}} samples - Result of every run.
+ */
+
+/**
+ * Robustness test of a backtest: the result is simulated many times with random changes and the
+ * spread of the outcomes is reported as confidence intervals of the final equity and the maximum
+ * drawdown, together with the risk of ruin. Trade simulations shuffle or resample the closed trades
+ * of a backtest, optionally with random slippage and skipped fills; bootstrap simulations run the
+ * scenario again on candles rebuilt from resampled candle returns. All randomness comes from the
+ * seed and every simulation starts again from it, so a simulation can be repeated exactly, also on
+ * the same instance.
+ */
+export class MonteCarlo {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.runs=1000] - Number of simulated runs.
+	 * @param {number} [options.seed=Date.now()]
+	 * @param {number} [options.confidence=0.95] - Confidence level of the intervals.
+	 * @param {number} [options.ruin=0.5] - Loss of the initial equity counted as ruin, 0.5 = equity fell to half.
+	 */
+	constructor({ runs = 1000, seed = Date.now(), confidence = 0.95, ruin = 0.5 } = {}) {
+		if (!(runs > 0)) throw new Error(`Invalid number of runs ${runs}`);
+		if (!(confidence > 0 && confidence < 1)) throw new Error(`Invalid confidence ${confidence}`);
+		this.runs = runs;
+		this.seed = seed;
+		this.confidence = confidence;
+		this.ruin = ruin;
+		this.random = createRandom(seed);
+	}
+	
+	/**
+	 * Simulates the sequence of closed trades. Every run orders the trades randomly (`shuffle`, same
+	 * trades in another order) or draws as many trades with replacement (`resample`), then adds the
+	 * pnl of every trade to the initial equity.
+	 * @param {import('./trade.js').BacktestResult|import('./report.js').ClosedTrade[]} source - Result of
+	 * `runBacktest` or its closed trades.
+	 * @param {Object} [options]
+	 * @param {'shuffle'|'resample'} [options.method='shuffle']
+	 * @param {number} [options.slippage=0] - Maximum extra slippage in bps, drawn per trade and paid on
+	 * both the entry and the exit value.
+	 * @param {number} [options.skip=0] - Chance that a trade is not filled and has no pnl.
+	 * @param {number} [options.initialEquity] - Required when `source` is a list of trades, by default
+	 * the first value of the equity curve of the result.
+	 * @returns {MonteCarloReport}
+	 */
+	trades(source, { method = 'shuffle', slippage = 0, skip = 0, initialEquity } = {}) {
+		if (method !== 'shuffle' && method !== 'resample') throw new Error(`Unknown trade simulation ${method}`);
+		const trades = Array.isArray(source) ? source.slice() : Object.values(source.positions).flatMap(position => position.trades);
+		trades.sort((a, b) => a.exitTime - b.exitTime);
+		if (initialEquity === undefined) {
+			if (Array.isArray(source)) throw new Error('initialEquity is required for a list of trades');
+			initialEquity = createReport({ equity: source.equity }).initialEquity;
+		}
+		
+		return this.simulate(initialEquity, () => {
+			const sequence = method === 'shuffle' ?
+				this.shuffle(trades.slice()) :
+				trades.map(() => trades[Math.floor(this.random() * trades.length)]);
+			
+			const equity = [initialEquity];
+			for (let trade of sequence) {
+				if (this.random() < skip) continue;
+				// slippage dibayar saat masuk dan keluar posisi
+				const cost = slippage ? this.random() * slippage / 10000 * trade.quantity * (trade.entryPrice + trade.exitPrice) : 0;
+				equity.push(equity[equity.length - 1] + trade.pnl - cost);
+			}
+			return equity;
+		});
+	}
+	
+	/**
+	 * Runs the scenario on candles rebuilt from resampled candle returns (block bootstrap): blocks of
+	 * consecutive candles are drawn with replacement and chained from the first close, keeping the
+	 * gap from the previous close and the shape of every candle relative to its open. Pairs with the
+	 * same number of candles share the drawn blocks, which keeps their correlation.
+	 * @param {() => import('./trade.js').CryptoTradeScenario} factory - Builds a new scenario for every run.
+	 * @param {{[pair: string]: (Array<Object>|ArrayMap)}} data - Candles per pair, as for `runBacktest`.
+	 * @param {Object} [options]
+	 * @param {number} [options.block=20] - Number of consecutive candles per drawn block.
+	 * @returns {MonteCarloReport}
+	 */
+	bootstrap(factory, data, { block = 20 } = {}) {
+		/** @type {{[pair: string]: Object[]}} */
+		const candles = {};
+		for (let pair in data) {
+			const list = data[pair] instanceof ArrayMap ? data[pair].map(item => item) : data[pair];
+			candles[pair] = Klines.invert(list).sort((a, b) => a.timestamp - b.timestamp);
+		}
+		const initialEquity = createReport({ equity: factory().runBacktest(candles).equity }).initialEquity;
+		
+		return this.simulate(initialEquity, () => {
+			/** @type {Map<number, number[]>} urutan index per jumlah candle */
+			const sequences = new Map();
+			const synthetic = {};
+			for (let pair in candles) {
+				const list = candles[pair];
+				if (!sequences.has(list.length)) sequences.set(list.length, this.blocks(list.length, block));
+				synthetic[pair] = MonteCarlo.rebuild(list, sequences.get(list.length));
+			}
+			
+			const result = factory().runBacktest(synthetic);
+			return result.equity.map(row => row.equity).filter(value => isFinite(value));
+		});
+	}
+	
+	/**
+	 * Runs the simulation from the seed and summarizes the equity paths.
+	 * @param {number} initialEquity
+	 * @param {() => number[]} run - Returns the equity path of one run.
+	 * @returns {MonteCarloReport}
+	 */
+	simulate(initialEquity, run) {
+		// setiap simulasi dimulai lagi dari seed agar hasilnya bisa diulang
+		this.random = createRandom(this.seed);
+		const finalEquity = [];
+		const maxDrawdown = [];
+		let ruined = 0;
+		
+		for (let i = 0; i < this.runs; i++) {
+			const equity = run();
+			finalEquity.push(equity.length ? equity[equity.length - 1] : initialEquity);
+			maxDrawdown.push(drawdown(equity.map((value, j) => j), equity).maxDrawdown);
+			if (equity.some(value => value <= initialEquity * (1 - this.ruin))) ruined++;
+		}
+		
+		return {
+			runs: this.runs,
+			confidence: this.confidence,
+			initialEquity,
+			finalEquity: this.interval(finalEquity),
+			maxDrawdown: this.interval(maxDrawdown),
+			riskOfRuin: ruined / this.runs,
+			samples: { finalEquity, maxDrawdown }
+		};
+	}
+	
+	/**
+	 * Mean, median and the confidence interval (percentiles) of the values.
+	 * @param {number[]} values
+	 * @returns {Interval}
+	 */
+	interval(values) {
+		const sorted = values.slice().sort((a, b) => a - b);
+		const tail = (1 - this.confidence) / 2;
+		return {
+			mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+			median: MonteCarlo.percentile(sorted, 0.5),
+			lower: MonteCarlo.percentile(sorted, tail),
+			upper: MonteCarlo.percentile(sorted, 1 - tail)
+		};
+	}
+	
+	/**
+	 * Shuffles an array in place (Fisher-Yates).
+	 * @template T
+	 * @param {T[]} list
+	 * @returns {T[]}
+	 */
+	shuffle(list) {
+		for (let i = list.length - 1; i > 0; i--) {
+			const j = Math.floor(this.random() * (i + 1));
+			[list[i], list[j]] = [list[j], list[i]];
+		}
+		return list;
+	}
+	
+	/**
+	 * Indexes of candles drawn in blocks of consecutive candles. Index 0 is kept as the start.
+	 * @param {number} length - Number of candles.
+	 * @param {number} block
+	 * @returns {number[]}
+	 */
+	blocks(length, block) {
+		const indexes = [0];
+		const size = Math.max(1, Math.min(block, length - 1));
+		while (indexes.length < length) {
+			const start = 1 + Math.floor(this.random() * (length - size));
+			for (let i = start; i < start + size && indexes.length < length; i++) indexes.push(i);
+		}
+		return indexes;
+	}
+	
+	/**
+	 * Rebuilds candles from the returns of the candles at the given indexes. The timestamps and the
+	 * first candle stay the same.
+	 * @param {Object[]} candles - Sorted candles.
+	 * @param {number[]} indexes
+	 * @returns {Object[]}
+	 */
+	static rebuild(candles, indexes) {
+		if (!candles.length) return [];
+		const result = [{ ...candles[0] }];
+		for (let i = 1; i < candles.length; i++) {
+			const source = candles[indexes[i]];
+			const base = candles[indexes[i] - 1].close;
+			const open = result[i - 1].close * source.open / base;
+			const scale = open / source.open;
+			result.push({
+				timestamp: candles[i].timestamp,
+				open,
+				high: source.high * scale,
+				low: source.low * scale,
+				close: source.close * scale,
+				volume: source.volume
+			});
+		}
+		return result;
+	}
+	
+	/**
+	 * Percentile of sorted values with linear interpolation.
+	 * @param {number[]} sorted
+	 * @param {number} p - Between 0 and 1.
+	 * @returns {number}
+	 */
+	static percentile(sorted, p) {
+		if (!sorted.length) return NaN;
+		const position = (sorted.length - 1) * p;
+		const i = Math.floor(position);
+		const next = sorted[Math.min(i + 1, sorted.length - 1)];
+		return sorted[i] + (next - sorted[i]) * (position - i);
+	}
+}
@@ -0,0 +1,20 @@
+// optimizer-worker.js
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { Optimizer } from './optimizer.js';
+
+/**
+ * Worker thread of `Optimizer`: imports the scenario factory once, then runs a backtest on the
+ * candles of `workerData` for every combination of parameters it receives and replies with the report.
+ */
+const { module, exportName, data } = workerData;
+const factory = (await import(module))[exportName];
+if (typeof factory !== 'function') throw new Error(`Module ${module} does not export a scenario factory as ${exportName}`);
+
+parentPort.on('message', ({ params }) => {
+	try {
+		parentPort.postMessage({ report: Optimizer.backtest(factory, data, params) });
+	} catch (e) {
+		parentPort.postMessage({ error: e.message });
+	}
+});
@@ -0,0 +1,388 @@
+// optimizer.js
+
+import { ArrayMap, createRandom } from './utils.js';
+
+/**
+ * @typedef ParameterRange
+ * @property {number} min
+ * @property {number} max
+ * @property {number} [step] - Distance between the values; required by grid search. Without a step
+ * random and genetic search draw any number between `min` and `max`.
+ */
+
+/**
+ * @typedef {{[name: string]: (Array<any>|ParameterRange)}} ParameterSpace
+ * Values of every parameter as a list (e.g. `[9, 12, 21]`, `['ema', 'sma']`) or a range
+ * (e.g. `{ min: 1, max: 4, step: 0.5 }`).
+ */
+
+/**
+ * @callback ScenarioFactory
+ * Builds a new scenario (wallet, indicators, strategies) for a combination of parameters.
+ * @param {{[name: string]: any}} params
+ * @returns {import('./trade.js').CryptoTradeScenario}
+ */
+
+/**
+ * @typedef OptimizationResult
+ * @property {{[name: string]: any}} params
+ * @property {number|null} score - Value of the metric, null when it is not a number.
+ * @property {import('./report.js').PerformanceReport} report
+ */
+
+/**
+ * @typedef PendingTask
+ * @property {{[name: string]: any}} params
+ * @property {(report: Object) => void} resolve
+ * @property {(error: Error) => void} reject
+ */
+
+/**
+ * Converts the candles of every pair to plain arrays, which can be sent to a worker.
+ * @param {{[pair: string]: (Array<Object>|ArrayMap)}} data
+ * @returns {{[pair: string]: Array<Object>}}
+ */
+const toPlainData = (data) => {
+	const result = {};
+	for (let pair in data) {
+		result[pair] = data[pair] instanceof ArrayMap ? data[pair].map(item => item) : data[pair];
+	}
+	return result;
+};
+
+/**
+ * Starts `size` worker threads that run the backtests of `optimizer-worker.js`. Each worker gets
+ * the next pending task when it is done, so slow combinations do not block the others. A worker that
+ * fails or exits rejects its task; the pending tasks are rejected once no worker is left.
+ * @param {number} size
+ * @param {Object} workerData - Module of the scenario factory and the candles.
+ * @returns {Promise<{run: (params: Object) => Promise<Object>, close: () => Promise<void>}>}
+ */
+const createPool = async (size, workerData) => {
+	const { Worker } = await import('node:worker_threads');
+	/** @type {PendingTask[]} */
+	const queue = [];
+	const workers = [];
+	
+	const dispatch = (worker) => {
+		const task = queue.shift();
+		worker.task = task || null;
+		if (task) worker.postMessage({ params: task.params });
+	};
+	
+	let closing = false;
+	
+	/**
+	 * Removes a worker that stopped and rejects its task. The queue stays with the other workers.
+	 * @param {Worker} worker
+	 * @param {Error} error
+	 */
+	const remove = (worker, error) => {
+		const index = workers.indexOf(worker);
+		if (index < 0) return;
+		workers.splice(index, 1);
+		worker.task?.reject(error);
+		worker.task = null;
+		// tanpa worker tersisa, task yang menunggu tidak akan pernah dijalankan
+		if (!workers.length) queue.splice(0).forEach(task => task.reject(error));
+	};
+	
+	for (let i = 0; i < size; i++) {
+		const worker = new Worker(new URL('./optimizer-worker.js', import.meta.url), { workerData });
+		worker.task = null;
+		worker.on('message', ({ report, error }) => {
+			const { task } = worker;
+			if (error) task.reject(new Error(error));
+			else task.resolve(report);
+			dispatch(worker);
+		});
+		worker.on('error', (error) => remove(worker, error));
+		// worker yang keluar tanpa event error (misal process.exit) juga membawa task-nya
+		worker.on('exit', (code) => {
+			if (!closing) remove(worker, new Error(`Optimizer worker stopped with exit code ${code}`));
+		});
+		workers.push(worker);
+	}
+	
+	return {
+		run: (params) => new Promise((resolve, reject) => {
+			if (!workers.length) return reject(new Error('No optimizer worker is running'));
+			queue.push({ params, resolve, reject });
+			const idle = workers.find(worker => worker.task === null);
+			if (idle) dispatch(idle);
+		}),
+		close: async () => {
+			closing = true;
+			await Promise.all(workers.map(worker => worker.terminate()));
+		}
+	};
+};
+
+/**
+ * Searches the parameters of a strategy: every combination of the parameter space is run as an
+ * offline backtest on a new scenario from the factory and the results are ranked by a metric of
+ * `getReport()`. Grid search tries every combination, random search a number of random
+ * combinations and genetic search evolves a population of combinations.
+ *
+ * With the `workers` option the backtests run in parallel on Node `worker_threads`. Functions can
+ * not be sent to a worker, so the factory is then imported by every worker from `module`.
+ */
+export class Optimizer {
+	/**
+	 * @param {ScenarioFactory} factory - e.g. `({ fast, slow }) => new CryptoTradeScenario().setIndicator('fast', 'EMA', { period: fast })...`
+	 * @param {ParameterSpace} space
+	 * @param {Object} [options]
+	 * @param {string|((report: Object) => number)} [options.metric='sharpe'] - Key of the backtest
+	 * report (`totalReturn`, `sharpe`, `profitFactor`, ...) or a function of the report.
+	 * @param {boolean} [options.maximize=true] - Set to false for metrics where lower is better, e.g. `maxDrawdown`.
+	 * @param {(params: Object) => boolean} [options.filter] - Skips invalid combinations, e.g. `({ fast, slow }) => fast < slow`.
+	 * @param {number} [options.seed=Date.now()] - Seed of random and genetic search.
+	 * @param {number} [options.workers=0] - Number of worker threads, 0 runs the backtests on the current thread.
+	 * @param {string|URL} [options.module] - Module exporting the factory, required by `workers`,
+	 * e.g. `new URL('./strategy.js', import.meta.url)`.
+	 * @param {string} [options.exportName='default'] - Export of the factory in `module`.
+	 */
+	constructor(factory, space, { metric = 'sharpe', maximize = true, filter = null, seed = Date.now(), workers = 0, module = null, exportName = 'default' } = {}) {
+		if (typeof factory !== 'function') throw new Error('Scenario factory must be a function');
+		if (workers > 0 && !module) throw new Error('The module option is required to run workers');
+		/** @type {ScenarioFactory} */
+		this.factory = factory;
+		/** @type {ParameterSpace} */
+		this.space = space;
+		this.names = Object.keys(space);
+		this.metric = metric;
+		this.maximize = maximize;
+		this.filter = typeof filter === 'function' ? filter : () => true;
+		this.seed = seed;
+		this.random = createRandom(seed);
+		this.workers = workers;
+		this.module = module;
+		this.exportName = exportName;
+		
+		for (let name of this.names) {
+			const values = space[name];
+			if (Array.isArray(values) ? !values.length : !(values?.max >= values?.min)) {
+				throw new Error(`Invalid values of parameter ${name}`);
+			}
+		}
+	}
+	
+	/**
+	 * Runs a search.
+	 * @param {{[pair: string]: (Array<Object>|ArrayMap)}} data - Candles per pair, as for `runBacktest`.
+	 * @param {Object} [options]
+	 * @param {'grid'|'random'|'genetic'} [options.method='grid']
+	 * @returns {Promise<OptimizationResult[]>} - Evaluated combinations, best first.
+	 */
+	run(data, { method = 'grid', ...options } = {}) {
+		if (method === 'grid') return this.grid(data);
+		if (method === 'random') return this.randomSearch(data, options);
+		if (method === 'genetic') return this.genetic(data, options);
+		return Promise.reject(new Error(`Unknown search method ${method}`));
+	}
+	
+	/**
+	 * Tries every combination of the parameter space.
+	 * @param {{[pair: string]: (Array<Object>|ArrayMap)}} data
+	 * @returns {Promise<OptimizationResult[]>}
+	 */
+	grid(data) {
+		return this.session(data, evaluate => evaluate(this.combinations()));
+	}
+	
+	/**
+	 * Tries random combinations of the parameter space.
+	 * @param {{[pair: string]: (Array<Object>|ArrayMap)}} data
+	 * @param {Object} [options]
+	 * @param {number} [options.samples=50] - Number of combinations.
+	 * @returns {Promise<OptimizationResult[]>}
+	 */
+	randomSearch(data, { samples = 50 } = {}) {
+		return this.session(data, evaluate => evaluate(Array.from({ length: samples }, () => this.sample())));
+	}
+	
+	/**
+	 * Evolves a population of combinations: the best ones are kept (elitism), parents are chosen by
+	 * tournament, children take every parameter from either parent and parameters mutate to a random value.
+	 * @param {{[pair: string]: (Array<Object>|ArrayMap)}} data
+	 * @param {Object} [options]
+	 * @param {number} [options.population=20] - Combinations per generation.
+	 * @param {number} [options.generations=10]
+	 * @param {number} [options.mutation=0.1] - Chance of every parameter to mutate.
+	 * @param {number} [options.elite=2] - Best combinations kept unchanged in the next generation.
+	 * @param {number} [options.tournament=3] - Candidates compared to choose a parent.
+	 * @returns {Promise<OptimizationResult[]>} - Every evaluated combination, best first.
+	 */
+	genetic(data, { population = 20, generations = 10, mutation = 0.1, elite = 2, tournament = 3 } = {}) {
+		return this.session(data, async (evaluate) => {
+			let generation = Array.from({ length: population }, () => this.sample());
+			for (let g = 0; g < generations; g++) {
+				const scored = this.rank(await evaluate(generation));
+				if (g === generations - 1) break;
+				
+				const pick = () => {
+					let best = null;
+					for (let i = 0; i < tournament; i++) {
+						const candidate = scored[Math.floor(this.random() * scored.length)];
+						if (!best || this.compare(candidate, best) < 0) best = candidate;
+					}
+					return best.params;
+				};
+				
+				generation = scored.slice(0, elite).map(result => result.params);
+				while (generation.length < population) {
+					const a = pick();
+					const b = pick();
+					let child = {};
+					for (let name of this.names) {
+						child[name] = this.random() < mutation ? this.value(name) : (this.random() < 0.5 ? a : b)[name];
+					}
+					if (!this.filter(child)) child = this.sample();
+					generation.push(child);
+				}
+			}
+		});
+	}
+	
+	/**
+	 * Runs a search with one cache of evaluated combinations and, with `workers`, one worker pool.
+	 * @param {{[pair: string]: (Array<Object>|ArrayMap)}} data
+	 * @param {(evaluate: (list: Object[]) => Promise<OptimizationResult[]>) => Promise<any>} search
+	 * @returns {Promise<OptimizationResult[]>}
+	 */
+	async session(data, search) {
+		/** @type {Map<string, Promise<OptimizationResult>>} */
+		const cache = new Map();
+		const pool = this.workers > 0 ? await createPool(this.workers, {
+			module: await this.moduleUrl(),
+			exportName: this.exportName,
+			data: toPlainData(data)
+		}) : null;
+		
+		const evaluate = (list) => Promise.all(list.map((params) => {
+			const key = JSON.stringify(params);
+			if (!cache.has(key)) {
+				const report = pool ? pool.run(params) : Promise.resolve().then(() => Optimizer.backtest(this.factory, data, params));
+				cache.set(key, report.then(report => ({ params, score: this.score(report), report })));
+			}
+			return cache.get(key);
+		}));
+		
+		try {
+			await search(evaluate);
+			return this.rank(await Promise.all(cache.values()));
+		} finally {
+			await pool?.close();
+		}
+	}
+	
+	/**
+	 * Every combination of the parameter space that passes the filter.
+	 * @returns {Object[]}
+	 */
+	combinations() {
+		let list = [{}];
+		for (let name of this.names) {
+			const values = this.values(name);
+			list = list.flatMap(params => values.map(value => ({ ...params, [name]: value })));
+		}
+		return list.filter(this.filter);
+	}
+	
+	/**
+	 * Every value of a parameter.
+	 * @param {string} name
+	 * @returns {Array<any>}
+	 */
+	values(name) {
+		const values = this.space[name];
+		if (Array.isArray(values)) return values;
+		const { min, max, step } = values;
+		if (!(step > 0)) throw new Error(`Parameter ${name} needs a step for grid search`);
+		const list = [];
+		// dibulatkan agar step desimal (0.1, 0.25) tidak menumpuk error floating point
+		for (let i = 0; min + i * step <= max + step * 1e-9; i++) list.push(parseFloat((min + i * step).toPrecision(12)));
+		return list;
+	}
+	
+	/**
+	 * Random value of a parameter.
+	 * @param {string} name
+	 * @returns {any}
+	 */
+	value(name) {
+		const values = this.space[name];
+		if (Array.isArray(values)) return values[Math.floor(this.random() * values.length)];
+		const { min, max, step } = values;
+		if (!(step > 0)) return min + this.random() * (max - min);
+		const count = Math.floor((max - min) / step + 1e-9) + 1;
+		return parseFloat((min + Math.floor(this.random() * count) * step).toPrecision(12));
+	}
+	
+	/**
+	 * Random combination that passes the filter.
+	 * @returns {Object}
+	 */
+	sample() {
+		for (let attempt = 0; attempt < 1000; attempt++) {
+			const params = {};
+			for (let name of this.names) params[name] = this.value(name);
+			if (this.filter(params)) return params;
+		}
+		throw new Error('No parameters found that pass the filter');
+	}
+	
+	/**
+	 * Reads the metric of a backtest report.
+	 * @param {Object} report
+	 * @returns {number|null}
+	 */
+	score(report) {
+		const value = typeof this.metric === 'function' ? this.metric(report) : report[this.metric];
+		return typeof value === 'number' && isFinite(value) ? value : null;
+	}
+	
+	/**
+	 * Orders two results, the better one first and results without a score last.
+	 * @param {OptimizationResult} a
+	 * @param {OptimizationResult} b
+	 * @returns {number}
+	 */
+	compare(a, b) {
+		if (a.score === null || b.score === null) return (a.score === null) - (b.score === null);
+		return this.maximize ? b.score - a.score : a.score - b.score;
+	}
+	
+	/**
+	 * Sorts results, best first.
+	 * @param {OptimizationResult[]} results
+	 * @returns {OptimizationResult[]}
+	 */
+	rank(results) {
+		return results.slice().sort((a, b) => this.compare(a, b));
+	}
+	
+	/**
+	 * URL of `module` that a worker can import; paths are resolved from the working directory.
+	 * @returns {Promise<string>}
+	 */
+	async moduleUrl() {
+		if (this.module instanceof URL) return this.module.href;
+		if (/^(file|data):/.test(this.module)) return this.module;
+		const { pathToFileURL } = await import('node:url');
+		return pathToFileURL(this.module).href;
+	}
+	
+	/**
+	 * Runs one offline backtest and returns its report.
+	 * @param {ScenarioFactory} factory
+	 * @param {{[pair: string]: (Array<Object>|ArrayMap)}} data
+	 * @param {Object} params
+	 * @returns {import('./report.js').PerformanceReport}
+	 */
+	static backtest(factory, data, params) {
+		const scenario = factory(params);
+		scenario.runBacktest(data);
+		return scenario.getReport();
+	}
+}
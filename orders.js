@@ -0,0 +1,326 @@
+// orders.js
+
+import { Ledger } from './ledger.js';
+
+/**
+ * @typedef PriceObject
+ * @property {number} timestamp
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ */
+
+/**
+ * @typedef OrderRequest
+ * @property {'buy'|'sell'} side
+ * @property {'limit'|'stop'|'stopLimit'|'takeProfit'} type
+ * @property {number} [price] - Shorthand for the main price of the type: the limit price of `limit`,
+ * the trigger price of `stop` and `takeProfit`.
+ * @property {number} [limitPrice] - Limit price of `limit` and `stopLimit` orders.
+ * @property {number} [stopPrice] - Trigger price of `stop`, `stopLimit` and `takeProfit` orders.
+ * @property {number} [quantity] - Order size in the base asset.
+ * @property {number} [value] - Order size in the quote asset, used when `quantity` is not given.
+ * @property {number} [group] - OCO group id, filling one order of a group cancels the others.
+ */
+
+/**
+ * @typedef OrderMatch
+ * @property {number} id - Id of the order to fill.
+ * @property {number} position - Where on the bar path the order is reached, 0 = open, 3 = close.
+ * @property {number} price - Reference fill price before slippage.
+ * @property {'maker'|'taker'} liquidity
+ */
+
+/**
+ * Keeps resting orders between bars and decides when a bar's range reaches them.
+ * Orders are stored in the ledger with status `open` until they are filled, cancelled or rejected.
+ */
+export class OrderBook {
+	/**
+	 * @param {Ledger} [ledger] - Ledger the orders are recorded in.
+	 */
+	constructor(ledger = new Ledger()) {
+		/** @type {Ledger} */
+		this.ledger = ledger;
+		/** @type {{[pair: string]: number[]}} ids of the open orders, in placement order */
+		this.openIds = {};
+		/** @type {number} */
+		this.nextGroup = 1;
+	}
+	
+	/**
+	 * Validates an order and records it as open, or as rejected with the reason.
+	 * @param {string} pair
+	 * @param {number} timestamp - Timestamp of the bar the order is placed on.
+	 * @param {OrderRequest} request
+	 * @returns {import('./ledger.js').OrderRecord}
+	 */
+	place(pair, timestamp, request = {}) {
+		const order = OrderBook.normalize(request);
+		const reason = OrderBook.validate(order);
+		const record = this.ledger.record({
+			timestamp,
+			filledAt: null,
+			pair,
+			...order,
+			price: NaN,
+			quantity: 0,
+			value: 0,
+			fee: 0,
+			feeAsset: null,
+			status: reason ? 'rejected' : 'open',
+			reason
+		});
+		if (!reason) (this.openIds[pair] = this.openIds[pair] || []).push(record.id);
+		return record;
+	}
+	
+	/**
+	 * Places two or more orders as a one-cancels-the-other group.
+	 * @param {string} pair
+	 * @param {number} timestamp
+	 * @param {...OrderRequest} requests
+	 * @returns {import('./ledger.js').OrderRecord[]}
+	 */
+	oco(pair, timestamp, ...requests) {
+		const group = this.nextGroup++;
+		return requests.map(request => this.place(pair, timestamp, { ...request, group }));
+	}
+	
+	/**
+	 * Places a protective bracket around a position: a take-profit and a stop-loss in one OCO group.
+	 * @param {string} pair
+	 * @param {number} timestamp
+	 * @param {Object} options
+	 * @param {'buy'|'sell'} [options.side='sell'] - Side of the exit orders, `sell` protects a long position.
+	 * @param {number} [options.quantity]
+	 * @param {number} [options.value]
+	 * @param {number} options.takeProfit - Take-profit trigger price.
+	 * @param {number} options.stopLoss - Stop-loss trigger price.
+	 * @param {number} [options.stopLimit] - Turns the stop-loss into a stop-limit with this limit price.
+	 * @returns {import('./ledger.js').OrderRecord[]} - [take-profit, stop-loss]
+	 */
+	bracket(pair, timestamp, { side = 'sell', quantity, value, takeProfit, stopLoss, stopLimit } = {}) {
+		const size = { side, quantity, value };
+		const stop = typeof stopLimit === 'number' ?
+			{ ...size, type: 'stopLimit', stopPrice: stopLoss, limitPrice: stopLimit } :
+			{ ...size, type: 'stop', stopPrice: stopLoss };
+		return this.oco(pair, timestamp, { ...size, type: 'takeProfit', stopPrice: takeProfit }, stop);
+	}
+	
+	/**
+	 * Cancels an open order.
+	 * @param {number} id
+	 * @param {string|null} [reason=null]
+	 * @returns {boolean} - false when the order is not open.
+	 */
+	cancel(id, reason = null) {
+		const order = this.ledger.getOrder(id);
+		if (!order || order.status !== 'open') return false;
+		this.remove(order);
+		this.ledger.update(id, { status: 'cancelled', reason });
+		return true;
+	}
+	
+	/**
+	 * Changes the prices or the size of an open order.
+	 * @param {number} id
+	 * @param {Partial<OrderRequest>} changes
+	 * @returns {import('./ledger.js').OrderRecord|undefined} - The updated order, or undefined when the
+	 * order is not open or the changes are invalid.
+	 */
+	modify(id, changes = {}) {
+		const order = this.ledger.getOrder(id);
+		if (!order || order.status !== 'open') return;
+		
+		const { price, ...rest } = changes;
+		/** @type {OrderRequest} */
+		const request = {
+			side: order.side,
+			type: order.type,
+			limitPrice: order.limitPrice,
+			stopPrice: order.stopPrice,
+			group: order.group
+		};
+		// ukuran baru menggantikan ukuran lama, baik dalam base maupun quote
+		if (typeof rest.quantity !== 'number' && typeof rest.value !== 'number') {
+			request.quantity = order.requestedQuantity ?? undefined;
+			request.value = order.requested ?? undefined;
+		}
+		if (typeof price === 'number') {
+			if (order.type === 'limit') request.limitPrice = price;
+			else if (order.type !== 'stopLimit') request.stopPrice = price;
+		}
+		
+		const { triggeredAt, ...next } = OrderBook.normalize({ ...request, ...rest, side: order.side, type: order.type });
+		if (OrderBook.validate(next)) return;
+		return this.ledger.update(id, next);
+	}
+	
+	/**
+	 * Returns the open orders, optionally limited to one pair.
+	 * @param {string} [pair]
+	 * @returns {import('./ledger.js').OrderRecord[]}
+	 */
+	open(pair) {
+		const pairs = pair ? [pair] : Object.keys(this.openIds);
+		return pairs.flatMap(p => (this.openIds[p] || []).map(id => this.ledger.getOrder(id)));
+	}
+	
+	/**
+	 * Finds the open orders of a pair reached by a bar, ordered by when the bar path reaches them.
+	 * Stop-limit orders whose stop is reached are marked as triggered and become limit orders; when
+	 * the limit is not marketable at the trigger, the rest of the trigger bar's path can still fill it.
+	 * @param {string} pair
+	 * @param {PriceObject} bar
+	 * @returns {OrderMatch[]}
+	 */
+	match(pair, bar) {
+		/** @type {OrderMatch[]} */
+		const matches = [];
+		
+		for (const order of this.open(pair)) {
+			const buy = order.side === 'buy';
+			
+			switch (order.type) {
+				case 'limit': {
+					const hit = OrderBook.cross(bar, order.limitPrice, buy ? 'down' : 'up');
+					if (hit) matches.push({ id: order.id, ...hit, liquidity: 'maker' });
+					break;
+				}
+				case 'stop':
+				case 'takeProfit': {
+					// stop beli di atas harga, take-profit beli di bawah harga
+					const up = (order.type === 'stop') === buy;
+					const hit = OrderBook.cross(bar, order.stopPrice, up ? 'up' : 'down');
+					if (hit) matches.push({ id: order.id, ...hit, liquidity: 'taker' });
+					break;
+				}
+				case 'stopLimit': {
+					if (order.triggeredAt !== null && order.triggeredAt !== undefined) {
+						const hit = OrderBook.cross(bar, order.limitPrice, buy ? 'down' : 'up');
+						if (hit) matches.push({ id: order.id, ...hit, liquidity: 'maker' });
+						break;
+					}
+					const hit = OrderBook.cross(bar, order.stopPrice, buy ? 'up' : 'down');
+					if (!hit) break;
+					this.ledger.update(order.id, { triggeredAt: bar.timestamp });
+					// harga saat trigger sudah memenuhi limit: langsung tereksekusi, jika tidak
+					// order menjadi limit yang masih bisa tersentuh oleh sisa jalur harga bar ini
+					const marketable = buy ? hit.price <= order.limitPrice : hit.price >= order.limitPrice;
+					if (marketable) {
+						matches.push({ id: order.id, ...hit, liquidity: 'taker' });
+						break;
+					}
+					const rest = OrderBook.cross(bar, order.limitPrice, buy ? 'down' : 'up', hit.position);
+					if (rest) matches.push({ id: order.id, ...rest, liquidity: 'maker' });
+					break;
+				}
+			}
+		}
+		
+		return matches.sort((a, b) => a.position - b.position);
+	}
+	
+	/**
+	 * Stores the result of a fill attempt and closes the order. A filled order cancels the rest of its OCO group.
+	 * @param {number} id
+	 * @param {Partial<import('./ledger.js').OrderRecord>} result - Ledger fields of the fill attempt.
+	 * @returns {import('./ledger.js').OrderRecord}
+	 */
+	settle(id, result) {
+		const order = this.ledger.getOrder(id);
+		this.remove(order);
+		const record = this.ledger.update(id, result);
+		if (record.status === 'filled' && order.group !== null && order.group !== undefined) {
+			for (const sibling of this.open(order.pair)) {
+				if (sibling.group === order.group) this.cancel(sibling.id, `oco ${id} filled`);
+			}
+		}
+		return record;
+	}
+	
+	/**
+	 * Drops an order from the open list.
+	 * @param {import('./ledger.js').OrderRecord} order
+	 */
+	remove(order) {
+		const ids = this.openIds[order.pair] || [];
+		const index = ids.indexOf(order.id);
+		if (index >= 0) ids.splice(index, 1);
+	}
+	
+	/**
+	 * Maps an order request onto ledger fields.
+	 * @param {OrderRequest} request
+	 * @returns {Object}
+	 */
+	static normalize({ side, type, price, limitPrice, stopPrice, quantity, value, group = null } = {}) {
+		const hasQuantity = typeof quantity === 'number';
+		return {
+			side,
+			type,
+			limitPrice: limitPrice ?? (type === 'limit' ? price : null) ?? null,
+			stopPrice: stopPrice ?? (type === 'stop' || type === 'takeProfit' ? price : null) ?? null,
+			requestedQuantity: hasQuantity ? quantity : null,
+			requested: hasQuantity ? null : (value ?? null),
+			group,
+			triggeredAt: null
+		};
+	}
+	
+	/**
+	 * Checks a normalized order.
+	 * @param {Object} order
+	 * @returns {string|null} - The rejection reason, or null when the order is valid.
+	 */
+	static validate(order) {
+		const positive = (n) => typeof n === 'number' && n > 0;
+		if (order.side !== 'buy' && order.side !== 'sell') return `unknown side ${order.side}`;
+		if (!OrderBook.types.includes(order.type)) return `unknown order type ${order.type}`;
+		if (!positive(order.requestedQuantity) && !positive(order.requested)) return 'invalid quantity';
+		if ((order.type === 'limit' || order.type === 'stopLimit') && !positive(order.limitPrice)) return 'invalid limit price';
+		if (order.type !== 'limit' && !positive(order.stopPrice)) return 'invalid stop price';
+		return null;
+	}
+	
+	/**
+	 * Checks whether a bar reaches a price level, walking the bar as open -> low -> high -> close
+	 * when it closes up and open -> high -> low -> close when it closes down.
+	 * @param {PriceObject} bar
+	 * @param {number} level
+	 * @param {'up'|'down'} direction - 'up' = price at or above `level`, 'down' = at or below.
+	 * @param {number} [from=0] - Position on the path to start walking from, e.g. where a stop-limit triggered.
+	 * @returns {{position: number, price: number}|null} - Gaps through the level fill at the open.
+	 */
+	static cross(bar, level, direction, from = 0) {
+		const up = direction === 'up';
+		if (from === 0) {
+			if (up ? bar.open >= level : bar.open <= level) return { position: 0, price: bar.open };
+			if (up ? bar.high < level : bar.low > level) return null;
+		}
+		
+		const path = bar.close >= bar.open ?
+			[bar.open, bar.low, bar.high, bar.close] :
+			[bar.open, bar.high, bar.low, bar.close];
+		for (let i = Math.floor(from); i < 3; i++) {
+			const start = path[i];
+			const end = path[i + 1];
+			// segmen pertama dimulai dari posisi `from`, bukan dari awal segmen
+			const first = i === Math.floor(from) ? start + (end - start) * (from - i) : start;
+			if (level >= Math.min(first, end) && level <= Math.max(first, end)) {
+				const position = i + (end === start ? 0 : (level - start) / (end - start));
+				return { position: Math.max(position, from), price: level };
+			}
+		}
+		return null;
+	}
+	
+	/**
+	 * Supported resting order types.
+	 * @returns {string[]}
+	 */
+	static get types() { return ['limit', 'stop', 'stopLimit', 'takeProfit']; }
+}
@@ -0,0 +1,180 @@
+// position.js
+
+/**
+ * @typedef PositionFill
+ * @property {'buy'|'sell'} side
+ * @property {number} quantity - Base quantity of the fill.
+ * @property {number} value - Quote value of the fill, before fees.
+ * @property {number} [baseFee=0] - Fee paid in the base asset.
+ * @property {number} [quoteFee=0] - Fee paid in the quote asset.
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef PositionLot
+ * @property {number} quantity - Signed quantity, negative for short lots.
+ * @property {number} price - Entry price including fees.
+ * @property {number} time - Entry timestamp.
+ */
+
+/**
+ * Tracks the holding of one pair on top of the wallet: size, entry price and profit.
+ * Quantities are signed, a negative quantity is a short position.
+ * All prices and profits are in the pair's quote asset and include fees.
+ */
+export class Position {
+	/**
+	 * @param {string} pair - Pair key, e.g. "BTC/USDT".
+	 * @param {Object} [options]
+	 * @param {'fifo'|'average'} [options.method='fifo'] - How closing fills pick their entry price:
+	 * the oldest lots first, or the average cost of the whole position.
+	 * @param {boolean} [options.allowShort=false] - When false, sells beyond the position (e.g. of an
+	 * initial balance with unknown cost) only close the position and never open a short.
+	 */
+	constructor(pair, { method = 'fifo', allowShort = false } = {}) {
+		this.pair = pair;
+		this.method = method === 'average' ? 'average' : 'fifo';
+		this.allowShort = allowShort;
+		/** @type {PositionLot[]} */
+		this.lots = [];
+		/** @type {number} */
+		this.realizedPnl = 0;
+		/** @type {number} */
+		this.price = NaN;
+		/** @type {import('./report.js').ClosedTrade[]} */
+		this.trades = [];
+	}
+	
+	/**
+	 * Signed position size.
+	 * @returns {number}
+	 */
+	get quantity() {
+		return this.lots.reduce((a, lot) => a + lot.quantity, 0);
+	}
+	
+	/**
+	 * Average entry price of the open lots, NaN when flat.
+	 * @returns {number}
+	 */
+	get averagePrice() {
+		const quantity = this.quantity;
+		if (quantity === 0) return NaN;
+		return this.lots.reduce((a, lot) => a + lot.price * lot.quantity, 0) / quantity;
+	}
+	
+	/**
+	 * Profit of the open lots at the last marked price.
+	 * @returns {number}
+	 */
+	get unrealizedPnl() {
+		if (!this.lots.length) return 0;
+		return this.lots.reduce((a, lot) => a + (this.price - lot.price) * lot.quantity, 0);
+	}
+	
+	/**
+	 * Position side.
+	 * @returns {'long'|'short'|'flat'}
+	 */
+	get side() {
+		const quantity = this.quantity;
+		return quantity > 0 ? 'long' : quantity < 0 ? 'short' : 'flat';
+	}
+	
+	/**
+	 * Updates the price used for the unrealized profit, usually the close of the current bar.
+	 * @param {number} price
+	 */
+	mark(price) {
+		if (isFinite(price)) this.price = price;
+	}
+	
+	/**
+	 * Applies a filled order: extends the position, or closes it and realizes profit.
+	 * A fill larger than an opposite position flips it when shorts are allowed.
+	 * @param {PositionFill} fill
+	 * @returns {number} - Profit realized by this fill.
+	 */
+	apply({ side, quantity, value, baseFee = 0, quoteFee = 0, timestamp }) {
+		// ukuran dan harga efektif setelah fee
+		const delta = side === 'buy' ? quantity - baseFee : -(quantity + baseFee);
+		if (!delta) return 0;
+		const price = side === 'buy' ? (value + quoteFee) / delta : (value - quoteFee) / -delta;
+		
+		let remaining = delta;
+		let realized = 0;
+		let closed = 0;
+		let entryCost = 0;
+		let entryTime = 0;
+		
+		if (this.method === 'average' && this.lots.length > 1) {
+			this.lots = [{ quantity: this.quantity, price: this.averagePrice, time: this.averageTime() }];
+		}
+		
+		while (this.lots.length && Math.sign(this.lots[0].quantity) !== Math.sign(remaining) && remaining) {
+			const lot = this.lots[0];
+			const take = Math.min(Math.abs(lot.quantity), Math.abs(remaining)) * Math.sign(lot.quantity);
+			realized += (price - lot.price) * take;
+			closed += take;
+			entryCost += lot.price * take;
+			entryTime += lot.time * take;
+			lot.quantity -= take;
+			remaining += take;
+			if (lot.quantity === 0) this.lots.shift();
+		}
+		
+		if (closed) {
+			this.realizedPnl += realized;
+			this.trades.push({
+				pair: this.pair,
+				side: closed > 0 ? 'long' : 'short',
+				entryTime: entryTime / closed,
+				exitTime: timestamp,
+				quantity: Math.abs(closed),
+				entryPrice: entryCost / closed,
+				exitPrice: price,
+				pnl: realized
+			});
+		}
+		
+		if (remaining && (remaining > 0 || this.allowShort)) {
+			if (this.method === 'average' && this.lots.length) {
+				const lot = this.lots[0];
+				const total = lot.quantity + remaining;
+				lot.time = (lot.time * lot.quantity + timestamp * remaining) / total;
+				lot.price = (lot.price * lot.quantity + price * remaining) / total;
+				lot.quantity = total;
+			} else {
+				this.lots.push({ quantity: remaining, price, time: timestamp });
+			}
+		}
+		
+		return realized;
+	}
+	
+	/**
+	 * Quantity-weighted entry time of the open lots.
+	 * @returns {number}
+	 */
+	averageTime() {
+		const quantity = this.quantity;
+		if (quantity === 0) return NaN;
+		return this.lots.reduce((a, lot) => a + lot.time * lot.quantity, 0) / quantity;
+	}
+	
+	/**
+	 * Plain snapshot of the position for reports and strategies.
+	 * @returns {{pair: string, side: string, quantity: number, averagePrice: number, price: number, realizedPnl: number, unrealizedPnl: number}}
+	 */
+	toJSON() {
+		return {
+			pair: this.pair,
+			side: this.side,
+			quantity: this.quantity,
+			averagePrice: this.averagePrice,
+			price: this.price,
+			realizedPnl: this.realizedPnl,
+			unrealizedPnl: this.unrealizedPnl
+		};
+	}
+}
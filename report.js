@@ -0,0 +1,144 @@
+// report.js
+
+import { ArrayMap } from './utils.js';
+
+/** Milliseconds in a (365 day) year, crypto markets trade every day. */
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef ClosedTrade
+ * @property {string} pair
+ * @property {'long'|'short'} side
+ * @property {number} entryTime - Quantity-weighted average entry timestamp.
+ * @property {number} exitTime
+ * @property {number} quantity
+ * @property {number} entryPrice - Average entry price, including fees.
+ * @property {number} exitPrice - Exit price, including fees.
+ * @property {number} pnl - Profit or loss in the pair's quote asset, after fees.
+ */
+
+/**
+ * @typedef PerformanceReport
+ * @property {string} quoteAsset
+ * @property {number|null} startTime
+ * @property {number|null} endTime
+ * @property {number} initialEquity
+ * @property {number} finalEquity
+ * @property {number} totalReturn - Fraction, 0.1 = +10%.
+ * @property {number|null} cagr - Compound annual growth rate, null when the period is empty.
+ * @property {number} maxDrawdown - Largest peak-to-trough loss as a positive fraction.
+ * @property {number} maxDrawdownDuration - Longest time from a peak to the bar that recovers it (or the
+ * last bar when it never recovers), in ms.
+ * @property {number|null} sharpe - Annualized Sharpe ratio of per-bar returns.
+ * @property {number|null} sortino - Annualized Sortino ratio of per-bar returns.
+ * @property {number} trades - Number of closed trades.
+ * @property {number|null} winRate - Fraction of closed trades with a positive pnl.
+ * @property {number|null} profitFactor - Gross profit divided by gross loss.
+ * @property {number|null} averageHoldingTime - Average trade duration in ms.
+ */
+
+/**
+ * Computes drawdown statistics of an equity series. The duration of a drawdown runs from the peak
+ * to the bar that recovers it (inclusive), or to the last bar when the equity never recovers.
+ * @param {number[]} timestamps
+ * @param {number[]} equity
+ * @returns {{maxDrawdown: number, maxDrawdownDuration: number}}
+ */
+export const drawdown = (timestamps, equity) => {
+	let peak = -Infinity;
+	let peakTime = null;
+	let maxDrawdown = 0;
+	let maxDrawdownDuration = 0;
+	let underwater = false;
+	
+	for (let i = 0; i < equity.length; i++) {
+		if (equity[i] >= peak) {
+			// drawdown berakhir pada bar yang kembali ke puncak, bar tersebut ikut dihitung
+			if (underwater) maxDrawdownDuration = Math.max(maxDrawdownDuration, timestamps[i] - peakTime);
+			peak = equity[i];
+			peakTime = timestamps[i];
+			underwater = false;
+			continue;
+		}
+		underwater = true;
+		maxDrawdown = Math.max(maxDrawdown, (peak - equity[i]) / peak);
+		maxDrawdownDuration = Math.max(maxDrawdownDuration, timestamps[i] - peakTime);
+	}
+	
+	return { maxDrawdown, maxDrawdownDuration };
+};
+
+/**
+ * Builds a performance report from an equity curve and the closed trades of a simulation.
+ * @param {Object} options
+ * @param {ArrayMap} options.equity - Equity curve with `timestamp` and `equity` columns.
+ * @param {ClosedTrade[]} [options.trades=[]]
+ * @param {string} [options.quoteAsset='']
+ * @param {number} [options.riskFree=0] - Annual risk free rate used by Sharpe and Sortino.
+ * @returns {PerformanceReport}
+ */
+export const createReport = ({ equity, trades = [], quoteAsset = '', riskFree = 0 }) => {
+	const timestamps = [];
+	const values = [];
+	if (equity instanceof ArrayMap) {
+		equity.forEach((row) => {
+			if (!isFinite(row.equity)) return;
+			timestamps.push(row.timestamp);
+			values.push(row.equity);
+		});
+	}
+	
+	const startTime = timestamps.length ? timestamps[0] : null;
+	const endTime = timestamps.length ? timestamps[timestamps.length - 1] : null;
+	const initialEquity = values.length ? values[0] : 0;
+	const finalEquity = values.length ? values[values.length - 1] : 0;
+	const totalReturn = initialEquity > 0 ? finalEquity / initialEquity - 1 : 0;
+	
+	const years = (endTime - startTime) / YEAR;
+	const cagr = years > 0 && initialEquity > 0 ? Math.pow(finalEquity / initialEquity, 1 / years) - 1 : null;
+	
+	// return per bar, dianualisasi memakai median jarak antar bar
+	const returns = [];
+	const spacing = [];
+	for (let i = 1; i < values.length; i++) {
+		if (values[i - 1] > 0) returns.push(values[i] / values[i - 1] - 1);
+		spacing.push(timestamps[i] - timestamps[i - 1]);
+	}
+	spacing.sort((a, b) => a - b);
+	const barTime = spacing.length ? spacing[Math.floor(spacing.length / 2)] : 0;
+	const periodsPerYear = barTime > 0 ? YEAR / barTime : 0;
+	
+	let sharpe = null;
+	let sortino = null;
+	if (returns.length > 1 && periodsPerYear > 0) {
+		const excess = returns.map(r => r - riskFree / periodsPerYear);
+		const mean = excess.reduce((a, b) => a + b, 0) / excess.length;
+		const variance = excess.reduce((a, b) => a + (b - mean) ** 2, 0) / (excess.length - 1);
+		const downside = excess.reduce((a, b) => a + Math.min(b, 0) ** 2, 0) / excess.length;
+		const scale = Math.sqrt(periodsPerYear);
+		sharpe = variance > 0 ? mean / Math.sqrt(variance) * scale : null;
+		sortino = downside > 0 ? mean / Math.sqrt(downside) * scale : null;
+	}
+	
+	const wins = trades.filter(t => t.pnl > 0);
+	const grossProfit = wins.reduce((a, t) => a + t.pnl, 0);
+	const grossLoss = trades.reduce((a, t) => a + (t.pnl < 0 ? -t.pnl : 0), 0);
+	const holding = trades.reduce((a, t) => a + (t.exitTime - t.entryTime), 0);
+	
+	return {
+		quoteAsset,
+		startTime,
+		endTime,
+		initialEquity,
+		finalEquity,
+		totalReturn,
+		cagr,
+		...drawdown(timestamps, values),
+		sharpe,
+		sortino,
+		trades: trades.length,
+		winRate: trades.length ? wins.length / trades.length : null,
+		profitFactor: !trades.length ? null : grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : null),
+		averageHoldingTime: trades.length ? holding / trades.length : null
+	};
+};
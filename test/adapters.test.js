@@ -0,0 +1,201 @@
+// test/adapters.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ExchangeAdapter, BinanceAdapter, BybitAdapter, OkxAdapter } from '../adapters.js';
+import { START, HOUR } from './helpers.js';
+
+/** Timestamps of the hourly candles served by the stub exchanges. */
+const times = Array.from({ length: 10 }, (_, i) => START + i * HOUR);
+
+/** Raw candle row `[timestamp, open, high, low, close, volume]` as strings. */
+const row = (t) => [t, 100, 101, 99, 100 + (t - START) / HOUR, 10].map(String);
+
+/**
+ * Stub HTTP client. `respond` receives the parsed query of every request and returns
+ * `{ status, headers, body }`; the requests are recorded.
+ * @param {(query: Object, url: string) => Object} respond
+ */
+const stub = (respond) => {
+	const requests = [];
+	const client = async (url) => {
+		const query = Object.fromEntries(new URL(url).searchParams);
+		requests.push(query);
+		const { status = 200, headers = {}, body } = respond(query, url);
+		return { status, headers, json: async () => body };
+	};
+	return { client, requests };
+};
+
+/** Options without real delays; the requested delays are collected in `waits`. */
+const quiet = () => {
+	const waits = [];
+	return { waits, sleep: async (ms) => { waits.push(ms); }, now: () => START + 20 * HOUR };
+};
+
+/** Binance: ascending candles from `startTime` up to `endTime`, both inclusive. */
+const binance = ({ startTime, endTime, limit }) => ({
+	body: times.filter(t => t >= +startTime && t <= +endTime).slice(0, +limit).map(row)
+});
+
+/** Bybit: newest first, the newest `limit` candles between `start` and `end`. */
+const bybit = ({ start, end, limit }) => ({
+	body: { retCode: 0, retMsg: 'OK', result: { list: times.filter(t => t >= +start && t <= +end).reverse().slice(0, +limit).map(row) } }
+});
+
+/** OKX: newest first, candles older than `after` and newer than `before` (both exclusive). */
+const okx = ({ after, before, limit }) => ({
+	body: { code: '0', msg: '', data: times.filter(t => t < +after && t > +before).reverse().slice(0, +limit).map(t => [...row(t), '0', '0', '1']) }
+});
+
+test('BinanceAdapter pages forward from startTime', async () => {
+	const { client, requests } = stub(binance);
+	const adapter = new BinanceAdapter({ client, ...quiet() });
+	adapter.pageLimit = 4;
+	
+	const candles = await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', start: times[1], end: times[8] });
+	assert.deepEqual(candles.map(candle => candle.timestamp), times.slice(1, 9));
+	assert.equal(candles[0].close, 101);
+	assert.deepEqual(requests.map(query => +query.startTime), [times[1], times[4] + 1]);
+	assert.ok(requests.every(query => query.symbol === 'BTCUSDT' && query.interval === '1h' && +query.endTime === times[8]));
+});
+
+test('a full page before the end asks once more and stops on the empty page', async () => {
+	const { client, requests } = stub(binance);
+	const adapter = new BinanceAdapter({ client, ...quiet() });
+	adapter.pageLimit = 4;
+	
+	const candles = await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', start: times[0], end: times[7] + HOUR / 2 });
+	assert.equal(candles.length, 8);
+	assert.equal(requests.length, 3);
+	assert.equal(+requests[2].startTime, times[7] + 1);
+});
+
+test('candles outside the range and repeated candles are dropped', async () => {
+	// server yang mengabaikan endTime dan mengulang candle batas halaman
+	const { client } = stub(({ startTime, limit }) => ({
+		body: times.filter(t => t >= +startTime - HOUR).slice(0, +limit).map(row)
+	}));
+	const adapter = new BinanceAdapter({ client, ...quiet() });
+	adapter.pageLimit = 3;
+	
+	const candles = await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', start: times[2], end: times[6] });
+	assert.deepEqual(candles.map(candle => candle.timestamp), times.slice(2, 7));
+});
+
+test('BybitAdapter pages backward from end', async () => {
+	const { client, requests } = stub(bybit);
+	const adapter = new BybitAdapter({ client, category: 'linear', ...quiet() });
+	adapter.pageLimit = 3;
+	
+	const candles = await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', start: times[1], end: times[8] });
+	assert.deepEqual(candles.map(candle => candle.timestamp), times.slice(1, 9));
+	assert.deepEqual(requests.map(query => +query.end), [times[8], times[6] - 1, times[3] - 1]);
+	assert.ok(requests.every(query => query.category === 'linear' && query.interval === '60' && +query.start === times[1]));
+});
+
+test('BybitAdapter throws on an API error code', async () => {
+	const { client } = stub(() => ({ body: { retCode: 10001, retMsg: 'params error' } }));
+	const adapter = new BybitAdapter({ client, ...quiet() });
+	await assert.rejects(adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', start: times[0], end: times[3] }), /10001: params error/);
+});
+
+test('OkxAdapter keeps the range edges with exclusive after/before cursors', async () => {
+	const { client, requests } = stub(okx);
+	const adapter = new OkxAdapter({ client, ...quiet() });
+	adapter.pageLimit = 3;
+	
+	const candles = await adapter.fetchKlines({ symbol: adapter.symbol('btc', 'usdt'), interval: '1h', start: times[2], end: times[7] });
+	assert.deepEqual(candles.map(candle => candle.timestamp), times.slice(2, 8));
+	assert.deepEqual(requests.map(query => [+query.after, +query.before]), [
+		[times[7] + 1, times[2] - 1],
+		[times[5], times[2] - 1]
+	]);
+	assert.ok(requests.every(query => query.instId === 'BTC-USDT' && query.bar === '1H'));
+});
+
+test('BinanceAdapter waits for the next minute when the used weight reaches the limit', async () => {
+	const { waits, sleep } = quiet();
+	const now = START + 30000;
+	const { client } = stub((query) => ({ ...binance(query), headers: { 'X-MBX-USED-WEIGHT-1M': '5800' } }));
+	const adapter = new BinanceAdapter({ client, sleep, now: () => now, weightLimit: 6000 });
+	adapter.pageLimit = 5;
+	
+	await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', start: times[0], end: times[6] });
+	assert.equal(adapter.resumeAt, START + 60000);
+	assert.deepEqual(waits, [30000]);
+});
+
+test('BybitAdapter waits until the limit reset when no requests are left', async () => {
+	const { waits, sleep } = quiet();
+	const { client } = stub((query) => ({
+		...bybit(query),
+		headers: { 'X-Bapi-Limit-Status': '0', 'X-Bapi-Limit-Reset-Timestamp': String(START + 1500) }
+	}));
+	const adapter = new BybitAdapter({ client, sleep, now: () => START });
+	adapter.pageLimit = 5;
+	
+	await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', start: times[0], end: times[6] });
+	assert.deepEqual(waits, [1500]);
+});
+
+test('request retries 429 and 5xx responses with backoff and Retry-After', async () => {
+	const responses = [
+		{ status: 500, body: null },
+		{ status: 429, headers: { 'Retry-After': '2' }, body: null },
+		{ status: 503, body: null },
+		{ status: 200, body: [row(times[0])] }
+	];
+	const { client, requests } = stub(() => responses.shift());
+	const { waits, sleep } = quiet();
+	const adapter = new BinanceAdapter({ client, sleep, backoff: 100 });
+	
+	const body = await adapter.request('https://stub/api/v3/klines?symbol=BTCUSDT');
+	assert.deepEqual(body, [row(times[0])]);
+	assert.equal(requests.length, 4);
+	assert.deepEqual(waits, [100, 2000, 400]);
+});
+
+test('request gives up after the retries and does not retry client errors', async () => {
+	const failing = stub(() => ({ status: 502, body: null }));
+	const { waits, sleep } = quiet();
+	const adapter = new BinanceAdapter({ client: failing.client, sleep, retries: 2, backoff: 100, maxBackoff: 150 });
+	await assert.rejects(adapter.request('https://stub/x'), /after 3 attempts with status 502/);
+	assert.deepEqual(waits, [100, 150]);
+	
+	const invalid = stub(() => ({ status: 400, body: { code: -1121, msg: 'Invalid symbol.' } }));
+	const strict = new BinanceAdapter({ client: invalid.client, ...quiet() });
+	await assert.rejects(strict.request('https://stub/x'), /400: Invalid symbol/);
+	assert.equal(invalid.requests.length, 1);
+});
+
+test('rate-limit error codes in the body are retried', async () => {
+	const responses = [
+		{ body: { code: '50011', msg: 'Too Many Requests', data: [] } },
+		okx({ after: times[3] + 1, before: times[0] - 1, limit: 100 })
+	];
+	const { client } = stub(() => responses.shift());
+	const { waits, sleep } = quiet();
+	const adapter = new OkxAdapter({ client, sleep, backoff: 50 });
+	
+	const candles = await adapter.fetchKlines({ symbol: 'BTC-USDT', interval: '1h', start: times[0], end: times[3] });
+	assert.equal(candles.length, 4);
+	assert.deepEqual(waits, [50]);
+});
+
+test('api downloads the last candles for setAPI', async () => {
+	const { client } = stub(binance);
+	const adapter = new BinanceAdapter({ client, ...quiet(), now: () => times[9] });
+	const api = adapter.api('1h');
+	
+	const candles = await api('btc', 'usdt', 3);
+	assert.deepEqual(candles.map(candle => candle.timestamp), times.slice(7));
+});
+
+test('ExchangeAdapter.create finds an adapter by name', () => {
+	assert.ok(ExchangeAdapter.create('Bybit') instanceof BybitAdapter);
+	assert.equal(ExchangeAdapter.create('okx', { baseUrl: 'http://localhost:8080' }).baseUrl, 'http://localhost:8080');
+	assert.throws(() => ExchangeAdapter.create('kraken'), /Unknown exchange adapter/);
+	assert.equal(BybitAdapter.interval('4h'), '240');
+	assert.equal(OkxAdapter.interval('1d'), '1D');
+});
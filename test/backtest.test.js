@@ -0,0 +1,84 @@
+// test/backtest.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CryptoTradeScenario } from '../trade.js';
+import { Klines } from '../klines.js';
+import { ExponentialMovingAverage } from '../indicator.js';
+import { candles, wave, START, HOUR } from './helpers.js';
+
+const crossover = () => new CryptoTradeScenario()
+	.setWallet({ USDT: 1000 })
+	.setLimit(500)
+	.addIndicator('ema', new ExponentialMovingAverage({ period: 5 }))
+	.addStrategy(([base, quote], data, wallet, action) => {
+		const { close } = data.price.last();
+		const ema = data.value('ema');
+		if (close > ema && wallet[quote] > 1) action('buy', wallet[quote] / 2);
+		else if (close < ema && wallet[base] > 0) action('sell', wallet[base] * close * 0.99);
+	});
+
+test('runBacktest visits every bar once in timestamp order', () => {
+	const seen = [];
+	const scenario = new CryptoTradeScenario()
+		.setWallet({ USDT: 1000 })
+		.addStrategy((pair, data) => seen.push(data.price.last().timestamp));
+	
+	const list = candles(wave(20));
+	const result = scenario.runBacktest({ 'BTC/USDT': list.slice().reverse() });
+	
+	assert.equal(result.bars, 20);
+	assert.equal(result.startTime, START);
+	assert.equal(result.endTime, START + 19 * HOUR);
+	assert.deepEqual(seen, list.map(candle => candle.timestamp));
+	assert.deepEqual(result.pairs, ['BTC/USDT']);
+});
+
+test('runBacktest accepts Klines and arrays and normalizes the pair name', () => {
+	const klines = new Klines(100);
+	klines.push(...candles(wave(10)).map(({ timestamp, open, high, low, close, volume }) => [timestamp, open, high, low, close, volume]));
+	
+	const result = new CryptoTradeScenario().setWallet({ USDT: 1000 }).runBacktest({
+		'btc-usdt': klines,
+		'eth-usdt': candles(wave(5, { base: 50 }))
+	});
+	assert.deepEqual(result.pairs.sort(), ['BTC/USDT', 'ETH/USDT']);
+	assert.equal(result.bars, 10);
+});
+
+test('runBacktest with an indicator strategy is deterministic', () => {
+	const data = { 'BTC/USDT': candles(wave(200)) };
+	const first = crossover().runBacktest(data);
+	const second = crossover().runBacktest(data);
+	
+	assert.ok(first.ledger.fills().length > 0);
+	assert.deepEqual(second.wallet, first.wallet);
+	assert.notDeepEqual(first.wallet, first.initialWallet);
+});
+
+test('runBacktest resets the wallet between runs of the same scenario', () => {
+	const scenario = crossover();
+	const data = { 'BTC/USDT': candles(wave(100)) };
+	const first = scenario.runBacktest(data);
+	const second = scenario.runBacktest(data);
+	assert.deepEqual(second.wallet, first.wallet);
+	assert.deepEqual(second.initialWallet, { USDT: 1000 });
+});
+
+test('start returns the session and rejects on API or indicator errors', async () => {
+	const list = candles([100]);
+	const scenario = new CryptoTradeScenario()
+		.setWallet({ USDT: 1000 })
+		.addSymbol('BTC/USDT')
+		.setAPI(async () => list);
+	const session = await scenario.start(0);
+	assert.deepEqual(session.timestamps, [START]);
+	assert.equal(scenario.equity.length, 1);
+	
+	scenario.setIndicator('x', 'EMA', { period: 3, source: 'missing' });
+	await assert.rejects(scenario.start(0), /Source missing pada indicator x tidak dikenal/);
+	
+	scenario.setAPI(async () => { throw new Error('rate limited'); });
+	await assert.rejects(scenario.start(0), /rate limited/);
+	assert.throws(() => new CryptoTradeScenario().start(), /API not set/);
+});
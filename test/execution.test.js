@@ -0,0 +1,90 @@
+// test/execution.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ExecutionModel, FeeModel, SlippageModel, PercentFee, FixedFee, BpsSlippage, ATRSlippage, VolumeSlippage } from '../execution.js';
+import { CryptoTradeScenario } from '../trade.js';
+import { candles, START, HOUR } from './helpers.js';
+
+const bar = { timestamp: START, open: 100, high: 110, low: 90, close: 104, volume: 50 };
+
+test('fee and slippage options resolve to models', () => {
+	assert.ok(FeeModel.create(0.001) instanceof PercentFee);
+	assert.ok(FeeModel.create({ type: 'fixed', amount: 1 }) instanceof FixedFee);
+	assert.ok(SlippageModel.create(5) instanceof BpsSlippage);
+	assert.ok(SlippageModel.create({ type: 'atr' }) instanceof ATRSlippage);
+	assert.ok(SlippageModel.create({ type: 'volume' }) instanceof VolumeSlippage);
+	
+	const fee = new PercentFee({ maker: 0.001, taker: 0.002 });
+	assert.equal(fee.calc({ value: 1000, liquidity: 'maker' }), 1);
+	assert.equal(fee.calc({ value: 1000, liquidity: 'taker' }), 2);
+	assert.equal(new FixedFee({ amount: 0.5, asset: 'base' }).asset, 'base');
+});
+
+test('market reference price follows the fill option', () => {
+	assert.equal(new ExecutionModel().marketPrice('buy', bar), 107);
+	assert.equal(new ExecutionModel().marketPrice('sell', bar), 97);
+	assert.equal(new ExecutionModel({ fill: 'close' }).marketPrice('buy', bar), 104);
+	assert.equal(new ExecutionModel({ fill: 'nextOpen' }).marketPrice('buy', bar), null);
+	assert.equal(new ExecutionModel({ fill: 'unknown' }).fill, 'average');
+});
+
+test('quote applies slippage against the order side and the fee on the fill value', () => {
+	const model = new ExecutionModel({ fee: 0.001, slippage: 100 });
+	const buy = model.quote({ pair: 'BTC/USDT', side: 'buy', value: 1010, price: 100, bar });
+	assert.equal(buy.price, 101);
+	assert.ok(Math.abs(buy.quantity - 10) < 1e-12);
+	assert.ok(Math.abs(buy.fee - 1.01) < 1e-12);
+	
+	const sell = model.quote({ pair: 'BTC/USDT', side: 'sell', quantity: 2, price: 100, bar });
+	assert.equal(sell.price, 99);
+	assert.equal(sell.value, 198);
+});
+
+test('a sell is rejected when the slippage reaches the reference price', () => {
+	const low = { timestamp: START, open: 10, high: 20, low: 5, close: 8, volume: 50 };
+	const model = new ExecutionModel({ slippage: { type: 'atr', fraction: 3 } });
+	assert.equal(model.quote({ pair: 'BTC/USDT', side: 'sell', quantity: 1, price: 6.5, bar: low }), null);
+	assert.equal(model.quote({ pair: 'BTC/USDT', side: 'buy', value: 100, price: 6.5, bar: low }).price, 51.5);
+	
+	const result = new CryptoTradeScenario({ slippage: { type: 'atr', fraction: 3 } })
+		.setWallet({ USDT: 0, BTC: 2 })
+		.addStrategy((pair, data, wallet, action) => action('sell', 10))
+		.runBacktest({ 'BTC/USDT': [low] });
+	const [order] = result.ledger.map(row => row);
+	assert.equal(order.status, 'rejected');
+	assert.equal(order.reason, 'slippage exceeds price');
+	assert.deepEqual(result.wallet, { USDT: 0, BTC: 2 });
+});
+
+test('ATR slippage uses the bar range until the ATR is warmed up', () => {
+	const slippage = new ATRSlippage({ fraction: 0.5, period: 2 });
+	assert.equal(slippage.calc({ pair: 'BTC/USDT', bar }), 10);
+	for (let candle of candles([100, 100, 100, 100])) slippage.update('BTC/USDT', candle);
+	assert.equal(slippage.calc({ pair: 'BTC/USDT', bar }), 1);
+	slippage.reset();
+	assert.equal(slippage.calc({ pair: 'BTC/USDT', bar }), 10);
+});
+
+test('volume slippage grows with the share of the bar volume and is capped', () => {
+	const slippage = new VolumeSlippage({ impact: 0.1, max: 0.02 });
+	assert.equal(slippage.calc({ price: 100, quantity: 5, bar }), 1);
+	assert.equal(slippage.calc({ price: 100, quantity: 50, bar }), 2);
+	assert.equal(slippage.calc({ price: 100, quantity: 1, bar: { ...bar, volume: 0 } }), 2);
+});
+
+test('nextOpen fills market orders at the open of the next bar', () => {
+	const result = new CryptoTradeScenario({ fill: 'nextOpen', fee: 0.001 })
+		.setWallet({ USDT: 1000 })
+		.addStrategy((pair, data, wallet, action) => {
+			if (data.price.length === 1) action('buy', 500);
+		})
+		.runBacktest({ 'BTC/USDT': candles([100, 120, 130]) });
+	
+	const [order] = result.ledger.fills();
+	assert.equal(order.timestamp, START);
+	assert.equal(order.filledAt, START + HOUR);
+	assert.equal(order.price, 100);
+	assert.equal(order.fee, 0.5);
+	assert.equal(result.wallet.USDT, 500 - 0.5);
+});
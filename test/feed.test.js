@@ -0,0 +1,210 @@
+// test/feed.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketFeed, CandleFeed } from '../feed.js';
+import { CryptoTradeScenario } from '../trade.js';
+import { candles, START, HOUR } from './helpers.js';
+
+/**
+ * WebSocket stand-in: records what is sent and lets the test fire socket events.
+ */
+class MockSocket {
+	constructor(url) {
+		this.url = url;
+		this.sent = [];
+		this.closed = false;
+		this.listeners = {};
+	}
+	
+	addEventListener(type, listener) {
+		(this.listeners[type] ??= []).push(listener);
+	}
+	
+	send(data) {
+		this.sent.push(data);
+	}
+	
+	close() {
+		if (this.closed) return;
+		this.closed = true;
+		this.fire('close', { type: 'close', code: 1000 });
+	}
+	
+	fire(type, event = { type }) {
+		(this.listeners[type] ?? []).forEach(listener => listener(event));
+	}
+	
+	/**
+	 * Sends a Binance kline message to the feed.
+	 * @param {string} symbol
+	 * @param {Object} bar
+	 * @param {boolean} closed
+	 */
+	kline(symbol, { timestamp, open, high, low, close, volume }, closed) {
+		const k = { t: timestamp, o: String(open), h: String(high), l: String(low), c: String(close), v: String(volume), x: closed };
+		this.fire('message', { data: JSON.stringify({ stream: 'x', data: { s: symbol, k } }) });
+	}
+}
+
+/**
+ * Feed with mock sockets that open on the next microtask. While `feed.refuse` is above 0 every new
+ * socket fails instead and decrements it.
+ * @param {Object} [options] - Options of `WebSocketFeed`.
+ */
+const mockFeed = (options = {}) => {
+	const sockets = [];
+	const delays = [];
+	const feed = new WebSocketFeed({
+		sleep: async (ms) => { delays.push(ms); },
+		...options,
+		createSocket: (url) => {
+			const socket = new MockSocket(url);
+			sockets.push(socket);
+			queueMicrotask(() => {
+				if (!(feed.refuse > 0)) return socket.fire('open');
+				feed.refuse--;
+				socket.fire('error', { type: 'error', error: new Error('refused') });
+			});
+			return socket;
+		}
+	});
+	return { feed, sockets, delays };
+};
+
+/** Lets pending promises (reconnect loop) run. */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('WebSocketFeed turns kline messages into open, update and close events', async () => {
+	const { feed, sockets } = mockFeed();
+	const events = [];
+	feed.subscribe(({ type, pair, bar }) => events.push([type, pair, bar.close]));
+	await feed.connect(['BTC/USDT']);
+	
+	const [socket] = sockets;
+	assert.match(socket.url, /btcusdt@kline_1m/);
+	const [bar, next] = candles([10, 20]);
+	socket.kline('BTCUSDT', { ...bar, close: 9 }, false);
+	socket.kline('BTCUSDT', bar, false);
+	socket.kline('BTCUSDT', bar, true);
+	socket.kline('BTCUSDT', bar, true); // pesan ganda
+	socket.kline('ETHUSDT', next, true); // pair lain
+	socket.fire('message', { data: 'pong' });
+	
+	assert.deepEqual(events, [
+		['open', 'BTC/USDT', 9],
+		['update', 'BTC/USDT', 10],
+		['close', 'BTC/USDT', 10]
+	]);
+});
+
+test('WebSocketFeed rejects connect when the socket fails before opening', async () => {
+	const { feed } = mockFeed();
+	feed.refuse = 1;
+	await assert.rejects(feed.connect(['BTC/USDT']), /refused/);
+	assert.equal(feed.active, false);
+});
+
+test('WebSocketFeed reconnects with backoff after the connection drops', async () => {
+	const { feed, sockets, delays } = mockFeed({ backoff: 100, maxBackoff: 250 });
+	const events = [];
+	feed.subscribe(event => events.push(event));
+	await feed.connect(['BTC/USDT']);
+	
+	const [bar, next] = candles([10, 20]);
+	sockets[0].kline('BTCUSDT', bar, true);
+	
+	// dua percobaan gagal, yang ketiga tersambung
+	feed.refuse = 2;
+	sockets[0].fire('error', { type: 'error', error: new Error('reset') });
+	await settle();
+	
+	assert.equal(sockets[0].closed, true);
+	assert.equal(sockets.length, 4);
+	assert.equal(feed.socket, sockets[3]);
+	assert.equal(feed.active, true);
+	assert.deepEqual(delays, [100, 200, 250]);
+	assert.deepEqual(sockets.map(socket => socket.url), sockets.map(() => sockets[0].url));
+	
+	// candle yang sudah ditutup sebelum terputus tidak dikirim ulang
+	feed.socket.kline('BTCUSDT', bar, true);
+	feed.socket.kline('BTCUSDT', next, true);
+	assert.deepEqual(events.map(event => [event.type, event.bar.timestamp]), [
+		['open', START], ['close', START],
+		['open', START + HOUR], ['close', START + HOUR]
+	]);
+	feed.close();
+});
+
+test('WebSocketFeed reports an error event when every reconnect fails', async () => {
+	const { feed, sockets, delays } = mockFeed({ retries: 3, backoff: 10 });
+	const events = [];
+	feed.subscribe(event => events.push(event));
+	await feed.connect(['BTC/USDT']);
+	
+	feed.refuse = Infinity;
+	sockets[0].fire('close', { type: 'close', code: 1006 });
+	await settle();
+	
+	assert.deepEqual(delays, [10, 20, 40]);
+	assert.equal(sockets.length, 4);
+	assert.equal(feed.active, false);
+	assert.equal(feed.socket, null);
+	assert.equal(events.length, 1);
+	assert.equal(events[0].type, 'error');
+	assert.match(events[0].error.message, /refused/);
+});
+
+test('WebSocketFeed does not reconnect after close', async () => {
+	const { feed, sockets, delays } = mockFeed();
+	const events = [];
+	feed.subscribe(event => events.push(event));
+	await feed.connect(['BTC/USDT']);
+	
+	feed.close();
+	await settle();
+	assert.equal(sockets[0].closed, true);
+	assert.equal(sockets.length, 1);
+	assert.deepEqual(delays, []);
+	assert.deepEqual(events, []);
+});
+
+test('listen runs the strategy on closed bars and stops on a feed error', async () => {
+	const seen = [];
+	const scenario = new CryptoTradeScenario()
+		.setWallet({ USDT: 1000 })
+		.addSymbol('BTC/USDT')
+		.addStrategy((pair, data) => seen.push(data.price.last().close));
+	
+	const { feed, sockets } = mockFeed({ retries: 1 });
+	await scenario.listen(feed);
+	assert.equal(scenario.feed, feed);
+	
+	const [bar, next] = candles([10, 20]);
+	sockets[0].kline('BTCUSDT', { ...bar, close: 12 }, false);
+	sockets[0].kline('BTCUSDT', bar, true);
+	sockets[0].kline('BTCUSDT', next, false);
+	assert.deepEqual(seen, [10]);
+	
+	feed.refuse = Infinity;
+	sockets[0].fire('close', { type: 'close', code: 1006 });
+	await settle();
+	
+	assert.equal(scenario.feed, null);
+	assert.deepEqual(feed.listeners, []);
+});
+
+test('CandleFeed passes events to every subscriber until it unsubscribes', () => {
+	const feed = new CandleFeed();
+	const first = [];
+	const second = [];
+	const unsubscribe = feed.subscribe(event => first.push(event.type));
+	feed.subscribe(event => second.push(event.type));
+	
+	const [bar] = candles([10]);
+	feed.receive('BTC/USDT', bar);
+	unsubscribe();
+	feed.receive('BTC/USDT', bar, true);
+	assert.deepEqual(first, ['open']);
+	assert.deepEqual(second, ['open', 'close']);
+});
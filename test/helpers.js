@@ -0,0 +1,40 @@
+// test/helpers.js
+
+export const START = Date.UTC(2024, 0, 1);
+export const HOUR = 3600000;
+
+/**
+ * Candles from a list of closes, every candle opening at the previous close.
+ * @param {number[]} closes
+ * @param {Object} [options]
+ * @param {number} [options.start=START]
+ * @param {number} [options.interval=HOUR]
+ * @param {number} [options.volume=10]
+ * @returns {import('../trade.js').PriceData[]}
+ */
+export const candles = (closes, { start = START, interval = HOUR, volume = 10 } = {}) => {
+	return closes.map((close, i) => {
+		const open = i ? closes[i - 1] : close;
+		return {
+			timestamp: start + i * interval,
+			open,
+			high: Math.max(open, close) + 1,
+			low: Math.min(open, close) - 1,
+			close,
+			volume
+		};
+	});
+};
+
+/**
+ * Closes of a sine wave around `base`, deterministic input for indicator driven strategies.
+ * @param {number} count
+ * @param {Object} [options]
+ * @param {number} [options.base=100]
+ * @param {number} [options.amplitude=10]
+ * @param {number} [options.period=24]
+ * @returns {number[]}
+ */
+export const wave = (count, { base = 100, amplitude = 10, period = 24 } = {}) => {
+	return Array.from({ length: count }, (_, i) => base + amplitude * Math.sin(2 * Math.PI * i / period));
+};
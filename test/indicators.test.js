@@ -0,0 +1,303 @@
+// test/indicators.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	AccumulationDistribution,
+	Aroon,
+	AverageDirectionalIndex,
+	AverageTrueRange,
+	BollingerBands,
+	ChaikinMoneyFlow,
+	CommodityChannelIndex,
+	DonchianChannels,
+	ExponentialMovingAverage,
+	IchimokuCloud,
+	KeltnerChannels,
+	MoneyFlowIndex,
+	MovingAverage,
+	OnBalanceVolume,
+	ParabolicSAR,
+	RateOfChange,
+	RelativeStrengthIndex,
+	Smoother,
+	Smoothers,
+	Stochastic,
+	StochasticRSI,
+	VolumeWeightedAveragePrice,
+	WilliamsR
+} from '../indicator.js';
+import { TradeData } from '../trade.js';
+import { candles, wave, START, HOUR } from './helpers.js';
+
+/**
+ * Feeds every input to the indicator and returns the last row.
+ * @param {import('../indicator.js').Indicator} indicator
+ * @param {Array<Object|number>} inputs
+ * @returns {Object}
+ */
+const feed = (indicator, inputs) => {
+	inputs.forEach(input => indicator.update(input));
+	return indicator.getItemAt(indicator.length - 1);
+};
+
+const close = (a, b, epsilon = 1e-9) => Math.abs(a - b) < epsilon;
+
+test('Bollinger Bands use the population deviation around the middle band', () => {
+	const row = feed(new BollingerBands({ period: 4, multiplier: 2 }), [2, 4, 4, 4, 5, 5, 7, 9]);
+	// 4 nilai terakhir 5, 5, 7, 9: mean 6.5, deviasi sqrt(2.75)
+	assert.equal(row.middle, 6.5);
+	assert.ok(close(row.upper, 6.5 + 2 * Math.sqrt(2.75)));
+	assert.ok(close(row.lower, 6.5 - 2 * Math.sqrt(2.75)));
+	assert.ok(close(row.percentB, (9 - row.lower) / (row.upper - row.lower)));
+	assert.ok(close(row.bandwidth, (row.upper - row.lower) / 6.5));
+	
+	const flat = feed(new BollingerBands({ period: 3 }), [5, 5, 5]);
+	assert.equal(flat.upper, 5);
+	assert.equal(flat.percentB, null);
+	assert.equal(feed(new BollingerBands({ period: 3 }), [1, 2]).base, null);
+});
+
+test('Keltner Channels put ATR bands around an EMA of the close', () => {
+	const list = candles(wave(40));
+	const row = feed(new KeltnerChannels({ period: 10, atrPeriod: 5, multiplier: 1.5 }), list);
+	const ema = feed(new ExponentialMovingAverage({ period: 10 }), list.map(candle => candle.close)).base;
+	const atr = feed(new AverageTrueRange({ period: 5 }), list).base;
+	
+	assert.ok(close(row.middle, ema));
+	assert.ok(close(row.upper, ema + 1.5 * atr));
+	assert.ok(close(row.lower, ema - 1.5 * atr));
+});
+
+test('Donchian Channels track the highest high and lowest low', () => {
+	const indicator = new DonchianChannels({ period: 3 });
+	const bars = [[10, 8], [12, 9], [11, 7], [9, 8], [10, 9]].map(([high, low]) => ({ high, low, close: low }));
+	
+	assert.equal(feed(indicator, bars.slice(0, 2)).base, null);
+	assert.deepEqual(feed(indicator, bars.slice(2, 3)), { base: 9.5, upper: 12, middle: 9.5, lower: 7 });
+	assert.deepEqual(feed(indicator, bars.slice(3)), { base: 9, upper: 11, middle: 9, lower: 7 });
+});
+
+test('Stochastic places the close inside the range of the last bars', () => {
+	const bars = [[10, 0, 5], [10, 0, 8], [10, 0, 2], [20, 10, 15]].map(([high, low, close]) => ({ high, low, close }));
+	const indicator = new Stochastic({ period: 2, smoothK: 1, smoothD: 2 });
+	
+	assert.deepEqual(feed(indicator, bars.slice(0, 2)), { base: 80, k: 80, d: null });
+	assert.deepEqual(feed(indicator, bars.slice(2, 3)), { base: 20, k: 20, d: 50 });
+	assert.deepEqual(feed(indicator, bars.slice(3)), { base: 75, k: 75, d: 47.5 });
+});
+
+test('Williams %R runs from 0 at the high to -100 at the low', () => {
+	const bars = [[10, 0, 5], [10, 0, 10], [10, 0, 0]].map(([high, low, close]) => ({ high, low, close }));
+	const indicator = new WilliamsR({ period: 2 });
+	assert.equal(feed(indicator, bars.slice(0, 1)).base, null);
+	assert.equal(feed(indicator, bars.slice(1, 2)).base, -0);
+	assert.equal(feed(indicator, bars.slice(2)).base, -100);
+});
+
+test('Rate of Change compares with the value `period` bars back', () => {
+	const indicator = new RateOfChange({ period: 2 });
+	assert.deepEqual(feed(indicator, [100, 105]), { base: null, momentum: null });
+	assert.deepEqual(feed(indicator, [120]), { base: 20, momentum: 20 });
+	const row = feed(indicator, [90]);
+	assert.ok(close(row.base, -100 * 15 / 105));
+	assert.equal(row.momentum, -15);
+});
+
+test('CCI measures the typical price against its mean deviation', () => {
+	const bars = [9, 10, 11, 14].map(value => ({ high: value, low: value, close: value }));
+	// 3 typical price terakhir 10, 11, 14: mean 35/3, mean deviation 14/9
+	const cci = feed(new CommodityChannelIndex({ period: 3 }), bars).base;
+	assert.ok(close(cci, (14 - 35 / 3) / (0.015 * 14 / 9)));
+	assert.equal(feed(new CommodityChannelIndex({ period: 2 }), [{ high: 1, low: 1, close: 1 }, { high: 1, low: 1, close: 1 }]).base, 0);
+});
+
+test('Stochastic RSI stays between 0 and 100 and keeps the RSI column', () => {
+	const row = feed(new StochasticRSI({ period: 5, stochPeriod: 5 }), wave(60));
+	assert.ok(row.k >= 0 && row.k <= 100);
+	assert.ok(row.d >= 0 && row.d <= 100);
+	assert.ok(row.rsi >= 0 && row.rsi <= 100);
+	assert.equal(row.base, row.k);
+});
+
+test('OBV adds volume on up closes and subtracts it on down closes', () => {
+	const bars = [[10, 5], [11, 3], [11, 4], [9, 2]].map(([close, volume]) => ({ close, volume }));
+	const indicator = new OnBalanceVolume();
+	feed(indicator, bars);
+	assert.deepEqual(indicator.values.base, [0, 3, 3, 1]);
+});
+
+test('anchored VWAP restarts on every UTC session', () => {
+	const bar = (timestamp, price, volume) => ({ timestamp, high: price, low: price, close: price, volume });
+	const day = new VolumeWeightedAveragePrice({ anchor: 'day' });
+	assert.equal(feed(day, [bar(START, 10, 1), bar(START + HOUR, 20, 3)]).base, 17.5);
+	assert.equal(feed(day, [bar(START + 24 * HOUR, 30, 2)]).base, 30);
+	assert.equal(feed(day, [bar(START + 25 * HOUR, 40, 0)]).base, 30);
+	
+	// 1 Januari 2024 adalah hari Senin, minggu baru dimulai 8 Januari
+	assert.equal(VolumeWeightedAveragePrice.session(START + 6 * 24 * HOUR, 'week'), VolumeWeightedAveragePrice.session(START, 'week'));
+	assert.notEqual(VolumeWeightedAveragePrice.session(START + 7 * 24 * HOUR, 'week'), VolumeWeightedAveragePrice.session(START, 'week'));
+	assert.notEqual(VolumeWeightedAveragePrice.session(Date.UTC(2024, 1, 1), 'month'), VolumeWeightedAveragePrice.session(Date.UTC(2024, 0, 31), 'month'));
+});
+
+test('rolling VWAP uses the last `period` bars', () => {
+	const bars = [[10, 1], [20, 1], [30, 2]].map(([price, volume], i) => ({ timestamp: START + i * HOUR, high: price, low: price, close: price, volume }));
+	const indicator = new VolumeWeightedAveragePrice({ anchor: 'rolling', period: 2 });
+	assert.equal(feed(indicator, bars.slice(0, 1)).base, 10);
+	assert.equal(feed(indicator, bars.slice(1)).base, (20 + 60) / 3);
+});
+
+test('MFI is 100 without negative money flow and follows the flow ratio', () => {
+	const bar = (price, volume) => ({ high: price, low: price, close: price, volume });
+	assert.equal(feed(new MoneyFlowIndex({ period: 2 }), [bar(1, 1), bar(2, 1), bar(3, 1)]).base, 100);
+	// flow: +2*1, -1*2 => rasio 1
+	assert.equal(feed(new MoneyFlowIndex({ period: 2 }), [bar(1, 1), bar(2, 1), bar(1, 2)]).base, 50);
+});
+
+test('A/D and CMF weight the volume by the close location in the range', () => {
+	const bars = [
+		{ high: 10, low: 0, close: 10, volume: 2 },
+		{ high: 10, low: 0, close: 0, volume: 1 },
+		{ high: 10, low: 0, close: 5, volume: 5 }
+	];
+	const ad = new AccumulationDistribution();
+	feed(ad, bars);
+	assert.deepEqual(ad.values.base, [2, 1, 1]);
+	assert.equal(AccumulationDistribution.flowVolume({ high: 5, low: 5, close: 5, volume: 9 }), 0);
+	
+	assert.equal(feed(new ChaikinMoneyFlow({ period: 2 }), bars).base, -1 / 6);
+	assert.equal(feed(new ChaikinMoneyFlow({ period: 3 }), bars.slice(0, 2)).base, null);
+});
+
+test('ADX reaches 100 in a steady trend with only positive movement', () => {
+	const bars = Array.from({ length: 30 }, (_, i) => ({ high: 10 + i, low: 8 + i, close: 9 + i }));
+	const row = feed(new AverageDirectionalIndex({ period: 5 }), bars);
+	assert.equal(row.minusDI, 0);
+	assert.ok(row.plusDI > 0);
+	assert.equal(row.dx, 100);
+	assert.ok(close(row.base, 100));
+	assert.equal(new AverageDirectionalIndex({ period: 5 }).adxPeriod, 5);
+});
+
+test('Parabolic SAR trails the trend and reverses when the price crosses it', () => {
+	const rising = Array.from({ length: 10 }, (_, i) => ({ high: 11 + i, low: 9 + i, close: 10 + i }));
+	const indicator = new ParabolicSAR();
+	const up = feed(indicator, rising);
+	assert.equal(up.trend, 1);
+	assert.ok(up.base < rising.at(-1).low);
+	
+	const down = feed(indicator, [{ high: 15, low: 5, close: 6 }]);
+	assert.equal(down.trend, -1);
+	// SAR baru adalah extreme point sebelumnya (high tertinggi)
+	assert.equal(down.base, 20);
+});
+
+test('Ichimoku spans never use bars after the current one', () => {
+	const list = candles(wave(80));
+	const options = { tenkanPeriod: 3, kijunPeriod: 5, senkouPeriod: 8, displacement: 4 };
+	const full = new IchimokuCloud(options);
+	const prefix = new IchimokuCloud(options);
+	feed(full, list);
+	feed(prefix, list.slice(0, 40));
+	
+	// nilai pada bar ke-40 sama walaupun bar sesudahnya sudah diketahui
+	assert.deepEqual(full.getItemAt(39), prefix.getItemAt(39));
+	// awan pada bar i adalah lead yang dihitung displacement - 1 bar sebelumnya
+	assert.equal(full.values.senkouA[50], full.values.leadA[47]);
+	assert.equal(full.values.senkouB[50], full.values.leadB[47]);
+	assert.equal(full.values.chikou[50], list[50].close);
+});
+
+test('Aroon counts the bars since the highest high and lowest low', () => {
+	const bars = [5, 4, 3, 6].map(value => ({ high: value, low: value, close: value }));
+	const row = feed(new Aroon({ period: 3 }), bars);
+	assert.equal(row.up, 100);
+	// low terendah (3) terjadi 1 bar sebelumnya
+	assert.ok(close(row.down, 200 / 3));
+	assert.ok(close(row.base, 100 / 3));
+	assert.equal(feed(new Aroon({ period: 3 }), bars.slice(0, 3)).base, null);
+});
+
+test('moving average types without a period use the default period of the type', () => {
+	assert.equal(new MovingAverage({ type: 'kama' }).period, 10);
+	assert.equal(new MovingAverage({ type: 'alma' }).period, 9);
+	assert.equal(new MovingAverage().period, 14);
+	assert.equal(new MovingAverage({ type: 'hma', period: 21 }).period, 21);
+	assert.equal(new MovingAverage({ type: 'kama' }).clone().period, 10);
+	assert.throws(() => new MovingAverage({ type: 'nope' }), /Unknown moving average type nope/);
+	
+	const kama = new MovingAverage({ type: 'KAMA' });
+	assert.equal(kama.type, 'kama');
+	assert.equal(feed(kama, wave(10)).base, null);
+	assert.equal(typeof feed(kama, wave(1)).base, 'number');
+});
+
+test('every moving average type follows a constant series', () => {
+	for (let type in Smoothers) {
+		const indicator = new MovingAverage({ type, period: 5 });
+		const input = type === 'vwma' ? candles(Array(40).fill(50)) : Array(40).fill(50);
+		assert.ok(close(feed(indicator, input).base, 50), type);
+	}
+});
+
+test('simple, weighted and Wilder smoothing give their textbook values', () => {
+	const values = [1, 2, 3, 4, 5];
+	assert.equal(feed(new MovingAverage({ type: 'sma', period: 3 }), values).base, 4);
+	assert.equal(feed(new MovingAverage({ type: 'wma', period: 3 }), values).base, (3 + 8 + 15) / 6);
+	// rma: seed SMA(1, 2, 3) = 2, lalu alpha 1/3
+	const rma = Smoother.create('rma', { period: 3 });
+	const result = values.map(value => rma.next(value));
+	assert.deepEqual(result.slice(0, 3), [null, null, 2]);
+	assert.ok(close(result[4], (2 * (2 * 2 + 4) / 3 + 5) / 3));
+});
+
+test('Keltner Channels smooth the ATR with `atrSmoothing`', () => {
+	const list = candles(wave(40));
+	const sma = new KeltnerChannels({ period: 10, atrPeriod: 5, atrSmoothing: 'sma' });
+	const row = feed(sma, list);
+	const atr = feed(new AverageTrueRange({ period: 5, smoothing: 'sma' }), list).base;
+	
+	assert.ok(close(row.upper - row.middle, 2 * atr));
+	assert.equal(new KeltnerChannels().atr.smoothing, 'rma');
+	assert.equal(sma.clone().atr.smoothing, 'sma');
+});
+
+test('RSI accepts the smoothing type', () => {
+	const closes = wave(50, { period: 17 });
+	const sma = feed(new RelativeStrengthIndex({ period: 5, smoothing: 'sma' }), closes).base;
+	const rma = feed(new RelativeStrengthIndex({ period: 5, smoothing: 'rma' }), closes).base;
+	assert.ok(sma >= 0 && sma <= 100);
+	assert.notEqual(sma, rma);
+});
+
+test('indicator values do not change when old values are cut off by the limit', () => {
+	const list = candles(wave(150, { period: 31 }));
+	const ids = ['MA', 'EMA', 'MACD', 'RSI', 'ATR', 'ST', 'BB', 'KC', 'DC', 'STOCH', 'STOCHRSI', 'CCI', 'WILLR', 'ROC', 'OBV', 'VWAP', 'MFI', 'AD', 'CMF', 'ADX', 'PSAR', 'ICHIMOKU', 'AROON'];
+	const short = new TradeData({ limit: 5 });
+	const long = new TradeData({ limit: 500 });
+	for (let id of ids) {
+		short.setIndicator(id, id);
+		long.setIndicator(id, id);
+	}
+	for (let candle of list) {
+		short.push(candle);
+		long.push(candle);
+	}
+	
+	for (let id of ids) {
+		assert.equal(short.indicators[id].length, 5, id);
+		assert.deepEqual(short.last().indicators[id], long.last().indicators[id], id);
+		assert.deepEqual(short.last(4).indicators[id], long.last(4).indicators[id], id);
+	}
+});
+
+test('indicators can be updated on their own with numbers or bars', () => {
+	const rsi = new RelativeStrengthIndex({ period: 3 });
+	[1, 2, 3, 2, 4].forEach(value => rsi.update(value));
+	assert.equal(rsi.length, 5);
+	assert.equal(typeof rsi.values.base.at(-1), 'number');
+	
+	const atr = new AverageTrueRange({ period: 2 });
+	candles([1, 2, 3]).forEach(bar => atr.update(bar));
+	assert.equal(atr.length, 3);
+});
@@ -0,0 +1,239 @@
+// test/klines.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Klines } from '../klines.js';
+import { TradeData, CryptoTradeScenario } from '../trade.js';
+import { ExchangeAdapter } from '../adapters.js';
+import { candles, wave, START, HOUR } from './helpers.js';
+
+const bars = candles([10, 12, 11]);
+
+test('read detects CSV, TSV, JSON and NDJSON', () => {
+	const csv = 'time,o,h,l,c,vol\n' + bars.map(b => [b.timestamp, b.open, b.high, b.low, b.close, b.volume].join(',')).join('\n');
+	const tsv = csv.replace(/,/g, '\t');
+	const json = JSON.stringify(bars);
+	const ndjson = bars.map(b => JSON.stringify(b)).join('\n');
+	
+	for (let text of [csv, tsv, json, ndjson]) {
+		assert.deepEqual(Klines.read(text), bars);
+	}
+	assert.equal(Klines.detect(csv), 'csv');
+	assert.equal(Klines.detect(tsv), 'tsv');
+	assert.equal(Klines.detect(json), 'json');
+	assert.equal(Klines.detect(ndjson), 'ndjson');
+});
+
+test('read maps header aliases and reads rows without a header by position', () => {
+	const named = Klines.read('Open Time;Open;High;Low;Close;Base Volume\n1704067200;1;3;0.5;2;7');
+	assert.deepEqual(named, [{ timestamp: START, open: 1, high: 3, low: 0.5, close: 2, volume: 7 }]);
+	
+	const positional = Klines.read(`${START},1,3,0.5,2,7\n${START + HOUR},2,4,1,3,8`);
+	assert.equal(positional.length, 2);
+	assert.equal(positional[1].volume, 8);
+	
+	// tanpa kolom volume
+	assert.equal(Klines.read('date,open,high,low,close\n2024-01-01,1,2,0,1')[0].volume, 0);
+	assert.throws(() => Klines.read('date,open,close\n2024-01-01,1,1'), /high, low/);
+});
+
+test('read supports quoted cells and keeps the row order', () => {
+	const text = `"time","open","high","low","close","Base ""Volume"""\n"${START + HOUR}","2","3","1","2","5"\n"${START}","1","2","0","1","2"`;
+	const result = Klines.read(text);
+	assert.deepEqual(result.map(kline => kline.timestamp), [START + HOUR, START]);
+	assert.deepEqual(result.map(kline => kline.volume), [5, 2]);
+});
+
+test('time reads seconds, milliseconds, microseconds and dates as UTC', () => {
+	assert.equal(Klines.time(1704067200), START);
+	assert.equal(Klines.time('1704067200000'), START);
+	assert.equal(Klines.time(1704067200000000), START);
+	assert.equal(Klines.time('2024-01-01 00:00'), START);
+	assert.equal(Klines.time('2024-01-01T01:00:00Z'), START + HOUR);
+	assert.equal(Klines.time('2024-01-01T07:00:00+07:00'), START);
+	assert.ok(isNaN(Klines.time('yesterday')));
+	assert.ok(isNaN(Klines.time(null)));
+});
+
+test('export writes every format that read accepts', () => {
+	const klines = new Klines(10).import(JSON.stringify(bars));
+	assert.equal(klines.length, 3);
+	
+	for (let format of ['csv', 'tsv', 'json', 'ndjson']) {
+		assert.deepEqual(Klines.read(klines.export(format)), bars, format);
+	}
+	const [header, first] = klines.export('csv', { time: 'iso' }).split('\n');
+	assert.equal(header, 'timestamp,open,high,low,close,volume');
+	assert.match(first, /^2024-01-01T00:00:00\.000Z,/);
+	assert.match(klines.export('tsv', { time: 's' }).split('\n')[1], /^1704067200\t/);
+	assert.throws(() => klines.export('xml'), /Unknown format xml/);
+});
+
+test('export aligns indicator columns to the newest row', () => {
+	const data = new TradeData();
+	data.setIndicator('sma', 'MA', { type: 'sma', period: 2 });
+	data.setIndicator('bb', 'BB', { period: 2 });
+	bars.forEach(bar => data.push(bar));
+	
+	const rows = JSON.parse(data.export('json'));
+	assert.deepEqual(Object.keys(rows[0]).slice(0, 7), ['timestamp', 'open', 'high', 'low', 'close', 'volume', 'sma']);
+	assert.ok(rows[0]['bb.upper'] !== undefined);
+	assert.deepEqual(rows.map(row => row.sma), [null, 11, 11.5]);
+	
+	const csv = data.export('csv').split('\n');
+	assert.equal(csv[1].split(',')[6], '');
+	assert.equal(csv[3].split(',')[6], '11.5');
+});
+
+test('write exports any ArrayMap such as the equity curve and the ledger', () => {
+	const result = new CryptoTradeScenario()
+		.setWallet({ USDT: 1000 })
+		.addStrategy((pair, data, wallet, action) => {
+			if (data.length === 1) action('buy', 100);
+		})
+		.runBacktest({ 'BTC/USDT': bars });
+	
+	const equity = Klines.write(result.equity, 'csv').split('\n');
+	assert.equal(equity[0], 'timestamp,equity');
+	assert.equal(equity.length, 4);
+	assert.equal(equity[1].split(',')[0], String(START));
+	
+	const ledger = JSON.parse(Klines.write(result.ledger, 'json'));
+	assert.equal(ledger.length, 1);
+	assert.equal(ledger[0].side, 'buy');
+	assert.equal(Klines.write(result.ledger, 'ndjson').split('\n').length, 1);
+});
+
+test('duration reads interval strings', () => {
+	assert.equal(Klines.duration('15m'), 15 * 60000);
+	assert.equal(Klines.duration('4h'), 4 * HOUR);
+	assert.equal(Klines.duration('1M'), 30 * 24 * HOUR);
+	assert.throws(() => Klines.duration('1y'), /Unknown interval 1y/);
+	assert.equal(ExchangeAdapter.duration('1w'), Klines.duration('1w'));
+	assert.throws(() => ExchangeAdapter.duration('h'), /Unknown interval/);
+});
+
+test('bucket aligns periods to UTC, weeks to Monday and months to the calendar', () => {
+	const wednesday = Date.UTC(2024, 0, 3, 13, 30);
+	assert.equal(Klines.bucket(wednesday, '4h'), Date.UTC(2024, 0, 3, 12));
+	assert.equal(Klines.bucket(wednesday, '4h', 1), Date.UTC(2024, 0, 3, 16));
+	assert.equal(Klines.bucket(wednesday, '1d'), Date.UTC(2024, 0, 3));
+	assert.equal(Klines.bucket(wednesday, '1w'), START); // 1 Jan 2024 hari Senin
+	assert.equal(Klines.bucket(Date.UTC(2024, 1, 29, 23), '1M'), Date.UTC(2024, 1, 1));
+	assert.equal(Klines.bucket(Date.UTC(2024, 1, 29), '1M', 1), Date.UTC(2024, 2, 1));
+	assert.equal(Klines.bucket(Date.UTC(2024, 3, 10), '3M'), Date.UTC(2024, 3, 1));
+	assert.equal(Klines.bucket(Date.UTC(2024, 11, 10), '2M', 1), Date.UTC(2025, 0, 1));
+});
+
+test('resample rolls candles up into higher intervals', () => {
+	const klines = new Klines(100);
+	klines.push(...candles([1, 5, 3, 4, 2, 8, 7, 6, 9, 10]));
+	
+	const result = klines.resample('4h');
+	assert.equal(result.limit, 100);
+	assert.deepEqual(result.map(kline => kline), [
+		{ timestamp: START, open: 1, high: 6, low: 0, close: 4, volume: 40 },
+		{ timestamp: START + 4 * HOUR, open: 4, high: 9, low: 1, close: 6, volume: 40 },
+		{ timestamp: START + 8 * HOUR, open: 6, high: 11, low: 5, close: 10, volume: 20 }
+	]);
+	// bucket terakhir belum lengkap
+	assert.equal(klines.resample('4h', { partial: false }).length, 2);
+	assert.equal(klines.resample('5h', { partial: false }).length, 2);
+	assert.equal(klines.resample('1d').length, 1);
+});
+
+
+test('invert detects the format past a broken first bar and keeps it as NaN', () => {
+	const [first, ...rest] = candles([10, 12, 11]);
+	const objects = Klines.invert([{ ...first, open: null, close: 'n/a' }, ...rest]);
+	assert.equal(objects.length, 3);
+	assert.ok(isNaN(objects[0].open) && isNaN(objects[0].close));
+	assert.equal(objects[0].high, first.high);
+	assert.deepEqual(objects.slice(1), rest);
+	
+	const rows = Klines.invert([[String(START), '', '', '', '', ''], [START + HOUR, '1', '2', '0', '1', '5']]);
+	assert.equal(rows[0].timestamp, START);
+	assert.ok(isNaN(rows[0].open));
+	assert.equal(rows[1].volume, 5);
+	
+	// tidak ada angka sama sekali: format dari key
+	const empty = Klines.invert([{ t: START, o: null, h: null, l: null, c: null, v: null }, null]);
+	assert.equal(empty.length, 2);
+	assert.equal(empty[0].timestamp, START);
+	assert.ok(isNaN(empty[0].open) && isNaN(empty[1].timestamp));
+	assert.deepEqual(Klines.invert([{ foo: 1 }]), []);
+});
+
+test('validate reports every kind of problem with its index', () => {
+	const [a, b, c, d, e] = candles([10, 12, 11, 13, 14]);
+	const report = Klines.validate([
+		{ ...a, volume: NaN },
+		{ ...b, high: b.low - 1 },
+		{ ...b },
+		{ ...a },
+		{ ...e, close: e.high + 1, volume: 0 }
+	], { interval: '1h' });
+	
+	assert.equal(report.valid, false);
+	assert.equal(report.interval, HOUR);
+	assert.deepEqual(report.issues.map(({ type, index }) => [type, index]), [
+		['nan', 0],
+		['highLow', 1],
+		['duplicate', 2],
+		['duplicate', 3],
+		['gap', 4],
+		['range', 4],
+		['zeroVolume', 4]
+	]);
+	assert.equal(report.issues[0].field, 'volume');
+	assert.equal(report.issues[4].missing, 2);
+	assert.deepEqual(report.counts, { nan: 1, highLow: 1, duplicate: 2, gap: 1, range: 1, zeroVolume: 1 });
+	
+	const order = Klines.validate([b, a, c, d]);
+	assert.deepEqual(order.issues.map(issue => issue.type), ['order']);
+	assert.equal(Klines.validate(candles([1, 2, 3])).valid, true);
+});
+
+test('repair fills gaps and missing prices by policy', () => {
+	const [a, , c] = candles([10, 12, 16]);
+	const list = [c, { ...a, close: NaN }, a];
+	
+	const ffill = Klines.repair(list, { interval: '1h' });
+	assert.deepEqual(ffill.map(kline => kline.timestamp), [START, START + HOUR, START + 2 * HOUR]);
+	assert.equal(ffill[0].close, 10); // versi terakhir dari duplikat dipakai
+	assert.deepEqual(ffill[1], { timestamp: START + HOUR, open: 10, high: 10, low: 10, close: 10, volume: 0 });
+	
+	const interpolate = Klines.repair([a, { ...c, timestamp: START + 3 * HOUR, open: 16 }], { policy: 'interpolate', interval: '1h' });
+	assert.deepEqual(interpolate.slice(1, 3).map(kline => kline.close), [12, 14]);
+	
+	const missing = Klines.repair([{ ...a, close: NaN, volume: NaN }, c], { policy: 'interpolate' });
+	assert.equal(missing[0].close, c.close); // tanpa bar sebelumnya diisi nilai berikutnya
+	assert.equal(missing[0].high, c.close);
+	assert.equal(missing[0].volume, 0);
+	assert.throws(() => Klines.repair(list, { policy: 'mean' }), /Unknown repair policy mean/);
+});
+
+test('the drop policy removes bars without volume whether it is zero or missing', () => {
+	const [a, b, c, d] = candles([10, 12, 11, 13]);
+	const result = Klines.repair([a, { ...b, volume: 0 }, { ...c, volume: NaN }, { ...d, low: d.high + 1 }], { policy: 'drop' });
+	assert.deepEqual(result, [a]);
+	assert.notEqual(result[0], a);
+});
+
+test('a broken first bar is reported by quality and repaired instead of dropping the pair', () => {
+	const [first, ...rest] = candles(wave(10));
+	const raw = [{ ...first, open: null }, ...rest];
+	const run = (validation) => new CryptoTradeScenario()
+		.setWallet({ USDT: 1000 })
+		.setValidation(validation)
+		.runBacktest({ 'BTC/USDT': raw });
+	
+	const reported = run({ interval: '1h' });
+	assert.deepEqual(reported.pairs, ['BTC/USDT']);
+	assert.equal(reported.quality['BTC/USDT'].valid, false);
+	assert.deepEqual(reported.quality['BTC/USDT'].issues.map(({ type, index, field }) => [type, index, field]), [['nan', 0, 'open']]);
+	
+	const filled = run({ policy: 'ffill', interval: '1h' });
+	assert.equal(filled.bars, 10);
+	assert.equal(run({ policy: 'drop' }).bars, 9);
+});
@@ -0,0 +1,73 @@
+// test/ledger.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Ledger } from '../ledger.js';
+import { CryptoTradeScenario } from '../trade.js';
+import { candles, START, HOUR } from './helpers.js';
+
+const order = (fields = {}) => ({ timestamp: START, pair: 'BTC/USDT', side: 'buy', type: 'market', status: 'pending', ...fields });
+
+test('Ledger assigns sequential ids and finds orders by id', () => {
+	const ledger = new Ledger();
+	const first = ledger.record(order());
+	const second = ledger.record(order({ side: 'sell' }));
+	
+	assert.equal(first.id, 1);
+	assert.equal(second.id, 2);
+	assert.equal(ledger.getOrder(2).side, 'sell');
+	assert.equal(ledger.getOrder(3), undefined);
+});
+
+test('Ledger.update changes the stored row but never the id', () => {
+	const ledger = new Ledger();
+	ledger.record(order());
+	const { id } = ledger.record(order());
+	
+	const updated = ledger.update(id, { id: 99, status: 'filled', price: 101, filledAt: START + HOUR });
+	assert.equal(updated.id, id);
+	assert.equal(ledger.getOrder(id).status, 'filled');
+	assert.equal(ledger.getOrder(1).status, 'pending');
+	assert.equal(ledger.update(42, { status: 'filled' }), undefined);
+});
+
+test('Ledger.clear restarts ids and forgets the old rows', () => {
+	const ledger = new Ledger();
+	ledger.record(order());
+	ledger.record(order());
+	ledger.clear();
+	
+	assert.equal(ledger.getOrder(2), undefined);
+	assert.equal(ledger.record(order({ side: 'sell' })).id, 1);
+	assert.equal(ledger.getOrder(1).side, 'sell');
+});
+
+test('Ledger.query filters by fields and inclusive time bounds', () => {
+	const ledger = new Ledger();
+	ledger.record(order({ timestamp: START, status: 'filled' }));
+	ledger.record(order({ timestamp: START + HOUR, status: 'rejected', pair: 'ETH/USDT' }));
+	ledger.record(order({ timestamp: START + 2 * HOUR, status: 'filled' }));
+	
+	assert.deepEqual(ledger.query({ from: START + HOUR }).map(row => row.id), [2, 3]);
+	assert.deepEqual(ledger.query({ to: START + HOUR, status: 'filled' }).map(row => row.id), [1]);
+	assert.deepEqual(ledger.fills('BTC/USDT').map(row => row.id), [1, 3]);
+	assert.deepEqual(ledger.rejections().map(row => row.pair), ['ETH/USDT']);
+});
+
+test('backtest records filled and rejected market orders', () => {
+	const result = new CryptoTradeScenario()
+		.setWallet({ USDT: 1000 })
+		.addStrategy((pair, data, wallet, action) => {
+			if (data.price.length === 2) action('buy', 500);
+			if (data.price.length === 4) action('buy', 5000);
+		})
+		.runBacktest({ 'BTC/USDT': candles([100, 101, 102, 103, 104, 105]) });
+	
+	const [fill, rejected] = result.ledger.query({});
+	assert.equal(fill.status, 'filled');
+	assert.equal(fill.timestamp, START + HOUR);
+	assert.equal(fill.filledAt, START + HOUR);
+	assert.equal(fill.value, 500);
+	assert.equal(rejected.status, 'rejected');
+	assert.ok(rejected.reason);
+});
@@ -0,0 +1,74 @@
+// test/margin.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MarginModel } from '../margin.js';
+import { CryptoTradeScenario } from '../trade.js';
+import { candles, START, HOUR } from './helpers.js';
+
+/**
+ * Runs a margin backtest that sends one market order on the first bar.
+ * @param {number[]} closes
+ * @param {Object} margin - Options of `setMargin`.
+ * @param {'buy'|'sell'} side
+ * @param {number} value
+ */
+const run = (closes, margin, side, value) => {
+	return new CryptoTradeScenario({ fill: 'close' })
+		.setWallet({ USDT: 1000 })
+		.setMargin(margin)
+		.addStrategy((pair, data, wallet, action) => {
+			if (data.price.length === 1) action(side, value);
+		})
+		.runBacktest({ 'BTC/USDT': candles(closes) });
+};
+
+test('MarginModel derives the initial margin and the funding times', () => {
+	const model = new MarginModel({ leverage: 4, fundingInterval: HOUR });
+	assert.equal(model.initialMargin, 0.25);
+	assert.equal(model.required(-1000), 250);
+	assert.deepEqual(model.fundingTimes(START - 1, START + HOUR), [START, START + HOUR]);
+	assert.deepEqual(model.fundingTimes(START, START), []);
+	assert.ok(Number.isNaN(model.liquidationPrice(0, 100, 1000)));
+});
+
+test('the liquidation price leaves the maintenance margin as equity', () => {
+	const model = new MarginModel({ maintenanceMargin: 0.01 });
+	const price = model.liquidationPrice(10, 100, 500);
+	assert.ok(Math.abs(500 + (price - 100) * 10 - 10 * price * 0.01) < 1e-9);
+	assert.ok(Number.isNaN(model.liquidationPrice(1, 100, 1000)));
+});
+
+test('sell opens a short and realized pnl settles into the quote balance', () => {
+	const result = run([100, 90, 80], { leverage: 5 }, 'sell', 2000);
+	const position = result.positions['BTC/USDT'];
+	assert.equal(position.quantity, -20);
+	assert.equal(result.wallet.BTC, undefined);
+	assert.equal(position.unrealizedPnl, 400);
+	assert.equal(result.equity.getItemAt(2).equity, 1400);
+});
+
+test('orders beyond the initial margin are rejected', () => {
+	const result = run([100, 100], { leverage: 2 }, 'buy', 2500);
+	const [order] = result.ledger.query({});
+	assert.equal(order.status, 'rejected');
+	assert.equal(order.reason, 'insufficient margin');
+});
+
+test('positions are liquidated when the range reaches the maintenance margin', () => {
+	const result = run([100, 120, 160, 170], { leverage: 5, maintenanceMargin: 0.005 }, 'sell', 2000);
+	const liquidation = result.ledger.query({ type: 'liquidation' })[0];
+	const level = (100 * -20 - 1000) / (-20 - 20 * 0.005);
+	
+	assert.equal(liquidation.filledAt, START + 2 * HOUR);
+	assert.ok(Math.abs(liquidation.price - level) < 1e-9);
+	assert.equal(result.positions['BTC/USDT'].side, 'flat');
+	assert.ok(result.wallet.USDT >= 0 && result.wallet.USDT < 1000 * 0.005 * 20);
+});
+
+test('funding is paid by longs on every funding time', () => {
+	const result = run([100, 100, 100], { fundingRate: 0.001, fundingInterval: HOUR }, 'buy', 1000);
+	assert.equal(result.funding.length, 2);
+	assert.deepEqual(result.funding.getItemAt(0), { timestamp: START + HOUR, pair: 'BTC/USDT', rate: 0.001, amount: -1 });
+	assert.equal(result.wallet.USDT, 998);
+});
@@ -0,0 +1,123 @@
+// test/montecarlo.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MonteCarlo } from '../montecarlo.js';
+import factory from './strategy.js';
+import { candles, wave, START, HOUR } from './helpers.js';
+
+/** Closed trades with the given pnl, one hour apart. */
+const trades = (pnls) => pnls.map((pnl, i) => ({
+	pair: 'BTC/USDT',
+	side: 'long',
+	entryTime: START + i * HOUR,
+	exitTime: START + (i + 1) * HOUR,
+	quantity: 1,
+	entryPrice: 100,
+	exitPrice: 100 + pnl,
+	pnl
+}));
+
+const list = trades([50, -20, 30, -40, 10, 25, -15]);
+const data = { 'BTC/USDT': candles(wave(120, { period: 30 })) };
+
+test('percentile interpolates between sorted values', () => {
+	const sorted = [1, 2, 3, 4, 5];
+	assert.equal(MonteCarlo.percentile(sorted, 0), 1);
+	assert.equal(MonteCarlo.percentile(sorted, 0.5), 3);
+	assert.equal(MonteCarlo.percentile(sorted, 1), 5);
+	assert.equal(MonteCarlo.percentile(sorted, 0.1), 1.4);
+	assert.equal(MonteCarlo.percentile([7], 0.9), 7);
+	assert.ok(isNaN(MonteCarlo.percentile([], 0.5)));
+});
+
+test('shuffling trades keeps the final equity and spreads the drawdown', () => {
+	const report = new MonteCarlo({ runs: 200, seed: 1 }).trades(list, { initialEquity: 1000 });
+	assert.equal(report.runs, 200);
+	assert.equal(report.initialEquity, 1000);
+	assert.ok(report.samples.finalEquity.every(value => Math.abs(value - 1040) < 1e-9));
+	assert.ok(report.maxDrawdown.lower < report.maxDrawdown.upper);
+	assert.ok(report.maxDrawdown.lower >= 0);
+	assert.equal(report.riskOfRuin, 0);
+});
+
+test('the same seed repeats the trade simulations, another seed does not', () => {
+	const options = { method: 'resample', slippage: 20, skip: 0.2, initialEquity: 1000 };
+	const run = (seed) => new MonteCarlo({ runs: 100, seed }).trades(list, options);
+	assert.deepEqual(run(42), run(42));
+	assert.notDeepEqual(run(42).samples, run(43).samples);
+	
+	const monteCarlo = new MonteCarlo({ runs: 100, seed: 42 });
+	assert.deepEqual(monteCarlo.trades(list, options), monteCarlo.trades(list, options));
+	assert.deepEqual(monteCarlo.trades(list, options), run(42));
+});
+
+test('skip, slippage and ruin change the simulated equity', () => {
+	const skipped = new MonteCarlo({ runs: 20, seed: 1 }).trades(list, { skip: 1, initialEquity: 1000 });
+	assert.deepEqual(skipped.finalEquity, { mean: 1000, median: 1000, lower: 1000, upper: 1000 });
+	
+	const slipped = new MonteCarlo({ runs: 50, seed: 1 }).trades(list, { slippage: 50, initialEquity: 1000 });
+	assert.ok(slipped.samples.finalEquity.every(value => value < 1040));
+	
+	const ruined = new MonteCarlo({ runs: 20, seed: 1, ruin: 0.01 }).trades(trades([-20]), { initialEquity: 1000 });
+	assert.equal(ruined.riskOfRuin, 1);
+	
+	assert.throws(() => new MonteCarlo({ runs: 0 }), /Invalid number of runs 0/);
+	assert.throws(() => new MonteCarlo({ confidence: 1 }), /Invalid confidence 1/);
+	assert.throws(() => new MonteCarlo().trades(list), /initialEquity is required/);
+	assert.throws(() => new MonteCarlo().trades(list, { method: 'sort', initialEquity: 1 }), /Unknown trade simulation sort/);
+});
+
+test('trades reads the closed trades and initial equity of a backtest result', () => {
+	const result = factory({ period: 5 }).runBacktest(data);
+	const closed = result.positions['BTC/USDT'].trades;
+	assert.ok(closed.length > 2);
+	
+	// ekuitas awal adalah titik pertama kurva ekuitas
+	const report = new MonteCarlo({ runs: 10, seed: 5 }).trades(result);
+	const initialEquity = result.equity.getItemAt(0).equity;
+	assert.equal(report.initialEquity, initialEquity);
+	const total = closed.reduce((a, trade) => a + trade.pnl, 0);
+	assert.ok(report.samples.finalEquity.every(value => Math.abs(value - initialEquity - total) < 1e-6));
+});
+
+test('rebuild chains candle returns from the first close and keeps the timestamps', () => {
+	const source = candles([100, 110, 99, 120]);
+	assert.deepEqual(MonteCarlo.rebuild(source, [0, 1, 2, 3]).map(c => c.close), source.map(c => c.close));
+	
+	const rebuilt = MonteCarlo.rebuild(source, [0, 3, 3, 1]);
+	assert.deepEqual(rebuilt[0], source[0]);
+	assert.notEqual(rebuilt[0], source[0]);
+	assert.deepEqual(rebuilt.map(c => c.timestamp), source.map(c => c.timestamp));
+	// return candle 3 (120 / 99) dipakai dua kali, lalu return candle 1 (110 / 100)
+	const closes = rebuilt.map(c => c.close);
+	assert.ok(Math.abs(closes[1] - 100 * 120 / 99) < 1e-9);
+	assert.ok(Math.abs(closes[2] - closes[1] * 120 / 99) < 1e-9);
+	assert.ok(Math.abs(closes[3] - closes[2] * 1.1) < 1e-9);
+	assert.ok(rebuilt.every(c => c.high >= Math.max(c.open, c.close) && c.low <= Math.min(c.open, c.close)));
+	assert.deepEqual(MonteCarlo.rebuild([], []), []);
+});
+
+test('blocks draw consecutive candles and keep the first one', () => {
+	const monteCarlo = new MonteCarlo({ seed: 9 });
+	const indexes = monteCarlo.blocks(50, 5);
+	assert.equal(indexes.length, 50);
+	assert.equal(indexes[0], 0);
+	assert.ok(indexes.slice(1).every(i => i >= 1 && i < 50));
+	for (let start = 1; start + 5 <= 50; start += 5) {
+		const block = indexes.slice(start, start + 5);
+		assert.ok(block.every((i, j) => !j || i === block[j - 1] + 1));
+	}
+});
+
+test('the same seed repeats the bootstrap simulations', () => {
+	const run = (seed) => new MonteCarlo({ runs: 5, seed }).bootstrap(() => factory({ period: 5 }), data, { block: 10 });
+	const first = run(11);
+	assert.deepEqual(run(11), first);
+	const monteCarlo = new MonteCarlo({ runs: 5, seed: 11 });
+	monteCarlo.trades(list, { initialEquity: 1000 });
+	assert.deepEqual(monteCarlo.bootstrap(() => factory({ period: 5 }), data, { block: 10 }), first);
+	assert.notDeepEqual(run(12).samples, first.samples);
+	assert.equal(first.initialEquity, factory({ period: 5 }).runBacktest(data).equity.getItemAt(0).equity);
+	assert.equal(first.samples.finalEquity.length, 5);
+});
@@ -0,0 +1,77 @@
+// test/optimizer.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Optimizer } from '../optimizer.js';
+import { createRandom } from '../utils.js';
+import factory from './strategy.js';
+import { candles, wave } from './helpers.js';
+
+const data = { 'BTC/USDT': candles(wave(120, { period: 30 })) };
+const space = { period: { min: 5, max: 30, step: 1 }, size: [0.25, 0.5, 1] };
+const module = new URL('./strategy.js', import.meta.url);
+
+/** Parameters and scores of the results, comparable with deepEqual. */
+const summary = (results) => results.map(({ params, score }) => ({ params, score }));
+
+test('createRandom repeats its sequence for the same seed', () => {
+	const a = createRandom(42);
+	const b = createRandom(42);
+	const first = Array.from({ length: 5 }, () => a());
+	assert.deepEqual(Array.from({ length: 5 }, () => b()), first);
+	assert.notDeepEqual(Array.from({ length: 5 }, createRandom(43)), first);
+	assert.ok(first.every(value => value >= 0 && value < 1));
+});
+
+test('grid search evaluates every filtered combination, best first', async () => {
+	const optimizer = new Optimizer(factory, { period: [5, 10, 20], size: { min: 0.5, max: 1, step: 0.25 } }, {
+		metric: 'totalReturn',
+		filter: ({ period, size }) => !(period === 20 && size === 1)
+	});
+	const results = await optimizer.run(data);
+	
+	assert.equal(results.length, 8);
+	assert.deepEqual(optimizer.values('size'), [0.5, 0.75, 1]);
+	for (let i = 1; i < results.length; i++) assert.ok(results[i - 1].score >= results[i].score);
+	assert.equal(results[0].score, results[0].report.totalReturn);
+	assert.ok(!results.some(({ params }) => params.period === 20 && params.size === 1));
+});
+
+test('random and genetic search repeat their results for the same seed', async () => {
+	const search = (seed, options) => new Optimizer(factory, space, { metric: 'totalReturn', seed }).run(data, options);
+	
+	for (let options of [{ method: 'random', samples: 12 }, { method: 'genetic', population: 6, generations: 3 }]) {
+		const first = summary(await search(7, options));
+		assert.deepEqual(summary(await search(7, options)), first, options.method);
+		assert.notDeepEqual(summary(await search(8, options)), first, options.method);
+	}
+});
+
+test('metric functions and minimizing rank the results', async () => {
+	const optimizer = new Optimizer(factory, { period: [5, 10, 20] }, {
+		metric: report => report.maxDrawdown,
+		maximize: false
+	});
+	const results = await optimizer.run(data);
+	assert.deepEqual(results.map(result => result.score), results.map(result => result.report.maxDrawdown).sort((a, b) => a - b));
+	
+	await assert.rejects(optimizer.run(data, { method: 'annealing' }), /Unknown search method annealing/);
+	assert.throws(() => new Optimizer(factory, { period: [] }), /Invalid values of parameter period/);
+	assert.throws(() => new Optimizer(factory, space, { workers: 2 }), /module option is required/);
+});
+
+test('worker threads give the same results as the current thread', { timeout: 60000 }, async () => {
+	const options = { metric: 'totalReturn', seed: 3 };
+	const search = { method: 'random', samples: 6 };
+	const local = await new Optimizer(factory, space, options).run(data, search);
+	const threaded = await new Optimizer(factory, space, { ...options, workers: 2, module }).run(data, search);
+	assert.deepEqual(summary(threaded), summary(local));
+});
+
+test('a worker that exits rejects its task and the search', { timeout: 60000 }, async () => {
+	const crashing = new Optimizer(factory, { period: [12, 13, 14] }, { workers: 1, module, exportName: 'crash' });
+	await assert.rejects(crashing.run(data), /exit code 3/);
+	
+	const missing = new Optimizer(factory, { period: [12] }, { workers: 1, module, exportName: 'none' });
+	await assert.rejects(missing.run(data), /does not export a scenario factory as none/);
+});
@@ -0,0 +1,102 @@
+// test/orders.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderBook } from '../orders.js';
+import { CryptoTradeScenario } from '../trade.js';
+import { START, HOUR } from './helpers.js';
+
+const bar = (open, high, low, close, i = 0) => ({ timestamp: START + i * HOUR, open, high, low, close, volume: 10 });
+
+/**
+ * Runs a backtest that places the orders of `place` on the first bar.
+ * @param {Object[]} bars
+ * @param {(orders: import('../trade.js').OrderAPI) => void} place
+ */
+const run = (bars, place) => {
+	return new CryptoTradeScenario()
+		.setWallet({ USDT: 10000, BTC: 10 })
+		.addStrategy((pair, data, wallet, action, { orders }) => {
+			if (data.price.length === 1) place(orders);
+		})
+		.runBacktest({ 'BTC/USDT': bars.map((b, i) => ({ ...b, timestamp: START + i * HOUR })) });
+};
+
+test('cross walks the bar path and fills gaps at the open', () => {
+	const up = bar(100, 110, 95, 108);
+	assert.deepEqual(OrderBook.cross(up, 95, 'down'), { position: 1, price: 95 });
+	assert.equal(OrderBook.cross(up, 94, 'down'), null);
+	assert.deepEqual(OrderBook.cross(up, 110, 'up'), { position: 2, price: 110 });
+	assert.deepEqual(OrderBook.cross(up, 90, 'up'), { position: 0, price: 100 });
+	assert.deepEqual(OrderBook.cross(up, 109, 'down', 2), { position: 2.5, price: 109 });
+	assert.equal(OrderBook.cross(up, 96, 'down', 2), null);
+});
+
+test('invalid orders are recorded as rejected', () => {
+	const book = new OrderBook();
+	assert.equal(book.place('BTC/USDT', START, { side: 'buy', type: 'limit', value: 100 }).reason, 'invalid limit price');
+	assert.equal(book.place('BTC/USDT', START, { side: 'buy', type: 'market', price: 1, value: 100 }).status, 'rejected');
+	assert.equal(book.place('BTC/USDT', START, { side: 'buy', type: 'stop', price: 1 }).reason, 'invalid quantity');
+	assert.deepEqual(book.open(), []);
+});
+
+test('limit orders fill when the range reaches the price', () => {
+	const result = run([bar(100, 101, 99, 100), bar(100, 101, 97, 98), bar(98, 99, 94, 95)], (orders) => {
+		orders.place({ side: 'buy', type: 'limit', price: 96, quantity: 1 });
+	});
+	const [order] = result.ledger.fills();
+	assert.equal(order.filledAt, START + 2 * HOUR);
+	assert.equal(order.price, 96);
+});
+
+test('stop orders gapping through the price fill at the open', () => {
+	const result = run([bar(100, 101, 99, 100), bar(90, 92, 88, 91)], (orders) => {
+		orders.place({ side: 'sell', type: 'stop', price: 95, quantity: 1 });
+	});
+	assert.equal(result.ledger.fills()[0].price, 90);
+});
+
+test('stop-limit fills later on the trigger bar when the price comes back to the limit', () => {
+	// jalur: 100 -> 99 -> 108 -> 103, trigger di 105 lalu turun melewati limit 104
+	const result = run([bar(100, 101, 99, 100), bar(100, 108, 99, 103)], (orders) => {
+		orders.place({ side: 'buy', type: 'stopLimit', stopPrice: 105, limitPrice: 104, quantity: 1 });
+	});
+	const [order] = result.ledger.fills();
+	assert.equal(order.filledAt, START + HOUR);
+	assert.equal(order.triggeredAt, START + HOUR);
+	assert.equal(order.price, 104);
+});
+
+test('stop-limit rests as a limit order when the trigger bar does not reach the limit', () => {
+	const result = run([bar(100, 101, 99, 100), bar(100, 108, 99, 106), bar(106, 107, 103, 104)], (orders) => {
+		orders.place({ side: 'buy', type: 'stopLimit', stopPrice: 105, limitPrice: 104, quantity: 1 });
+	});
+	const [order] = result.ledger.fills();
+	assert.equal(order.triggeredAt, START + HOUR);
+	assert.equal(order.filledAt, START + 2 * HOUR);
+	assert.equal(order.price, 104);
+});
+
+test('bracket cancels the other side when one order fills', () => {
+	const result = run([bar(100, 101, 99, 100), bar(100, 112, 99, 111)], (orders) => {
+		orders.bracket({ quantity: 1, takeProfit: 110, stopLoss: 95 });
+	});
+	const [takeProfit, stopLoss] = result.ledger.query({});
+	assert.equal(takeProfit.status, 'filled');
+	assert.equal(takeProfit.price, 110);
+	assert.equal(stopLoss.status, 'cancelled');
+	assert.equal(stopLoss.reason, `oco ${takeProfit.id} filled`);
+});
+
+test('cancel and modify only change open orders', () => {
+	const book = new OrderBook();
+	const order = book.place('BTC/USDT', START, { side: 'buy', type: 'limit', price: 90, value: 100 });
+	
+	assert.equal(book.modify(order.id, { price: 0 }), undefined);
+	assert.equal(book.modify(order.id, { price: 92, quantity: 2 }).limitPrice, 92);
+	assert.equal(book.ledger.getOrder(order.id).requestedQuantity, 2);
+	assert.equal(book.cancel(order.id), true);
+	assert.equal(book.cancel(order.id), false);
+	assert.equal(book.modify(order.id, { price: 93 }), undefined);
+	assert.deepEqual(book.open('BTC/USDT'), []);
+});
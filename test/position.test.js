@@ -0,0 +1,83 @@
+// test/position.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Position } from '../position.js';
+import { CryptoTradeScenario } from '../trade.js';
+import { candles } from './helpers.js';
+
+const buy = (quantity, price, timestamp = 0) => ({ side: 'buy', quantity, value: quantity * price, timestamp });
+const sell = (quantity, price, timestamp = 0) => ({ side: 'sell', quantity, value: quantity * price, timestamp });
+
+test('fifo closes the oldest lots first', () => {
+	const position = new Position('BTC/USDT');
+	position.apply(buy(1, 100, 0));
+	position.apply(buy(1, 200, 10));
+	
+	assert.equal(position.averagePrice, 150);
+	assert.equal(position.apply(sell(1, 180, 20)), 80);
+	assert.equal(position.averagePrice, 200);
+	
+	const [trade] = position.trades;
+	assert.deepEqual(trade, { pair: 'BTC/USDT', side: 'long', entryTime: 0, exitTime: 20, quantity: 1, entryPrice: 100, exitPrice: 180, pnl: 80 });
+});
+
+test('average closes at the average cost of the position', () => {
+	const position = new Position('BTC/USDT', { method: 'average' });
+	position.apply(buy(1, 100, 0));
+	position.apply(buy(1, 200, 10));
+	
+	assert.equal(position.apply(sell(1, 180, 20)), 30);
+	assert.equal(position.averagePrice, 150);
+	assert.equal(position.trades[0].entryTime, 5);
+});
+
+test('fees are part of the entry and exit prices', () => {
+	const position = new Position('BTC/USDT');
+	position.apply({ ...buy(2, 100), quoteFee: 2 });
+	assert.equal(position.averagePrice, 101);
+	
+	position.apply({ ...sell(2, 110), quoteFee: 2 });
+	assert.equal(position.side, 'flat');
+	assert.equal(position.trades[0].exitPrice, 109);
+	assert.equal(position.realizedPnl, 16);
+});
+
+test('marking the price updates the unrealized pnl', () => {
+	const position = new Position('BTC/USDT');
+	position.apply(buy(2, 100));
+	position.mark(NaN);
+	assert.ok(Number.isNaN(position.price));
+	position.mark(110);
+	assert.equal(position.unrealizedPnl, 20);
+	assert.deepEqual(position.toJSON(), { pair: 'BTC/USDT', side: 'long', quantity: 2, averagePrice: 100, price: 110, realizedPnl: 0, unrealizedPnl: 20 });
+});
+
+test('sells beyond the position flip it only when shorts are allowed', () => {
+	const spot = new Position('BTC/USDT');
+	spot.apply(buy(1, 100));
+	spot.apply(sell(3, 100));
+	assert.equal(spot.side, 'flat');
+	
+	const margin = new Position('BTC/USDT', { allowShort: true });
+	margin.apply(buy(1, 100));
+	margin.apply(sell(3, 100));
+	assert.equal(margin.quantity, -2);
+	assert.equal(margin.apply(buy(2, 90)), 20);
+	assert.equal(margin.trades[1].side, 'short');
+});
+
+test('the strategy context exposes the position of the pair', () => {
+	const seen = [];
+	new CryptoTradeScenario({ fill: 'close' })
+		.setWallet({ USDT: 1000 })
+		.setPositionMethod('average')
+		.addStrategy((pair, data, wallet, action, { position, positions }) => {
+			seen.push([position.quantity, position.unrealizedPnl]);
+			assert.equal(positions['BTC/USDT'], position);
+			if (data.price.length === 1) action('buy', 100);
+		})
+		.runBacktest({ 'BTC/USDT': candles([100, 110]) });
+	
+	assert.deepEqual(seen, [[0, 0], [1, 10]]);
+});
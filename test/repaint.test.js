@@ -0,0 +1,84 @@
+// test/repaint.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TradeData } from '../trade.js';
+import { Klines } from '../klines.js';
+import { Indicators } from '../indicator.js';
+import { candles, wave, START, HOUR } from './helpers.js';
+
+/**
+ * Versions of a bar while it is forming, ending with the bar itself.
+ * @param {Object} bar
+ * @returns {Object[]}
+ */
+const ticks = (bar) => [
+	{ ...bar, high: bar.open, low: bar.open, close: bar.open, volume: 0 },
+	{ ...bar, high: bar.high, low: bar.open, close: bar.high, volume: bar.volume / 2 },
+	{ ...bar, close: bar.low, volume: bar.volume / 2 },
+	bar
+];
+
+test('updateLast repaints only the newest value of every indicator', () => {
+	const list = candles(wave(60, { period: 13 }));
+	for (let id in Indicators) {
+		const closed = new Indicators[id]();
+		const live = new Indicators[id]();
+		for (let bar of list) {
+			closed.update(bar);
+			ticks(bar).forEach(tick => live.updateLast(tick));
+			live.commit();
+		}
+		assert.equal(live.length, closed.length, id);
+		assert.deepEqual(live.getItemAt(live.length - 1), closed.getItemAt(closed.length - 1), id);
+		assert.deepEqual(live.getItemAt(30), closed.getItemAt(30), id);
+	}
+});
+
+test('TradeData.updateLast replaces the forming bar until it is committed', () => {
+	const data = new TradeData();
+	data.setIndicator('ema', 'EMA', { period: 2 });
+	const [first, second, third] = candles([10, 20, 30]);
+	
+	data.push(first);
+	data.updateLast({ ...second, close: 100 });
+	assert.equal(data.length, 2);
+	assert.equal(data.forming, true);
+	assert.equal(data.closed().price.close, 10);
+	
+	data.updateLast(second);
+	assert.equal(data.length, 2);
+	assert.equal(data.price.last().close, 20);
+	
+	// bar dengan timestamp baru menutup bar sebelumnya
+	data.updateLast(third);
+	assert.equal(data.length, 3);
+	data.commit();
+	assert.equal(data.forming, false);
+	
+	const reference = new TradeData();
+	reference.setIndicator('ema', 'EMA', { period: 2 });
+	[first, second, third].forEach(bar => reference.push(bar));
+	assert.deepEqual(data.indicators.ema.values.base, reference.indicators.ema.values.base);
+});
+
+test('commit with a bar applies it as the final version', () => {
+	const data = new TradeData();
+	data.setIndicator('ma', 'MA', { period: 1 });
+	data.updateLast({ timestamp: START, open: 1, high: 2, low: 1, close: 2, volume: 1 });
+	data.commit({ timestamp: START, open: 1, high: 3, low: 1, close: 3, volume: 2 });
+	assert.equal(data.value('ma'), 3);
+	assert.equal(data.forming, false);
+});
+
+test('Klines.updateLast replaces the last bar or adds the first one', () => {
+	const klines = new Klines(10);
+	klines.updateLast({ timestamp: START, open: 1, high: 2, low: 1, close: 2, volume: 1 });
+	assert.equal(klines.length, 1);
+	klines.updateLast({ timestamp: START, open: 1, high: 4, low: 1, close: 3, volume: 5 });
+	assert.equal(klines.length, 1);
+	assert.equal(klines.last().close, 3);
+	klines.push({ timestamp: START + HOUR, open: 3, high: 3, low: 3, close: 3, volume: 1 });
+	klines.updateLast({ timestamp: START + HOUR, open: 3, high: 5, low: 3, close: 5, volume: 2 });
+	assert.deepEqual(klines.map(bar => bar.close), [3, 5]);
+});
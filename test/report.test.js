@@ -0,0 +1,82 @@
+// test/report.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ArrayMap } from '../utils.js';
+import { createReport, drawdown } from '../report.js';
+import { CryptoTradeScenario } from '../trade.js';
+import { candles, START, HOUR } from './helpers.js';
+
+const DAY = 24 * HOUR;
+
+const curve = (values, interval = DAY) => {
+	const equity = new ArrayMap('timestamp', 'equity');
+	values.forEach((value, i) => equity.push({ timestamp: START + i * interval, equity: value }));
+	return equity;
+};
+
+test('drawdown duration runs through the recovery bar', () => {
+	const { maxDrawdown, maxDrawdownDuration } = drawdown([0, 1, 2, 3, 4], [100, 80, 90, 100, 110]);
+	assert.equal(maxDrawdown, 0.2);
+	assert.equal(maxDrawdownDuration, 3);
+});
+
+test('drawdown without recovery lasts until the last bar', () => {
+	const result = drawdown([0, 1, 2, 3, 4, 5], [100, 120, 90, 100, 95, 110]);
+	assert.equal(result.maxDrawdown, 0.25);
+	assert.equal(result.maxDrawdownDuration, 4);
+});
+
+test('drawdown keeps the longest of several drawdowns', () => {
+	const result = drawdown([0, 10, 20, 30, 40, 50], [100, 50, 100, 99, 98, 101]);
+	assert.equal(result.maxDrawdown, 0.5);
+	assert.equal(result.maxDrawdownDuration, 30);
+	assert.deepEqual(drawdown([0, 1, 2], [100, 100, 101]), { maxDrawdown: 0, maxDrawdownDuration: 0 });
+});
+
+test('createReport computes returns and trade statistics', () => {
+	const trades = [
+		{ pair: 'BTC/USDT', side: 'long', entryTime: 0, exitTime: 2 * HOUR, quantity: 1, entryPrice: 100, exitPrice: 130, pnl: 30 },
+		{ pair: 'BTC/USDT', side: 'long', entryTime: 0, exitTime: 4 * HOUR, quantity: 1, entryPrice: 100, exitPrice: 90, pnl: -10 }
+	];
+	const report = createReport({ equity: curve([1000, 1100, 990, 1210]), trades, quoteAsset: 'USDT' });
+	
+	assert.equal(report.quoteAsset, 'USDT');
+	assert.equal(report.initialEquity, 1000);
+	assert.equal(report.finalEquity, 1210);
+	assert.ok(Math.abs(report.totalReturn - 0.21) < 1e-12);
+	assert.ok(Math.abs(report.maxDrawdown - 0.1) < 1e-12);
+	assert.equal(report.maxDrawdownDuration, 2 * DAY);
+	assert.equal(report.trades, 2);
+	assert.equal(report.winRate, 0.5);
+	assert.equal(report.profitFactor, 3);
+	assert.equal(report.averageHoldingTime, 3 * HOUR);
+	assert.ok(report.cagr > 0);
+	assert.equal(typeof report.sharpe, 'number');
+});
+
+test('createReport without trades or equity returns empty statistics', () => {
+	const report = createReport({ equity: curve([]) });
+	assert.equal(report.startTime, null);
+	assert.equal(report.cagr, null);
+	assert.equal(report.sharpe, null);
+	assert.equal(report.winRate, null);
+	assert.equal(report.profitFactor, null);
+});
+
+test('backtest builds an equity curve in the quote asset', () => {
+	const scenario = new CryptoTradeScenario()
+		.setWallet({ USDT: 1000 })
+		.addStrategy((pair, data, wallet, action) => {
+			if (data.price.length === 1) action('buy', 1000);
+		});
+	const result = scenario.runBacktest({ 'BTC/USDT': candles([100, 110, 99, 121]) });
+	
+	assert.equal(result.equity.length, 4);
+	const values = result.equity.map(row => row.equity);
+	assert.ok(Math.abs(values[3] / values[1] - 121 / 110) < 1e-9);
+	
+	const report = scenario.getReport();
+	assert.equal(report.quoteAsset, 'USDT');
+	assert.equal(report.maxDrawdownDuration, 2 * HOUR);
+});
@@ -0,0 +1,31 @@
+// test/strategy.js
+
+import { CryptoTradeScenario } from '../trade.js';
+
+/**
+ * Scenario factory for the optimizer tests, also imported by the worker threads: buys above the
+ * EMA of `period` bars and sells below it.
+ * @param {{period: number, size?: number}} params
+ * @returns {CryptoTradeScenario}
+ */
+const factory = ({ period, size = 0.5 }) => new CryptoTradeScenario()
+	.setWallet({ USDT: 1000 })
+	.setIndicator('ema', 'EMA', { period })
+	.addStrategy(([base, quote], data, wallet, action) => {
+		const { close } = data.price.last();
+		const ema = data.value('ema');
+		if (close > ema && wallet[quote] > 1) action('buy', wallet[quote] * size);
+		else if (close < ema && wallet[base] > 0) action('sell', wallet[base] * close * 0.99);
+	});
+
+export default factory;
+
+/**
+ * Same factory, but the worker thread exits with code 3 on `period` 13 without reporting an error.
+ * @param {{period: number, size?: number}} params
+ * @returns {CryptoTradeScenario}
+ */
+export const crash = (params) => {
+	if (params.period === 13) process.exit(3);
+	return factory(params);
+};
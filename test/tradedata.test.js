@@ -0,0 +1,162 @@
+// test/tradedata.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TradeData, CryptoTradeScenario } from '../trade.js';
+import { Klines } from '../klines.js';
+import { Indicator, MovingAverage } from '../indicator.js';
+import { candles, wave, START, HOUR } from './helpers.js';
+
+test('TradeData keeps at most `limit` prices in Klines', () => {
+	const data = new TradeData({ limit: 3 });
+	for (let candle of candles([1, 2, 3, 4, 5])) data.push(candle);
+	
+	assert.equal(data.length, 3);
+	assert.equal(data.price.first().close, 3);
+	assert.equal(data.price.last().close, 5);
+	data.setLimit(2);
+	assert.equal(data.length, 2);
+	assert.equal(data.price.first().close, 4);
+});
+
+test('getItemAt aligns indicator values with prices from the newest bar', () => {
+	const data = new TradeData({ limit: 10 });
+	data.setIndicator('ma', 'MA', { period: 2 });
+	for (let candle of candles([1, 3, 5, 7])) data.push(candle);
+	
+	assert.equal(data.last().price.close, 7);
+	assert.equal(data.last().indicators.ma.base, 6);
+	assert.equal(data.last(1).indicators.ma.base, 4);
+	assert.equal(data.getItemAt(-1).price.close, 7);
+	assert.equal(data.getItemAt(4), undefined);
+});
+
+test('indicators are created from the registry or added as instances', () => {
+	const data = new TradeData();
+	assert.ok(data.setIndicator('ma', 'MA', { period: 5 }) instanceof MovingAverage);
+	assert.ok(data.addIndicator('custom', new MovingAverage({ period: 3 })) instanceof Indicator);
+	assert.throws(() => data.setIndicator('x', 'NOPE'), /NOPE tidak dikenal/);
+	assert.throws(() => data.addIndicator('y', {}), /bukan instance Indicator/);
+});
+
+test('clone copies the indicators without their values', () => {
+	const data = new TradeData({ limit: 5 });
+	data.setIndicator('ma', 'MA', { period: 2 });
+	for (let candle of candles([1, 2, 3])) data.push(candle);
+	
+	const copy = data.clone();
+	assert.equal(copy.length, 0);
+	assert.equal(copy.indicators.ma.length, 0);
+	assert.equal(copy.indicators.ma.period, 2);
+	assert.notEqual(copy.indicators.ma, data.indicators.ma);
+});
+
+test('numberArray indicators read their source from the newest bar', () => {
+	const data = new TradeData();
+	data.setIndicator('close', 'MA', { period: 1 });
+	data.setIndicator('hl2', 'MA', { period: 1, source: 'hl2' });
+	data.setIndicator('custom', 'MA', { period: 1, source: (indicator, tradeData) => tradeData.price.last().volume * 2 });
+	data.push({ timestamp: 0, open: 10, high: 14, low: 8, close: 12, volume: 5 });
+	
+	assert.equal(data.value('close'), 12);
+	assert.equal(data.value('hl2'), 11);
+	assert.equal(data.value('ohlc4'), 11);
+	assert.equal(data.indicators.close.values.base.at(-1), 12);
+	assert.equal(data.indicators.hl2.values.base.at(-1), 11);
+	assert.equal(data.indicators.custom.values.base.at(-1), 10);
+});
+
+test('priceArray indicators receive the whole bar', () => {
+	const data = new TradeData();
+	data.setIndicator('atr', 'ATR', { period: 2 });
+	data.push({ timestamp: 0, open: 10, high: 12, low: 8, close: 11, volume: 1 });
+	data.push({ timestamp: 1, open: 11, high: 15, low: 11, close: 14, volume: 1 });
+	
+	assert.equal(data.indicators.atr.inputType, 'priceArray');
+	// true range: 12 - 8 lalu max(15 - 11, |15 - 11|, |11 - 11|)
+	assert.deepEqual(data.indicators.atr.values.range, [4, 4]);
+	assert.equal(data.value('atr'), 4);
+});
+
+test('indicators can read the output of another indicator', () => {
+	const data = new TradeData();
+	// didaftarkan sebelum source-nya, urutan update tetap mengikuti dependensi
+	data.setIndicator('signal', 'MA', { period: 1, source: 'macd.histogram' });
+	data.setIndicator('smooth', 'MA', { period: 2, source: 'fast' });
+	data.setIndicator('fast', 'MA', { period: 1 });
+	data.setIndicator('macd', 'MACD', { shortPeriod: 2, longPeriod: 3, signalPeriod: 2 });
+	for (let candle of candles([1, 2, 4, 8, 16, 32])) data.push(candle);
+	
+	assert.deepEqual(data.resolveOrder().slice(0, 2), ['macd', 'signal']);
+	assert.equal(data.value('smooth'), 24);
+	assert.equal(data.value('signal'), data.indicators.macd.values.histogram.at(-1));
+	assert.ok(isFinite(data.value('signal')));
+});
+
+test('circular or unknown sources are rejected', () => {
+	const circular = new TradeData();
+	circular.setIndicator('a', 'MA', { source: 'b' });
+	circular.setIndicator('b', 'MA', { source: 'a' });
+	assert.throws(() => circular.resolveOrder(), /melingkar: a -> b -> a/);
+	
+	const unknown = new TradeData();
+	unknown.setIndicator('a', 'MA', { source: 'missing' });
+	assert.throws(() => unknown.push(candles([1])[0]), /missing pada indicator a tidak dikenal/);
+	
+	const column = new TradeData();
+	column.setIndicator('ma', 'MA', { period: 1 });
+	column.setIndicator('b', 'MA', { source: 'ma.nope' });
+	assert.throws(() => column.push(candles([1])[0]), /tidak memiliki kolom nope/);
+});
+
+test('a higher timeframe keeps its last period forming until it is complete', () => {
+	const data = new TradeData();
+	const daily = data.addTimeframe('4h');
+	daily.setIndicator('sma', 'MA', { type: 'sma', period: 2 });
+	const list = candles([1, 5, 3, 4, 2, 8]);
+	
+	list.slice(0, 2).forEach(bar => data.push(bar));
+	assert.equal(data.timeframe('4h'), daily);
+	assert.equal(daily.length, 1);
+	assert.equal(daily.forming, true);
+	assert.deepEqual(daily.last().price, { timestamp: START, open: 1, high: 6, low: 0, close: 5, volume: 20 });
+	assert.equal(daily.closed(), undefined);
+	
+	// bar keempat menutup periode karena jarak antar bar sudah diketahui
+	list.slice(2, 4).forEach(bar => data.push(bar));
+	assert.equal(daily.forming, false);
+	assert.equal(daily.closed().price.close, 4);
+	
+	data.push(list[4]);
+	assert.equal(daily.length, 2);
+	assert.equal(daily.closed().price.timestamp, START);
+	assert.equal(daily.last().price.close, 2);
+	assert.equal(daily.value('sma'), 3);
+	assert.throws(() => data.addTimeframe('4x'), /Unknown interval/);
+});
+
+test('strategies only see closed higher-timeframe candles that match resample', () => {
+	const list = candles(wave(48, { period: 10 }));
+	const seen = [];
+	new CryptoTradeScenario()
+		.setWallet({ USDT: 1000 })
+		.setIndicator('ema4h', 'EMA', { period: 3, timeframe: '4h' })
+		.addStrategy((pair, data) => {
+			const { timestamp } = data.price.last();
+			const closed = data.timeframe('4h').closed();
+			if (closed) seen.push([timestamp, closed.price]);
+		})
+		.runBacktest({ 'BTC/USDT': list });
+	
+	const klines = new Klines(100);
+	klines.push(...list);
+	const resampled = klines.resample('4h').map(kline => kline);
+	
+	assert.ok(seen.length > 40);
+	for (let [timestamp, bar] of seen) {
+		// periode 4h hanya terlihat setelah bar terakhirnya ditutup
+		assert.ok(bar.timestamp + 4 * HOUR <= timestamp + HOUR);
+		assert.deepEqual(bar, resampled.find(kline => kline.timestamp === bar.timestamp));
+	}
+});
+
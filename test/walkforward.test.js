@@ -0,0 +1,122 @@
+// test/walkforward.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WalkForward } from '../walkforward.js';
+import { CryptoTradeScenario } from '../trade.js';
+import factory from './strategy.js';
+import { candles, wave, START, HOUR } from './helpers.js';
+
+const list = candles(wave(200, { period: 24 }).map((close, i) => close + i * 0.2));
+const data = { 'BTC/USDT': list };
+const space = { period: [3, 5, 8] };
+
+test('windows split the timestamps into rolling or anchored train and test windows', () => {
+	const timestamps = list.slice(0, 10).map(candle => candle.timestamp);
+	const at = (i) => START + i * HOUR;
+	
+	const rolling = new WalkForward(factory, space, { train: 4, test: 3 }).windows(timestamps);
+	assert.deepEqual(rolling, [
+		{ trainStart: at(0), testStart: at(4), testEnd: at(7) },
+		{ trainStart: at(3), testStart: at(7), testEnd: Infinity }
+	]);
+	
+	const anchored = new WalkForward(factory, space, { train: 4, test: 2, anchored: true }).windows(timestamps);
+	assert.deepEqual(anchored.map(window => window.trainStart), [at(0), at(0), at(0)]);
+	assert.deepEqual(anchored.map(window => window.testStart), [at(4), at(6), at(8)]);
+	
+	const timed = new WalkForward(factory, space, { train: '5h', test: '2h' }).windows(timestamps);
+	assert.deepEqual(timed[0], { trainStart: at(0), testStart: at(5), testEnd: at(7) });
+	assert.deepEqual(timed.at(-1), { trainStart: at(4), testStart: at(9), testEnd: at(11) });
+	
+	assert.throws(() => new WalkForward(factory, space, { train: 0, test: 2 }), /Invalid train window 0/);
+	assert.throws(() => new WalkForward(factory, space, { train: '5y', test: 2 }), /Unknown interval 5y/);
+});
+
+test('every test window runs the best parameters of its train window', async () => {
+	const walk = new WalkForward(factory, space, { train: 60, test: 40, metric: 'totalReturn' });
+	const result = await walk.run(data);
+	
+	assert.equal(result.windows.length, 4);
+	for (let window of result.windows) {
+		assert.ok(space.period.includes(window.params.period));
+		assert.equal(window.trainScore, window.train.totalReturn);
+		assert.equal(window.testScore, window.test.totalReturn);
+		assert.equal(window.test.startTime, window.testStart);
+	}
+	
+	// ekuitas out-of-sample hanya berisi window test dan bersambung antar window
+	const timestamps = result.equity.map(row => row.timestamp);
+	assert.equal(timestamps[0], START + 60 * HOUR);
+	assert.equal(timestamps.length, 140);
+	assert.equal(new Set(timestamps).size, timestamps.length);
+	assert.equal(result.report.initialEquity, 1000);
+	assert.equal(result.report.startTime, START + 60 * HOUR);
+});
+
+test('trades of the combined report are scaled like the equity of their window', async () => {
+	const walk = new WalkForward(factory, space, { train: 60, test: 40, metric: 'totalReturn' });
+	const result = await walk.run(data);
+	
+	let grossProfit = 0;
+	let grossLoss = 0;
+	let count = 0;
+	const scales = [];
+	for (let window of result.windows) {
+		const slice = list.filter(candle => candle.timestamp >= window.trainStart && candle.timestamp < window.testEnd);
+		const raw = factory(window.params).runBacktest({ 'BTC/USDT': slice }, { from: window.testStart, close: true });
+		const start = raw.equity.getItemAt(0).equity;
+		const stitched = result.equity.map(row => row).find(row => row.timestamp === window.testStart).equity;
+		const scale = stitched / start;
+		scales.push(scale);
+		for (let trade of raw.positions['BTC/USDT'].trades) {
+			count++;
+			if (trade.pnl > 0) grossProfit += trade.pnl * scale;
+			else grossLoss -= trade.pnl * scale;
+		}
+	}
+	
+	assert.ok(scales.some(scale => Math.abs(scale - 1) > 0.01), 'windows start from different capital');
+	assert.equal(result.report.trades, count);
+	assert.ok(Math.abs(result.report.profitFactor - grossProfit / grossLoss) < 1e-9);
+});
+
+test('positions open at the end of a test window are closed there and pay the exit fee', async () => {
+	const hold = () => new CryptoTradeScenario({ fee: 0.001 })
+		.setWallet({ USDT: 1000 })
+		.addStrategy(([base, quote], data, wallet, action) => {
+			if (wallet[quote] > 1) action('buy', wallet[quote] * 0.99);
+		});
+	const result = await new WalkForward(hold, { period: [1] }, { train: 60, test: 40 }).run(data);
+	
+	assert.equal(result.windows.length, 4);
+	assert.ok(result.windows.every(window => window.test.trades === 1));
+	assert.equal(result.report.trades, 4);
+	assert.notEqual(result.report.winRate, null);
+	
+	// ekuitas akhir window = saldo quote setelah posisi dijual beserta fee-nya
+	const window = result.windows[0];
+	const slice = list.filter(candle => candle.timestamp < window.testEnd);
+	const raw = hold().runBacktest({ 'BTC/USDT': slice }, { from: window.testStart, close: true });
+	const [exit] = raw.ledger.query({ side: 'sell' });
+	assert.equal(exit.reason, 'end of backtest');
+	assert.equal(exit.timestamp, slice[slice.length - 1].timestamp);
+	assert.ok(exit.fee > 0);
+	assert.ok(raw.wallet.BTC < 1e-9);
+	assert.ok(Math.abs(raw.equity.getItemAt(raw.equity.length - 1).equity - raw.wallet.USDT) < 1e-9);
+});
+
+test('efficiency is null unless the train score is positive', async () => {
+	const efficiency = async (metric) => {
+		const result = await new WalkForward(factory, space, { train: 60, test: 70, metric }).run(data);
+		return result.windows.map(window => [window.trainScore, window.testScore, window.efficiency]);
+	};
+	
+	for (let [train, test, value] of await efficiency(report => report.trades)) {
+		assert.ok(train > 0);
+		assert.equal(value, test / train);
+	}
+	assert.deepEqual(await efficiency(() => -0.5), [[-0.5, -0.5, null], [-0.5, -0.5, null]]);
+	assert.deepEqual(await efficiency(() => 0), [[0, 0, null], [0, 0, null]]);
+	assert.deepEqual(await efficiency(() => NaN), [[null, null, null], [null, null, null]]);
+});
@@ -1,5 +1,13 @@
 import { Indicator, Indicators } from './indicator.js';
-import { numArr, invertPriceData } from './utils.js';
+import { ArrayMap } from './utils.js';
+import { Klines } from './klines.js';
+import { Ledger } from './ledger.js';
+import { createReport } from './report.js';
+import { ExecutionModel } from './execution.js';
+import { OrderBook } from './orders.js';
+import { Position } from './position.js';
+import { MarginModel } from './margin.js';
+import { CandleFeed } from './feed.js';
 
 /**
  * @typedef PriceData
@@ -11,12 +19,6 @@ import { numArr, invertPriceData } from './utils.js';
  * @property {number} volume
  */
 
-/**
- * @typedef TradeData
- * @property {Array<PriceData>} price
- * @property {{[key: string]: typeof Indicator}} indicators
- */
-
 /**
  * @callback APIRequestFunction
  * @param {string} symbol1
@@ -32,12 +34,56 @@ import { numArr, invertPriceData } from './utils.js';
  * @returns {(PriceData|number)}
  */
 
+/**
+ * @typedef BacktestSession
+ * @property {string[]} pairs - Daftar pair yang disimulasikan
+ * @property {{[pair: string]: Array<PriceData>}} priceMap - Data harga referensi per pair, terurut menurut timestamp
+ * @property {{[pair: string]: number}} cursor - Posisi baca terakhir pada `priceMap` per pair
+ * @property {number[]} timestamps - Gabungan timestamp unik seluruh pair, terurut naik
+ * @property {{[pair: string]: import('./klines.js').ValidationReport}} quality - Hasil validasi data per pair, lihat `setValidation`
+ */
+
+/**
+ * @typedef BacktestResult
+ * @property {string[]} pairs - Daftar pair yang disimulasikan
+ * @property {number} bars - Jumlah timestamp yang diproses
+ * @property {number|null} startTime - Timestamp pertama
+ * @property {number|null} endTime - Timestamp terakhir
+ * @property {{[symbol: string]: number}} initialWallet - Saldo sebelum simulasi
+ * @property {{[symbol: string]: number}} wallet - Saldo setelah simulasi
+ * @property {Ledger} ledger - Catatan seluruh order selama simulasi
+ * @property {ArrayMap} equity - Kurva ekuitas (kolom `timestamp` dan `equity`) dalam `quoteAsset`
+ * @property {{[pair: string]: Position}} positions - Posisi akhir per pair
+ * @property {ArrayMap} funding - Pembayaran funding pada mode margin (kolom `timestamp`, `pair`, `rate`, `amount`)
+ * @property {{[pair: string]: import('./klines.js').ValidationReport}} quality - Hasil validasi data per pair (kosong tanpa `setValidation`)
+ */
+
+/**
+ * @typedef OrderAPI
+ * @property {(request: import('./orders.js').OrderRequest) => import('./ledger.js').OrderRecord} place - Memasang order limit/stop/stopLimit/takeProfit
+ * @property {(...requests: import('./orders.js').OrderRequest[]) => import('./ledger.js').OrderRecord[]} oco - Memasang beberapa order sebagai satu grup OCO
+ * @property {(options: Object) => import('./ledger.js').OrderRecord[]} bracket - Memasang take-profit dan stop-loss sebagai grup OCO
+ * @property {(id: number) => boolean} cancel - Membatalkan order yang masih terbuka
+ * @property {(id: number, changes: Object) => (import('./ledger.js').OrderRecord|undefined)} modify - Mengubah harga atau ukuran order terbuka
+ * @property {() => import('./ledger.js').OrderRecord[]} open - Daftar order terbuka pada pair ini
+ */
+
+/**
+ * @typedef StrategyContext
+ * @property {number} timestamp - Timestamp bar yang sedang diproses
+ * @property {Ledger} ledger - Catatan order sejauh ini
+ * @property {OrderAPI} orders - Order yang bertahan antar bar untuk pair ini
+ * @property {Position} position - Posisi pair ini (kuantitas, harga masuk rata-rata, PnL)
+ * @property {{[pair: string]: Position}} positions - Posisi seluruh pair
+ */
+
 /**
  * @callback StrategyFunction
  * @param {[string, string]} pair
  * @param {TradeData} data
  * @param {{[key: string]: number}} wallet
- * @param {(side: ('buy' | 'sell'), value: number) => void} action
+ * @param {(side: ('buy' | 'sell'), value: number) => import('./ledger.js').OrderRecord} action
+ * @param {StrategyContext} context
  */
 
 /**
@@ -52,31 +98,103 @@ const parseSymbolPair = (input = '') => {
 	return [sym1.toUpperCase(), sym2.toUpperCase()];
 };
 
+/**
+ * Normalisasi data harga (array mentah atau Klines) menjadi array PriceData, urutannya belum diubah
+ * agar masih bisa divalidasi
+ * @param {Array<Object>|ArrayMap} data
+ * @returns {Array<PriceData>}
+ */
+const toPriceList = (data) => {
+	const list = data instanceof ArrayMap ? data.map(item => item) : data;
+	if (!Array.isArray(list)) return [];
+	return Klines.invert(list);
+};
+
+/**
+ * Pembanding untuk mengurutkan PriceData menurut timestamp
+ * @param {PriceData} a
+ * @param {PriceData} b
+ * @returns {number}
+ */
+const byTimestamp = (a, b) => a.timestamp - b.timestamp;
+
 /**
  * Class utama untuk simulasi perdagangan kripto menggunakan strategi dan indikator
  */
 export class CryptoTradeScenario {
 	/**
 	 * @constructor
+	 * @param {Object} [options] - Opsi model eksekusi, lihat {@link ExecutionModel}
+	 * @param {number|Object} [options.fee] - Misal `0.001` (0.1% maker/taker) atau `{ type: 'fixed', amount: 1 }`
+	 * @param {number|Object} [options.slippage] - Misal `5` (5 bps) atau `{ type: 'atr', fraction: 0.1 }`
+	 * @param {'average'|'close'|'nextOpen'} [options.fill='average'] - Harga acuan order pasar
 	 */
-	constructor() {
+	constructor({ fee, slippage, fill } = {}) {
 		/** @type {{[pair: string]: TradeData}} */
 		this.dataMap = {};
 		
 		/** @type {{[symbol: string]: number}} */
 		this.wallet = {};
 		
+		/** @type {{[symbol: string]: number}} */
+		this.initialWallet = {};
+		
 		/** @type {APIRequestFunction | null} */
 		this.api = null;
 		
+		/** @type {Ledger} */
+		this.ledger = new Ledger();
+		
+		/** @type {OrderBook} */
+		this.orders = new OrderBook(this.ledger);
+		
 		/** @type {{[key: string]: Indicator}} */
 		this.indicators = {};
 		
+		/** @type {{[interval: string]: {[key: string]: Indicator}}} indikator per timeframe yang lebih tinggi */
+		this.timeframes = {};
+		
 		/** @type {StrategyFunction[]} */
 		this.strategies = [];
 		
 		/** @type {number} */
 		this.limit = 100;
+		
+		/** @type {string} */
+		this.quoteAsset = 'USDT';
+		
+		/** @type {{[pair: string]: number}} */
+		this.lastPrice = {};
+		
+		/** @type {ArrayMap} */
+		this.equity = new ArrayMap('timestamp', 'equity');
+		
+		/** @type {ExecutionModel} */
+		this.execution = new ExecutionModel({ fee, slippage, fill });
+		
+		/** @type {{[pair: string]: number[]}} id order pasar yang menunggu bar berikutnya */
+		this.pending = {};
+		
+		/** @type {{[pair: string]: Position}} */
+		this.positions = {};
+		
+		/** @type {'fifo'|'average'} */
+		this.positionMethod = 'fifo';
+		
+		/** @type {MarginModel | null} null = mode spot */
+		this.margin = null;
+		
+		/** @type {ArrayMap} */
+		this.funding = new ArrayMap('timestamp', 'pair', 'rate', 'amount');
+		
+		/** @type {{policy: (import('./klines.js').RepairPolicy|null), interval?: string} | null} null = data tidak divalidasi */
+		this.validation = null;
+		
+		/** @type {CandleFeed | null} feed candle real-time yang sedang didengarkan */
+		this.feed = null;
+		
+		/** @type {() => void} berhenti menerima event dari `feed` */
+		this.unsubscribe = () => {};
 	}
 	
 	/**
@@ -86,6 +204,9 @@ export class CryptoTradeScenario {
 	 */
 	setLimit(limit = 100) {
 		this.limit = limit;
+		for (const pair in this.dataMap) {
+			this.dataMap[pair].setLimit(limit);
+		}
 		return this;
 	}
 	
@@ -99,10 +220,7 @@ export class CryptoTradeScenario {
 			const pair = parseSymbolPair(pairStr);
 			if (!pair) return;
 			const key = `${pair[0]}/${pair[1]}`;
-			this.dataMap[key] = {
-				price: numArr(),
-				indicators: {}
-			};
+			this.dataMap[key] = new TradeData({ limit: this.limit });
 		});
 		return this;
 	}
@@ -115,10 +233,69 @@ export class CryptoTradeScenario {
 	setWallet(wallet) {
 		Object.keys(wallet).forEach((key) => {
 			this.wallet[key.toUpperCase()] = wallet[key];
+			this.initialWallet[key.toUpperCase()] = wallet[key];
 		});
 		return this;
 	}
 	
+	/**
+	 * Menetapkan aset quote yang dipakai untuk menilai wallet dan menyusun kurva ekuitas
+	 * @param {string} symbol - Misal "USDT"
+	 * @returns {this}
+	 */
+	setQuoteAsset(symbol = 'USDT') {
+		this.quoteAsset = symbol.toUpperCase();
+		return this;
+	}
+	
+	/**
+	 * Mengatur model eksekusi: fee, slippage dan harga acuan order pasar
+	 * @param {ExecutionModel|{fee?: (number|Object), slippage?: (number|Object), fill?: string}} execution
+	 * @returns {this}
+	 */
+	setExecution(execution = {}) {
+		this.execution = execution instanceof ExecutionModel ? execution : new ExecutionModel(execution);
+		return this;
+	}
+	
+	/**
+	 * Menetapkan cara menghitung harga masuk posisi saat sebagian posisi ditutup
+	 * @param {'fifo'|'average'} method - `fifo` = lot terlama lebih dulu, `average` = harga rata-rata (average cost)
+	 * @returns {this}
+	 */
+	setPositionMethod(method = 'fifo') {
+		this.positionMethod = method === 'average' ? 'average' : 'fifo';
+		return this;
+	}
+	
+	/**
+	 * Mengaktifkan validasi data harga sebelum simulasi: timestamp ganda atau tidak terurut, interval
+	 * yang hilang, high < low, open/close di luar range, nilai bukan angka dan volume nol. Laporannya
+	 * tersimpan di `result.quality` per pair. Jika `policy` diisi, data juga diperbaiki dengan
+	 * `Klines.repair` sehingga bar rusak tidak menghasilkan sinyal palsu
+	 * @param {Object|null} [validation] - null untuk menonaktifkan validasi
+	 * @param {'ffill'|'drop'|'interpolate'|null} [validation.policy=null] - null = hanya dilaporkan
+	 * @param {string} [validation.interval] - Interval bar, misal "1h"; default jarak antar timestamp yang paling sering
+	 * @returns {this}
+	 */
+	setValidation(validation = {}) {
+		this.validation = validation ? { policy: validation.policy ?? null, interval: validation.interval } : null;
+		return this;
+	}
+	
+	/**
+	 * Mengaktifkan mode margin / perpetual futures: leverage, posisi short, margin awal dan
+	 * maintenance, likuidasi serta funding. Jaminan dipegang dalam aset quote tiap pair (cross margin
+	 * per aset quote); fill tidak memindahkan aset base, PnL terealisasi masuk ke saldo quote.
+	 * @param {MarginModel|Object|null} margin - Opsi {@link MarginModel}, atau null untuk kembali ke mode spot
+	 * @returns {this}
+	 */
+	setMargin(margin = {}) {
+		if (margin === null || margin === false) this.margin = null;
+		else this.margin = margin instanceof MarginModel ? margin : new MarginModel(margin);
+		return this;
+	}
+	
 	/**
 	 * Mengatur fungsi pengambil data harga dari API
 	 * @param {APIRequestFunction} apiReqFn
@@ -133,17 +310,51 @@ export class CryptoTradeScenario {
 	 * Menambahkan indikator yang akan digunakan
 	 * @param {string} key - Nama unik indikator
 	 * @param {Indicator} indicator - Instance indikator
-	 * @param {string|IndicatorDataSourceFunction} [source='close'] - Data sumber indikator
+	 * @param {string|IndicatorDataSourceFunction} [source] - Data sumber indikator, menggantikan `indicator.source`
+	 * @param {string} [timeframe] - Timeframe yang lebih tinggi, misal "4h"; default timeframe data
 	 * @returns {this}
 	 */
-	addIndicator(key, indicator) {
+	addIndicator(key, indicator, source, timeframe) {
 		if (indicator instanceof Indicator) {
+			if (source !== undefined) indicator.source = source;
 			indicator.setLimit(this.limit);
-			this.indicators[key] = indicator;
+			if (timeframe === undefined) {
+				this.indicators[key] = indicator;
+			} else {
+				this.addTimeframe(timeframe);
+				this.timeframes[timeframe][key] = indicator;
+			}
+		}
+		return this;
+	}
+	
+	/**
+	 * Menambahkan timeframe yang lebih tinggi untuk setiap pair, dapat dibaca strategi lewat
+	 * `data.timeframe(interval)`
+	 * @param {...string} intervals - Misal "1h", "4h"
+	 * @returns {this}
+	 */
+	addTimeframe(...intervals) {
+		for (const interval of intervals) {
+			Klines.duration(interval); // validasi interval
+			this.timeframes[interval] = this.timeframes[interval] || {};
 		}
 		return this;
 	}
 	
+	/**
+	 * Menambahkan indikator berdasarkan id registry `Indicators`
+	 * @param {string} key - Nama unik indikator
+	 * @param {string} indicatorId - Id indikator pada registry, misal "EMA"
+	 * @param {Object} [options={}] - Opsi constructor indikator
+	 * @param {string} [options.timeframe] - Timeframe yang lebih tinggi, lihat `addIndicator`
+	 * @returns {this}
+	 */
+	setIndicator(key, indicatorId, options = {}) {
+		const { timeframe, ...rest } = options;
+		return this.addIndicator(key, TradeData.createIndicator(indicatorId, { id: key, ...rest }), undefined, timeframe);
+	}
+	
 	/**
 	 * Menambahkan strategi yang akan dijalankan di tiap tick
 	 * @param {StrategyFunction} strategyFn
@@ -156,10 +367,615 @@ export class CryptoTradeScenario {
 		return this;
 	}
 	
+	/**
+	 * Menyiapkan sesi simulasi: mereset wallet dan dataMap, meng-clone indikator per pair,
+	 * memvalidasi dan mengurutkan data harga, lalu menggabungkan timestamp seluruh pair
+	 * @param {{[pair: string]: Array<PriceData>}} priceMap - Data harga per pair
+	 * @returns {BacktestSession}
+	 */
+	prepare(priceMap) {
+		/** @type {string[]} */
+		const pairs = Object.keys(this.dataMap);
+		
+		/** @type {BacktestSession} */
+		const session = { pairs, priceMap: {}, cursor: {}, timestamps: [], quality: {} };
+		
+		/** @type {Set<number>} */
+		const timestamps = new Set();
+		
+		this.wallet = { ...this.initialWallet };
+		this.ledger = new Ledger();
+		this.orders = new OrderBook(this.ledger);
+		this.equity = new ArrayMap('timestamp', 'equity');
+		this.lastPrice = {};
+		this.pending = {};
+		this.positions = {};
+		this.funding = new ArrayMap('timestamp', 'pair', 'rate', 'amount');
+		this.execution.reset();
+		
+		for (const pair of pairs) {
+			let priceList = priceMap[pair] || [];
+			if (this.validation) {
+				session.quality[pair] = Klines.validate(priceList, this.validation);
+			}
+			priceList = this.validation?.policy ?
+				Klines.repair(priceList, this.validation) :
+				priceList.slice().sort(byTimestamp);
+			const tradeData = this.dataMap[pair] = new TradeData({ limit: this.limit });
+			
+			session.priceMap[pair] = priceList;
+			session.cursor[pair] = 0;
+			this.positions[pair] = new Position(pair, {
+				method: this.positionMethod,
+				allowShort: this.margin !== null
+			});
+			
+			for (let key in this.indicators) {
+				tradeData.addIndicator(key, this.indicators[key].clone());
+			}
+			for (let interval in this.timeframes) {
+				const timeframe = tradeData.addTimeframe(interval);
+				for (let key in this.timeframes[interval]) {
+					timeframe.addIndicator(key, this.timeframes[interval][key].clone());
+				}
+				timeframe.order = timeframe.resolveOrder();
+			}
+			// dependensi antar indikator diperiksa sebelum simulasi berjalan
+			tradeData.order = tradeData.resolveOrder();
+			
+			priceList.forEach(e => timestamps.add(e.timestamp));
+		}
+		
+		session.timestamps = Array.from(timestamps).sort((a, b) => a - b);
+		return session;
+	}
+	
+	/**
+	 * Mencari bar sebuah pair pada timestamp tertentu
+	 * @param {BacktestSession} session
+	 * @param {string} pair
+	 * @param {number} timestamp
+	 * @returns {PriceData|null} null jika pair tidak punya bar pada timestamp tersebut
+	 */
+	priceAt(session, pair, timestamp) {
+		const priceList = session.priceMap[pair];
+		
+		// timestamp terurut naik, jadi cukup maju dari posisi terakhir
+		let p = session.cursor[pair];
+		while (p < priceList.length && priceList[p].timestamp < timestamp) p++;
+		session.cursor[pair] = p;
+		
+		const price = priceList[p];
+		return price && price.timestamp === timestamp ? price : null;
+	}
+	
+	/**
+	 * Mengisi harga dan indikator semua pair pada sebuah timestamp tanpa menjalankan order,
+	 * strategi maupun kurva ekuitas, untuk menghangatkan indikator sebelum simulasi dimulai
+	 * @param {BacktestSession} session
+	 * @param {number} timestamp
+	 * @returns {void}
+	 */
+	warmUp(session, timestamp) {
+		for (const pair of session.pairs) {
+			const price = this.priceAt(session, pair, timestamp);
+			if (!price) continue;
+			
+			this.lastPrice[pair] = price.close;
+			this.positions[pair].mark(price.close);
+			this.execution.update(pair, price);
+			this.dataMap[pair].push(price);
+		}
+	}
+	
+	/**
+	 * Melakukan satu langkah simulasi pada sebuah timestamp untuk semua pair
+	 * @param {BacktestSession} session
+	 * @param {number} timestamp
+	 * @returns {void}
+	 */
+	step(session, timestamp) {
+		for (const pair of session.pairs) {
+			const [sym1, sym2] = parseSymbolPair(pair);
+			const tradeData = this.dataMap[pair];
+			const price = this.priceAt(session, pair, timestamp);
+			if (!price) continue;
+			
+			// bar yang sedang terbentuk (live) ditutup oleh bar ini, bukan bar sebelumnya
+			const forming = tradeData.forming && tradeData.price.last().timestamp === timestamp;
+			const previous = forming ? 1 : 0;
+			if (this.margin && tradeData.price.length > previous) {
+				this.settleFunding(pair, tradeData.price.last(previous).timestamp, timestamp);
+			}
+			
+			// order yang menunggu harga open bar ini
+			for (const id of this.pending[pair] || []) {
+				const order = this.ledger.getOrder(id);
+				this.ledger.update(id, this.fill(order, price, price.open));
+			}
+			this.pending[pair] = [];
+			
+			// order limit/stop yang tersentuh oleh range bar ini, sesuai urutan jalur harga
+			for (const match of this.orders.match(pair, price)) {
+				const order = this.ledger.getOrder(match.id);
+				if (order.status !== 'open') continue; // dibatalkan oleh OCO sebelumnya
+				this.orders.settle(match.id, this.fill(order, price, match.price, match.liquidity));
+			}
+			
+			if (this.margin) this.liquidate(pair, price);
+			
+			this.lastPrice[pair] = price.close;
+			this.positions[pair].mark(price.close);
+			this.execution.update(pair, price);
+			if (forming) tradeData.commit(price);
+			else tradeData.push(price);
+			
+			/** @type {StrategyContext} */
+			const context = {
+				timestamp,
+				ledger: this.ledger,
+				orders: {
+					place: (request) => this.orders.place(pair, timestamp, request),
+					oco: (...requests) => this.orders.oco(pair, timestamp, ...requests),
+					bracket: (options) => this.orders.bracket(pair, timestamp, options),
+					cancel: (id) => this.orders.cancel(id),
+					modify: (id, changes) => this.orders.modify(id, changes),
+					open: () => this.orders.open(pair)
+				},
+				position: this.positions[pair],
+				positions: this.positions
+			};
+			
+			for (const strategy of this.strategies) {
+				strategy([sym1, sym2], tradeData, this.wallet, (side, value) => {
+					return this.execute([sym1, sym2], price, side, value);
+				}, context);
+			}
+		}
+		
+		// pada feed live setiap pair ditutup sendiri-sendiri, satu baris ekuitas per timestamp
+		const last = this.equity.length - 1;
+		if (last >= 0 && this.equity.values['timestamp'][last] === timestamp) {
+			this.equity.setValueAt(last, 'equity', this.valuate());
+		} else {
+			this.equity.push({ timestamp, equity: this.valuate() });
+		}
+	}
+	
+	/**
+	 * Eksekusi pada mode margin: memeriksa margin awal untuk order yang menambah eksposur, lalu
+	 * memperbarui posisi dan memasukkan PnL terealisasi ke saldo quote. Fee pembukaan posisi
+	 * ikut dalam harga masuk sehingga baru mengurangi saldo ketika posisi ditutup.
+	 * @param {import('./ledger.js').OrderRecord} order
+	 * @param {PriceData} price
+	 * @param {import('./execution.js').FillQuote} quote - Hasil model eksekusi, fee dalam aset quote
+	 * @param {Partial<import('./ledger.js').OrderRecord>} result
+	 * @returns {Partial<import('./ledger.js').OrderRecord>}
+	 */
+	fillMargin(order, price, quote, result) {
+		const [, sym2] = parseSymbolPair(order.pair);
+		const position = this.positions[order.pair];
+		const current = position.quantity;
+		const next = current + (order.side === 'buy' ? quote.quantity : -quote.quantity);
+		
+		if (Math.abs(next) > Math.abs(current) || Math.sign(next) * Math.sign(current) < 0) {
+			const others = this.marginState(sym2, order.pair);
+			const equity = others.equity + position.unrealizedPnl - quote.fee;
+			const required = others.used + this.margin.required(next * quote.price);
+			if (required > equity) return { ...result, reason: 'insufficient margin' };
+		}
+		
+		const realized = position.apply({
+			side: order.side,
+			quantity: quote.quantity,
+			value: quote.value,
+			quoteFee: quote.fee,
+			timestamp: price.timestamp
+		});
+		this.wallet[sym2] = (this.wallet[sym2] || 0) + realized;
+		return { ...result, status: 'filled' };
+	}
+	
+	/**
+	 * Kondisi margin seluruh posisi yang dijamin oleh satu aset quote
+	 * @param {string} quote - Aset jaminan, misal "USDT"
+	 * @param {string} [exclude] - Pair yang tidak diikutkan
+	 * @returns {{equity: number, used: number, maintenance: number}} Ekuitas (saldo + PnL belum terealisasi),
+	 * margin awal terpakai dan maintenance margin
+	 */
+	marginState(quote, exclude) {
+		let equity = this.wallet[quote] || 0;
+		let used = 0;
+		let maintenance = 0;
+		for (const pair in this.positions) {
+			if (pair === exclude || parseSymbolPair(pair)[1] !== quote) continue;
+			const position = this.positions[pair];
+			const notional = position.quantity * position.price;
+			if (!notional) continue;
+			equity += position.unrealizedPnl;
+			used += this.margin.required(notional);
+			maintenance += this.margin.maintenance(notional);
+		}
+		return { equity, used, maintenance };
+	}
+	
+	/**
+	 * Melikuidasi posisi sebuah pair jika range bar mencapai harga di mana ekuitas turun ke
+	 * maintenance margin. Order terbuka pair tersebut dibatalkan.
+	 * @param {string} pair
+	 * @param {PriceData} price
+	 * @returns {import('./ledger.js').OrderRecord | undefined} Catatan likuidasi di ledger
+	 */
+	liquidate(pair, price) {
+		const position = this.positions[pair];
+		const quantity = position.quantity;
+		if (!quantity) return;
+		
+		const [, sym2] = parseSymbolPair(pair);
+		const others = this.marginState(sym2, pair);
+		const level = this.margin.liquidationPrice(quantity, position.averagePrice, others.equity - others.maintenance);
+		if (isNaN(level)) return;
+		
+		const hit = OrderBook.cross(price, level, quantity > 0 ? 'down' : 'up');
+		if (!hit) return;
+		
+		for (const order of this.orders.open(pair)) {
+			this.orders.cancel(order.id, 'liquidation');
+		}
+		
+		const side = quantity > 0 ? 'sell' : 'buy';
+		const size = Math.abs(quantity);
+		const value = size * hit.price;
+		const fee = value * this.margin.liquidationFee;
+		const realized = position.apply({ side, quantity: size, value, quoteFee: fee, timestamp: price.timestamp });
+		// kerugian melebihi jaminan (gap) tidak membuat saldo negatif
+		this.wallet[sym2] = Math.max((this.wallet[sym2] || 0) + realized, 0);
+		
+		return this.ledger.record({
+			timestamp: price.timestamp,
+			filledAt: price.timestamp,
+			pair,
+			side,
+			type: 'liquidation',
+			requested: null,
+			requestedQuantity: size,
+			limitPrice: null,
+			stopPrice: level,
+			group: null,
+			triggeredAt: price.timestamp,
+			price: hit.price,
+			quantity: size,
+			value,
+			fee,
+			feeAsset: sym2,
+			status: 'filled',
+			reason: 'maintenance margin'
+		});
+	}
+	
+	/**
+	 * Membayar atau menerima funding untuk setiap waktu funding di antara dua bar.
+	 * Rate positif dibayar posisi long ke posisi short.
+	 * @param {string} pair
+	 * @param {number} from - Timestamp bar sebelumnya
+	 * @param {number} to - Timestamp bar saat ini
+	 */
+	settleFunding(pair, from, to) {
+		const position = this.positions[pair];
+		const [, sym2] = parseSymbolPair(pair);
+		
+		for (const time of this.margin.fundingTimes(from, to)) {
+			const notional = position.quantity * position.price;
+			if (!notional) continue;
+			const rate = this.margin.rateAt(pair, time);
+			const amount = -notional * rate;
+			this.wallet[sym2] = (this.wallet[sym2] || 0) + amount;
+			this.funding.push({ timestamp: time, pair, rate, amount });
+		}
+	}
+	
+	/**
+	 * Harga 1 unit `from` dalam `to` dari harga penutupan terakhir pair A/B atau B/A
+	 * @param {string} from
+	 * @param {string} to
+	 * @returns {number} NaN jika pair tidak ada atau belum memiliki harga
+	 */
+	rate(from, to) {
+		if (from === to) return 1;
+		const direct = this.lastPrice[`${from}/${to}`];
+		if (direct > 0) return direct;
+		const inverse = this.lastPrice[`${to}/${from}`];
+		if (inverse > 0) return 1 / inverse;
+		return NaN;
+	}
+	
+	/**
+	 * Mengonversi sejumlah aset ke aset lain memakai harga penutupan terakhir,
+	 * langsung atau melalui satu aset perantara (misal ETH -> BTC -> USDT)
+	 * @param {string} asset
+	 * @param {number} amount
+	 * @param {string} [quote=this.quoteAsset]
+	 * @returns {number} NaN jika tidak ada harga yang bisa dipakai
+	 */
+	convert(asset, amount, quote = this.quoteAsset) {
+		if (asset === quote || amount === 0) return amount;
+		
+		const direct = this.rate(asset, quote);
+		if (!isNaN(direct)) return amount * direct;
+		
+		for (const pair in this.lastPrice) {
+			for (const symbol of parseSymbolPair(pair)) {
+				const value = amount * this.rate(asset, symbol) * this.rate(symbol, quote);
+				if (!isNaN(value)) return value;
+			}
+		}
+		return NaN;
+	}
+	
+	/**
+	 * Menilai seluruh isi wallet dalam aset quote (mark to market)
+	 * @param {string} [quote=this.quoteAsset]
+	 * @returns {number} NaN jika ada aset yang belum memiliki harga
+	 */
+	valuate(quote = this.quoteAsset) {
+		let total = 0;
+		for (const symbol in this.wallet) {
+			total += this.convert(symbol, this.wallet[symbol], quote);
+		}
+		if (this.margin) {
+			// pada mode margin nilai posisi terbuka hanya berupa PnL yang belum terealisasi
+			for (const pair in this.positions) {
+				const pnl = this.positions[pair].unrealizedPnl;
+				if (pnl) total += this.convert(parseSymbolPair(pair)[1], pnl, quote);
+			}
+		}
+		return total;
+	}
+	
+	/**
+	 * Menyusun laporan performa dari simulasi terakhir
+	 * @param {Object} [options]
+	 * @param {number} [options.riskFree=0] - Suku bunga bebas risiko tahunan untuk Sharpe/Sortino
+	 * @returns {import('./report.js').PerformanceReport}
+	 */
+	getReport({ riskFree = 0 } = {}) {
+		return createReport({
+			equity: this.equity,
+			trades: Object.values(this.positions)
+				.flatMap(position => position.trades)
+				.sort((a, b) => a.exitTime - b.exitTime),
+			quoteAsset: this.quoteAsset,
+			riskFree
+		});
+	}
+	
+	/**
+	 * Mengeksekusi order pasar memakai model eksekusi dan mencatatnya di ledger,
+	 * termasuk order yang ditolak beserta alasannya. Dengan `fill: 'nextOpen'` order
+	 * dicatat sebagai `pending` dan baru dieksekusi pada open bar berikutnya.
+	 * @param {[string, string]} pair
+	 * @param {PriceData} price - Bar saat order diminta
+	 * @param {('buy' | 'sell')} side
+	 * @param {number} value - Nilai order dalam aset quote (sym2)
+	 * @returns {import('./ledger.js').OrderRecord}
+	 */
+	execute([sym1, sym2], price, side, value) {
+		const order = {
+			timestamp: price.timestamp,
+			filledAt: null,
+			pair: `${sym1}/${sym2}`,
+			side,
+			type: 'market',
+			requested: value,
+			requestedQuantity: null,
+			limitPrice: null,
+			stopPrice: null,
+			group: null,
+			triggeredAt: null,
+			price: NaN,
+			quantity: 0,
+			value: 0,
+			fee: 0,
+			feeAsset: null,
+			status: 'rejected',
+			reason: null
+		};
+		
+		if (typeof value !== 'number' || !(value > 0)) {
+			return this.ledger.record({ ...order, reason: 'invalid value' });
+		}
+		if (side !== 'buy' && side !== 'sell') {
+			return this.ledger.record({ ...order, reason: `unknown side ${side}` });
+		}
+		
+		const reference = this.execution.marketPrice(side, price);
+		if (reference === null) {
+			const record = this.ledger.record({ ...order, status: 'pending' });
+			(this.pending[order.pair] = this.pending[order.pair] || []).push(record.id);
+			return record;
+		}
+		
+		return this.ledger.record({ ...order, ...this.fill(order, price, reference) });
+	}
+	
+	/**
+	 * Menghitung eksekusi sebuah order pada harga acuan, lalu memperbarui wallet jika saldo cukup.
+	 * Order ditolak jika slippage jual mencapai harga acuan sehingga tidak ada harga positif
+	 * @param {import('./ledger.js').OrderRecord} order
+	 * @param {PriceData} price - Bar saat order dieksekusi
+	 * @param {number} reference - Harga acuan sebelum slippage
+	 * @param {'maker'|'taker'} [liquidity='taker']
+	 * @returns {Partial<import('./ledger.js').OrderRecord>} Kolom ledger hasil eksekusi
+	 */
+	fill(order, price, reference, liquidity = 'taker') {
+		const [sym1, sym2] = parseSymbolPair(order.pair);
+		const quote = this.execution.quote({
+			pair: order.pair,
+			side: order.side,
+			value: order.requested,
+			quantity: order.requestedQuantity,
+			price: reference,
+			bar: price,
+			liquidity
+		});
+		if (!quote) {
+			return { filledAt: price.timestamp, status: 'rejected', reason: 'slippage exceeds price' };
+		}
+		const feeAsset = quote.feeAsset === 'base' && !this.margin ? sym1 : sym2;
+		const result = {
+			filledAt: price.timestamp,
+			price: quote.price,
+			quantity: quote.quantity,
+			value: quote.value,
+			fee: quote.fee,
+			feeAsset,
+			status: 'rejected',
+			reason: null
+		};
+		
+		if (this.margin) {
+			// fee dalam aset base dikonversi ke quote karena jaminan dipegang dalam quote
+			const fee = quote.feeAsset === 'base' ? quote.fee * quote.price : quote.fee;
+			return this.fillMargin(order, price, { ...quote, fee }, { ...result, fee });
+		}
+		
+		/** @type {{[symbol: string]: number}} perubahan saldo, fee dibebankan pada aset fee */
+		const change = order.side === 'buy' ?
+			{ [sym1]: quote.quantity, [sym2]: -quote.value } :
+			{ [sym1]: -quote.quantity, [sym2]: quote.value };
+		change[feeAsset] -= quote.fee;
+		
+		for (const symbol in change) {
+			this.wallet[symbol] = this.wallet[symbol] || 0;
+			if (change[symbol] < 0 && this.wallet[symbol] + change[symbol] < 0) {
+				return { ...result, reason: `insufficient ${symbol} balance` };
+			}
+		}
+		for (const symbol in change) {
+			this.wallet[symbol] += change[symbol];
+		}
+		
+		this.positions[order.pair]?.apply({
+			side: order.side,
+			quantity: quote.quantity,
+			value: quote.value,
+			baseFee: feeAsset === sym1 ? quote.fee : 0,
+			quoteFee: feeAsset === sym2 ? quote.fee : 0,
+			timestamp: price.timestamp
+		});
+		return { ...result, status: 'filled' };
+	}
+	
+	/**
+	 * Menutup semua posisi yang masih terbuka pada bar terakhir setiap pair lewat model eksekusi,
+	 * sehingga fee dan slippage keluar ikut dibayar dan posisi tercatat sebagai trade. Order
+	 * penutupan dicatat di ledger dengan alasan `end of backtest` dan baris ekuitas terakhir diperbarui.
+	 * @param {BacktestSession} session
+	 * @returns {import('./ledger.js').OrderRecord[]} Order penutupan
+	 */
+	closePositions(session) {
+		const records = [];
+		for (const pair of session.pairs) {
+			const priceList = session.priceMap[pair];
+			const price = priceList[priceList.length - 1];
+			const quantity = this.positions[pair].quantity;
+			if (!price || !quantity) continue;
+			
+			const side = quantity > 0 ? 'sell' : 'buy';
+			const [sym1] = parseSymbolPair(pair);
+			// pada mode spot aset base yang dijual tidak melebihi saldo wallet
+			const size = this.margin ? Math.abs(quantity) : Math.min(quantity, this.wallet[sym1] || 0);
+			const order = {
+				timestamp: price.timestamp,
+				filledAt: null,
+				pair,
+				side,
+				type: 'market',
+				requested: null,
+				requestedQuantity: size,
+				limitPrice: null,
+				stopPrice: null,
+				group: null,
+				triggeredAt: null,
+				price: NaN,
+				quantity: 0,
+				value: 0,
+				fee: 0,
+				feeAsset: null,
+				status: 'rejected',
+				reason: null
+			};
+			// dengan fill nextOpen tidak ada bar berikutnya, penutupan memakai close bar terakhir
+			const reference = this.execution.marketPrice(side, price) ?? price.close;
+			const result = this.fill(order, price, reference);
+			records.push(this.ledger.record({ ...order, ...result, reason: result.reason || 'end of backtest' }));
+		}
+		
+		const last = this.equity.length - 1;
+		if (records.length && last >= 0) this.equity.setValueAt(last, 'equity', this.valuate());
+		return records;
+	}
+	
+	/**
+	 * Menyusun hasil akhir dari sebuah sesi simulasi
+	 * @param {BacktestSession} session
+	 * @returns {BacktestResult}
+	 */
+	createResult(session) {
+		const { pairs, timestamps } = session;
+		return {
+			pairs: pairs.slice(),
+			bars: timestamps.length,
+			startTime: timestamps.length ? timestamps[0] : null,
+			endTime: timestamps.length ? timestamps[timestamps.length - 1] : null,
+			initialWallet: { ...this.initialWallet },
+			wallet: { ...this.wallet },
+			ledger: this.ledger,
+			equity: this.equity,
+			positions: this.positions,
+			funding: this.funding,
+			quality: session.quality
+		};
+	}
+	
+	/**
+	 * Menjalankan backtest offline secara sinkron dalam satu kali jalan, tanpa API dan tanpa delay
+	 * @param {{[pair: string]: (Array<Object>|Klines)}} candlesByPair - Data harga per pair, misal `{ 'BTC/USDT': klines }`
+	 * @param {Object} [options]
+	 * @param {number} [options.from=-Infinity] - Timestamp awal simulasi; bar sebelumnya hanya menghangatkan
+	 * indikator (lihat `warmUp`) dan tidak masuk ke hasil
+	 * @param {boolean} [options.close=false] - Menutup posisi yang masih terbuka pada bar terakhir
+	 * (lihat `closePositions`)
+	 * @returns {BacktestResult}
+	 */
+	runBacktest(candlesByPair = {}, { from = -Infinity, close = false } = {}) {
+		/** @type {{[pair: string]: Array<PriceData>}} */
+		const priceMap = {};
+		
+		Object.keys(candlesByPair).forEach((pairStr) => {
+			const pair = parseSymbolPair(pairStr);
+			if (!pair) return;
+			const key = `${pair[0]}/${pair[1]}`;
+			if (!this.dataMap[key]) this.addSymbol(key);
+			priceMap[key] = toPriceList(candlesByPair[pairStr]);
+		});
+		
+		const session = this.prepare(priceMap);
+		for (const timestamp of session.timestamps) {
+			if (timestamp < from) this.warmUp(session, timestamp);
+			else this.step(session, timestamp);
+		}
+		if (close) this.closePositions(session);
+		session.timestamps = session.timestamps.filter(timestamp => timestamp >= from);
+		return this.createResult(session);
+	}
+	
 	/**
 	 * Memulai simulasi perdagangan
 	 * @param {number} interval - Delay antar iterasi dalam ms
-	 * @returns {void}
+	 * @returns {Promise<BacktestSession>} Sesi simulasi, selesai setelah data awal diambil dan iterasi
+	 * pertama berjalan. Ditolak jika API gagal atau indikator tidak valid (source tidak dikenal,
+	 * dependensi melingkar)
 	 */
 	start(interval = 1000) {
 		if (!this.api) throw new Error('API not set');
@@ -167,146 +983,492 @@ export class CryptoTradeScenario {
 		/** @type {string[]} */
 		const pairs = Object.keys(this.dataMap);
 		
-		/** @type {{[pair: string]: TradeData}} */
-		const tempDataMap = {};
-		
-		/** @type {number[]} */
-		let timestamps = [];
-		
 		/**
 		 * Mengambil semua data harga awal
-		 * @returns {Promise<void>}
+		 * @returns {Promise<BacktestSession>}
 		 */
 		const fetchAll = async () => {
-			const apis = pairs.map((pair) => {
+			const apis = pairs.map(async (pair) => {
 				const [sym1, sym2] = parseSymbolPair(pair);
-				return invertPriceData(await this.api(sym1, sym2, this.limit));
+				return toPriceList(await this.api(sym1, sym2, this.limit));
 			});
 			
 			const results = await Promise.all(apis);
 			
-			for (let i = 0; i < pairs.length; i++) {
-				const pair = pairs[i];
-				const priceList = results[i];
-				const tradeData = this.dataMap[pair];
-				
-				tradeData.price = [];
-				tradeData.indicators = {};
-				
-				tempDataMap[pair] = {
-					price: priceList,
-					indicators: {}
-				};
-				
-				for (let key in this.indicators) {
-					tempDataMap[pair].indicators[key] = this.indicators[key].clone();
-				}
-				
-				timestamps = timestamps.concat(priceList.map(e => e.timestamp));
-			}
+			/** @type {{[pair: string]: Array<PriceData>}} */
+			const priceMap = {};
+			pairs.forEach((pair, i) => priceMap[pair] = results[i]);
 			
-			timestamps = Array.from(new Set(timestamps)).sort((a, b) => a - b);
+			return this.prepare(priceMap);
 		};
 		
 		let t = 0;
 		
 		/**
 		 * Melakukan iterasi simulasi pada setiap timestamp
+		 * @param {BacktestSession} session
 		 */
-		const loop = () => {
-			const timestamp = timestamps[t];
-			
-			for (const pair of pairs) {
-				const [sym1, sym2] = parseSymbolPair(pair);
-				const tradeData = this.dataMap[pair];
-				const reference = tempDataMap[pair];
-				
-				let p = 0;
-				let price;
-				while (p < reference.price.length) {
-					price = reference.price[p];
-					if (price.timestamp === timestamp) break;
-					p++;
-				}
-				
-				if (!price || price.timestamp !== timestamp) continue;
-				
-				tradeData.price.push(price);
-				
-				for (let key in reference.indicators) {
-					const indicator = reference.indicators[key];
-					const source = indicator.source;
-					
-					/** @type {any} */
-					let input = typeof source === 'function' ?
-						source(indicator, tradeData) :
-						price;
-					
-					indicator.push(input);
-					tradeData.indicators[key] = indicator;
-				}
-				
-				for (const strategy of this.strategies) {
-					strategy([sym1, sym2], tradeData, this.wallet, (side, value) => {
-						if (value <= 0) return;
-						
-						this.wallet[sym1] = this.wallet[sym1] || 0;
-						this.wallet[sym2] = this.wallet[sym2] || 0;
-						
-						switch (side) {
-							case 'buy': {
-								const priceAvg = (price.high + price.close) / 2;
-								const amount = value / priceAvg;
-								if (this.wallet[sym2] >= value) {
-									this.wallet[sym2] -= value;
-									this.wallet[sym1] += amount;
-								}
-								break;
-							}
-							case 'sell': {
-								const priceAvg = (price.low + price.close) / 2;
-								const quantity = value / priceAvg;
-								if (this.wallet[sym1] >= quantity) {
-									this.wallet[sym1] -= quantity;
-									this.wallet[sym2] += value;
-								}
-								break;
-							}
-						}
-					});
-				}
-			}
+		const loop = (session) => {
+			this.step(session, session.timestamps[t]);
 			
 			t++;
-			if (t < timestamps.length) {
-				setTimeout(loop, interval);
+			if (t < session.timestamps.length) {
+				setTimeout(() => loop(session), interval);
 			}
 		};
 		
-		fetchAll().then(() => {
-			loop();
+		return fetchAll().then((session) => {
+			if (session.timestamps.length) loop(session);
+			return session;
 		});
 	}
+	
+	/**
+	 * Memulai paper trading dari feed candle real-time. Jika API diset, histori awal diambil lebih
+	 * dulu untuk mengisi `Klines` dan menghangatkan indikator (tanpa menjalankan strategi).
+	 * Event `open`/`update` memperbarui bar yang sedang terbentuk lewat `TradeData.updateLast`,
+	 * sedangkan event `close` menjalankan satu langkah simulasi (order, strategi, ekuitas) untuk pair tersebut.
+	 * Event `error` (koneksi feed terputus dan gagal tersambung lagi) menghentikan scenario seperti `stop`
+	 * @param {CandleFeed} feed - Misal `new WebSocketFeed({ adapter: 'binance', interval: '1m' })`
+	 * @returns {Promise<BacktestSession>} - Sesi live, selesai setelah feed terhubung
+	 */
+	async listen(feed) {
+		if (!(feed instanceof CandleFeed)) throw new Error('Feed bukan instance CandleFeed');
+		this.stop();
+		
+		/** @type {string[]} */
+		const pairs = Object.keys(this.dataMap);
+		
+		/** @type {{[pair: string]: Array<PriceData>}} */
+		const priceMap = {};
+		for (const pair of pairs) {
+			const [sym1, sym2] = parseSymbolPair(pair);
+			// bar terakhir dari API kemungkinan masih terbentuk, bar tersebut diambil dari feed
+			priceMap[pair] = this.api ? toPriceList(await this.api(sym1, sym2, this.limit)).sort(byTimestamp).slice(0, -1) : [];
+		}
+		
+		const session = this.prepare(priceMap);
+		for (const timestamp of session.timestamps) {
+			this.warmUp(session, timestamp);
+		}
+		for (const pair of pairs) {
+			session.priceMap[pair] = [];
+		}
+		session.timestamps = [];
+		
+		this.feed = feed;
+		this.unsubscribe = feed.subscribe((event) => this.receive(session, event));
+		await feed.connect(pairs);
+		return session;
+	}
+	
+	/**
+	 * Memproses satu event dari feed candle
+	 * @param {BacktestSession} session - Sesi dari `listen`
+	 * @param {import('./feed.js').KlineEvent} event
+	 */
+	receive(session, { type, pair, bar }) {
+		// feed kehilangan koneksi dan tidak bisa tersambung lagi
+		if (type === 'error') {
+			this.stop();
+			return;
+		}
+		const tradeData = this.dataMap[pair];
+		if (!tradeData || !session.pairs.includes(pair)) return;
+		
+		const last = tradeData.price.length ? tradeData.price.last().timestamp : -Infinity;
+		if (bar.timestamp < last || (bar.timestamp === last && !tradeData.forming)) return; // bar lama
+		
+		if (type !== 'close') {
+			tradeData.updateLast(bar);
+			this.lastPrice[pair] = bar.close;
+			this.positions[pair].mark(bar.close);
+			return;
+		}
+		
+		// langkah simulasi hanya untuk pair ini, data harganya cukup bar yang baru ditutup
+		session.priceMap[pair] = [bar];
+		session.cursor[pair] = 0;
+		if (session.timestamps.at(-1) !== bar.timestamp) session.timestamps.push(bar.timestamp);
+		this.step({ ...session, pairs: [pair] }, bar.timestamp);
+	}
+	
+	/**
+	 * Berhenti mendengarkan feed candle real-time
+	 * @returns {this}
+	 */
+	stop() {
+		if (this.feed) {
+			this.unsubscribe();
+			this.feed.close();
+		}
+		this.feed = null;
+		return this;
+	}
 }
 
-
-class TradeData{
-	constructor(){
-		this.price=new Klines();
-		this.indicators=[];
+/**
+ * Penampung data per pair: harga dalam Klines (dibatasi `limit`) beserta instance indikatornya
+ */
+export class TradeData {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.limit=100] - Jumlah maksimal harga yang disimpan
+	 * @param {string|null} [options.interval=null] - Interval bar, wajib untuk timeframe yang lebih tinggi
+	 */
+	constructor({ limit = 100, interval = null } = {}) {
+		/** @type {Klines} */
+		this.price = new Klines(limit);
+		/** @type {{[key: string]: Indicator}} */
+		this.indicators = {};
+		/** @type {string[]|null} urutan update indikator, dihitung ulang saat indikator berubah */
+		this.order = null;
+		/** @type {boolean} bar terakhir masih terbentuk (lihat `updateLast`) */
+		this.forming = false;
+		/** @type {string|null} */
+		this.interval = interval;
+		/** @type {{[interval: string]: TradeData}} timeframe lebih tinggi yang dibentuk dari bar data ini */
+		this.timeframes = {};
+		/** @type {PriceData|null} gabungan bar yang sudah ditutup pada periode yang sedang terbentuk */
+		this.partial = null;
+		/** @type {number} jarak terkecil antar bar, untuk menutup periode timeframe lebih tinggi tepat waktu */
+		this.spacing = Infinity;
+	}
+	
+	/**
+	 * Jumlah harga yang tersimpan
+	 * @returns {number}
+	 */
+	get length() {
+		return this.price.length;
+	}
+	
+	/**
+	 * Mengubah batas jumlah harga dan nilai indikator yang disimpan
+	 * @param {number} [limit=100]
+	 * @returns {this}
+	 */
+	setLimit(limit = 100) {
+		if (typeof limit !== 'number' || limit <= 0) return this;
+		this.price.limit = limit;
+		if (this.price.length > limit) this.price.splice(0, this.price.length - limit);
+		for (let key in this.indicators) {
+			this.indicators[key].setLimit(limit);
+		}
+		for (let interval in this.timeframes) {
+			this.timeframes[interval].setLimit(limit);
+		}
+		return this;
+	}
+	
+	/**
+	 * Menambahkan timeframe yang lebih tinggi, dibentuk dari bar data ini (rollup OHLCV dengan
+	 * periode sejajar UTC, lihat `Klines.bucket`). Bar terakhirnya masih terbentuk sampai periodenya
+	 * selesai, sehingga nilainya hanya memakai bar yang sudah ada (tanpa look-ahead)
+	 * @param {string} interval - Misal "1h", "4h", "1d"
+	 * @returns {TradeData}
+	 */
+	addTimeframe(interval) {
+		Klines.duration(interval); // validasi interval
+		if (!this.timeframes[interval]) {
+			this.timeframes[interval] = new TradeData({ limit: this.price.limit, interval });
+		}
+		return this.timeframes[interval];
+	}
+	
+	/**
+	 * Mengambil data timeframe yang lebih tinggi
+	 * @param {string} interval
+	 * @returns {TradeData|undefined}
+	 */
+	timeframe(interval) {
+		return this.timeframes[interval];
+	}
+	
+	/**
+	 * Membuat indikator dari registry `Indicators` dan menyimpannya dengan nama `id`
+	 * @param {string} id - Nama unik indikator
+	 * @param {string} indicatorId - Id indikator pada registry, misal "EMA"
+	 * @param {Object} [options={}] - Opsi constructor indikator
+	 * @returns {Indicator}
+	 */
+	setIndicator(id, indicatorId, options = {}) {
+		const indicator = TradeData.createIndicator(indicatorId, { id, ...options });
+		return this.addIndicator(id, indicator);
 	}
-	setIndicator(id,indicatorId,opsions={}){
+	
+	/**
+	 * Menyimpan instance indikator dengan nama `id`
+	 * @param {string} id
+	 * @param {Indicator} indicator
+	 * @returns {Indicator}
+	 */
+	addIndicator(id, indicator) {
+		if (!(indicator instanceof Indicator)) throw new Error(`Indicator ${id} bukan instance Indicator`);
+		indicator.setLimit(this.price.limit);
+		this.indicators[id] = indicator;
+		this.order = null;
+		return indicator;
+	}
+	
+	/**
+	 * Menambahkan harga baru lalu memperbarui seluruh indikator dengan satu input baru sesuai
+	 * `inputType`-nya: indikator `priceArray` menerima bar baru, indikator `numberArray` menerima
+	 * nilai `source` terbaru dari bar tersebut (atau dari kolom indikator lain). Setiap indikator
+	 * menyimpan state-nya sendiri sehingga biaya per bar tetap O(1).
+	 * Indikator yang menjadi source indikator lain selalu diperbarui lebih dulu
+	 * @param {PriceData} price
+	 */
+	push(price) {
+		this.forming = false;
+		this.price.push(price);
+		this.updateIndicators('update');
+		this.updateTimeframes(true);
+	}
+	
+	/**
+	 * Memperbarui bar yang masih terbentuk (live): panggilan pertama menambahkan bar baru,
+	 * panggilan berikutnya mengganti bar terakhir dan menghitung ulang nilai terbaru setiap indikator
+	 * dari state sebelum bar tersebut, sehingga histori indikator tidak berubah.
+	 * Tutup bar dengan `commit`; `push` berikutnya atau bar dengan timestamp berbeda juga menganggap
+	 * bar tersebut sudah ditutup
+	 * @param {PriceData} price - Versi terbaru dari bar yang sedang terbentuk
+	 */
+	updateLast(price) {
+		// bar dengan timestamp baru berarti bar sebelumnya sudah ditutup
+		if (this.forming && this.price.last().timestamp !== price.timestamp) this.commit();
+		if (this.forming) this.price.updateLast(price);
+		else this.price.push(price);
+		this.forming = true;
+		this.updateIndicators('updateLast');
+		this.updateTimeframes(false);
+	}
+	
+	/**
+	 * Menutup bar yang sedang terbentuk
+	 * @param {PriceData} [price] - Versi final bar tersebut, diterapkan lewat `updateLast` lebih dulu
+	 */
+	commit(price) {
+		if (price !== undefined) this.updateLast(price);
+		if (!this.forming) return;
+		for (let key in this.indicators) {
+			this.indicators[key].commit();
+		}
+		this.forming = false;
+		this.updateTimeframes(true);
+	}
+	
+	/**
+	 * Meneruskan bar terakhir ke seluruh timeframe yang lebih tinggi
+	 * @param {boolean} closed - Bar terakhir sudah ditutup
+	 */
+	updateTimeframes(closed) {
+		const bar = this.price.last();
+		if (closed && this.price.length > 1) {
+			const spacing = bar.timestamp - this.price.last(1).timestamp;
+			if (spacing > 0) this.spacing = Math.min(this.spacing, spacing);
+		}
+		for (let interval in this.timeframes) {
+			this.timeframes[interval].aggregate(bar, closed, this.spacing);
+		}
+	}
+	
+	/**
+	 * Menggabungkan bar dari timeframe yang lebih kecil ke periode yang sedang terbentuk. Periode
+	 * ditutup ketika bar kecil terakhirnya ditutup, atau ketika bar kecil dari periode berikutnya datang
+	 * @param {PriceData} bar - Bar timeframe kecil
+	 * @param {boolean} [closed=true] - Bar kecil sudah ditutup, jika tidak hanya dipakai sementara
+	 * @param {number} [spacing=Infinity] - Jarak antar bar kecil, Infinity jika belum diketahui
+	 */
+	aggregate(bar, closed = true, spacing = Infinity) {
+		const start = Klines.bucket(bar.timestamp, this.interval);
+		if (this.partial && this.partial.timestamp !== start) {
+			this.commit();
+			this.partial = null;
+		}
+		// periode ini sudah ditutup lebih awal, bar yang terlambat diabaikan
+		if (!this.partial && !this.forming && this.price.length && this.price.last().timestamp === start) return;
 		
+		const merged = Klines.merge(this.partial, { ...bar, timestamp: start });
+		if (closed) this.partial = merged;
+		this.updateLast(merged);
+		
+		if (closed && isFinite(spacing) && bar.timestamp + spacing >= Klines.bucket(start, this.interval, 1)) {
+			this.commit();
+			this.partial = null;
+		}
 	}
-	push(){
+	
+	/**
+	 * Memberikan bar terakhir ke seluruh indikator sesuai urutan dependensinya
+	 * @param {'update'|'updateLast'} method - Menambah nilai baru atau mengganti nilai terbaru
+	 */
+	updateIndicators(method) {
+		const bar = this.price.last();
 		
+		if (this.order === null) this.order = this.resolveOrder();
+		for (const key of this.order) {
+			const indicator = this.indicators[key];
+			const source = indicator.source;
+			
+			if (typeof source === 'function') {
+				indicator[method](source(indicator, this));
+			} else if (indicator.inputType === 'priceArray') {
+				indicator[method](bar);
+			} else {
+				indicator[method](this.value(source, key));
+			}
+		}
 	}
-	getItemAt(){
+	
+	/**
+	 * Mengambil nilai terbaru sebuah source
+	 * @param {string} source - Field Klines ('close', 'hl2', ...), nama indikator lain (kolom `base`)
+	 * atau `nama.kolom`, misal 'macd.histogram'
+	 * @param {string} [key] - Nama indikator yang meminta, untuk pesan error
+	 * @returns {number|null}
+	 */
+	value(source = 'close', key = '') {
+		if (Klines.source.includes(source)) {
+			return Klines.parse(this.price.last(), source);
+		}
+		const [id, column] = TradeData.parseSource(source);
+		const indicator = this.indicators[id];
+		if (!indicator || id === key) throw new Error(`Source ${source} pada indicator ${key} tidak dikenal`);
+		if (!Array.isArray(indicator.values[column])) throw new Error(`Indicator ${id} tidak memiliki kolom ${column}`);
+		return indicator.values[column].at(-1) ?? null;
+	}
+	
+	/**
+	 * Menyusun urutan update indikator secara topologis: indikator yang dipakai sebagai source
+	 * diperbarui sebelum indikator yang memakainya
+	 * @returns {string[]}
+	 */
+	resolveOrder() {
+		/** @type {string[]} */
+		const order = [];
+		/** @type {{[key: string]: 'visiting'|'done'}} */
+		const state = {};
 		
+		/**
+		 * @param {string} key
+		 * @param {string[]} path - Rantai dependensi saat ini, untuk pesan error
+		 */
+		const visit = (key, path) => {
+			if (state[key] === 'done') return;
+			if (state[key] === 'visiting') {
+				throw new Error(`Dependensi indicator melingkar: ${[...path.slice(path.indexOf(key)), key].join(' -> ')}`);
+			}
+			state[key] = 'visiting';
+			const source = this.indicators[key].source;
+			if (typeof source === 'string' && !Klines.source.includes(source)) {
+				const [id] = TradeData.parseSource(source);
+				if (!this.indicators[id]) throw new Error(`Source ${source} pada indicator ${key} tidak dikenal`);
+				visit(id, [...path, key]);
+			}
+			state[key] = 'done';
+			order.push(key);
+		};
+		
+		for (let key in this.indicators) visit(key, []);
+		return order;
 	}
-	static get indicators(){
-		return {
-			'MovingAverage': MovingAverage
+	
+	/**
+	 * Mengambil harga dan nilai indikator pada index tertentu. Index dihitung dari data terbaru
+	 * ke belakang sehingga tetap sejajar walaupun panjang indikator berbeda dengan harga
+	 * @param {number} index - Index harga, negatif dihitung dari akhir
+	 * @returns {{price: PriceData, indicators: {[key: string]: Object}}|undefined}
+	 */
+	getItemAt(index) {
+		const length = this.price.length;
+		const i = index < 0 ? length + index : index;
+		if (!(i >= 0 && i < length)) return;
+		const offset = length - i;
+		
+		/** @type {{[key: string]: Object}} */
+		const indicators = {};
+		for (let key in this.indicators) {
+			const indicator = this.indicators[key];
+			const j = indicator.length - offset;
+			indicators[key] = j >= 0 ? indicator.getItemAt(j) : undefined;
+		}
+		return { price: this.price.getItemAt(i), indicators };
+	}
+	
+	/**
+	 * Mengambil data terbaru
+	 * @param {number} [index=0] - Jarak dari data terakhir
+	 * @returns {{price: PriceData, indicators: {[key: string]: Object}}|undefined} - undefined jika datanya belum ada
+	 */
+	last(index = 0) {
+		const i = this.price.length - (1 + index);
+		// index negatif pada getItemAt dihitung dari akhir, jangan sampai berputar ke bar terbaru
+		return i < 0 ? undefined : this.getItemAt(i);
+	}
+	
+	/**
+	 * Mengambil data bar yang sudah ditutup, melewati bar yang masih terbentuk
+	 * @param {number} [index=0] - Jarak dari bar tertutup terakhir
+	 * @returns {{price: PriceData, indicators: {[key: string]: Object}}|undefined}
+	 */
+	closed(index = 0) {
+		return this.last(index + (this.forming ? 1 : 0));
+	}
+	
+	/**
+	 * Mengekspor harga beserta seluruh kolom indikator yang tersimpan, lihat `Klines.export`
+	 * @param {import('./klines.js').TextFormat} [format='csv']
+	 * @param {Object} [options]
+	 * @param {'ms'|'s'|'iso'} [options.time='ms'] - Format kolom timestamp
+	 * @returns {string}
+	 */
+	export(format = 'csv', { time = 'ms' } = {}) {
+		return this.price.export(format, { indicators: this.indicators, time });
+	}
+	
+	/**
+	 * Membuat TradeData kosong dengan indikator yang sama (di-clone, tanpa nilai)
+	 * @returns {TradeData}
+	 */
+	clone() {
+		const data = new TradeData({ limit: this.price.limit, interval: this.interval });
+		for (let key in this.indicators) {
+			data.addIndicator(key, this.indicators[key].clone());
+		}
+		for (let interval in this.timeframes) {
+			data.timeframes[interval] = this.timeframes[interval].clone();
 		}
+		return data;
 	}
-}
\ No newline at end of file
+	
+	/**
+	 * Memecah source indikator menjadi nama indikator dan kolomnya
+	 * @param {string} source - `nama` atau `nama.kolom`
+	 * @returns {[string, string]}
+	 */
+	static parseSource(source) {
+		const index = source.indexOf('.');
+		return index < 0 ? [source, 'base'] : [source.slice(0, index), source.slice(index + 1)];
+	}
+	
+	/**
+	 * Membuat instance indikator dari registry
+	 * @param {string} indicatorId - Id indikator pada registry, misal "MA"
+	 * @param {Object} [options={}]
+	 * @returns {Indicator}
+	 */
+	static createIndicator(indicatorId, options = {}) {
+		const IndicatorClass = TradeData.indicators[indicatorId];
+		if (!IndicatorClass) throw new Error(`Indicator ${indicatorId} tidak dikenal`);
+		return new IndicatorClass(options);
+	}
+	
+	/**
+	 * Registry indikator yang bisa dibuat melalui `setIndicator`
+	 * @returns {typeof Indicators}
+	 */
+	static get indicators() {
+		return Indicators;
+	}
+}
@@ -289,4 +289,41 @@ export class ArrayMap {
 			if (Array.isArray(arr)) arr.length = len;
 		}
 	}
-}
\ No newline at end of file
+}
+
+/**
+ * Deep copies plain data and class instances, keeping the prototype of every object so the copy
+ * behaves like the original. Functions are shared, not copied.
+ * @template T
+ * @param {T} value
+ * @param {Map<Object, Object>} [seen] - Objects already copied, for shared and circular references.
+ * @returns {T}
+ */
+export const deepCopy = (value, seen = new Map()) => {
+	if (value === null || typeof value !== 'object') return value;
+	if (seen.has(value)) return seen.get(value);
+	
+	const copy = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+	seen.set(value, copy);
+	for (let key of Object.keys(value)) {
+		copy[key] = deepCopy(value[key], seen);
+	}
+	return copy;
+};
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32), so random searches and
+ * simulations can be repeated exactly.
+ * @param {number} [seed=Date.now()]
+ * @returns {() => number} - Returns a number in [0, 1) on every call, like `Math.random`.
+ */
+export const createRandom = (seed = Date.now()) => {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6D2B79F5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+};
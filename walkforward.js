@@ -0,0 +1,167 @@
+// walkforward.js
+
+import { ArrayMap } from './utils.js';
+import { Klines } from './klines.js';
+import { createReport } from './report.js';
+import { Optimizer } from './optimizer.js';
+
+/**
+ * @typedef WalkForwardWindow
+ * @property {number} index
+ * @property {number} trainStart - First timestamp of the train (in-sample) window.
+ * @property {number} testStart - First timestamp of the test (out-of-sample) window, also the end of the train window.
+ * @property {number} testEnd - End of the test window (exclusive).
+ * @property {{[name: string]: any}} params - Best parameters of the train window.
+ * @property {number|null} trainScore - Metric of the best parameters on the train window.
+ * @property {number|null} testScore - Metric of the same parameters on the test window.
+ * @property {number|null} efficiency - Walk-forward efficiency `testScore / trainScore`. Null when a score
+ * is missing or the train score is not positive, where the ratio has no meaning (a loss divided by
+ * a loss would look like a good result).
+ * @property {import('./report.js').PerformanceReport} train
+ * @property {import('./report.js').PerformanceReport} test
+ */
+
+/**
+ * @typedef WalkForwardResult
+ * @property {WalkForwardWindow[]} windows
+ * @property {ArrayMap} equity - Out-of-sample equity of all test windows stitched together
+ * (columns `timestamp` and `equity`), every window continuing from the equity where the previous one ended.
+ * @property {import('./report.js').PerformanceReport} report - Report of the stitched equity and
+ * the trades closed in the test windows, their quantity and pnl scaled like the equity of their window.
+ */
+
+/**
+ * Walk-forward analysis: the merged timestamps of all pairs are split into consecutive train
+ * (in-sample) and test (out-of-sample) windows. The parameters are optimized on every train window
+ * and run on the test window after it, so every test result only uses parameters chosen from
+ * earlier data. Positions still open at the end of a test window are closed there through the
+ * execution model of the scenario, so every window pays its own entry and exit costs. Rolling windows move the train window forward by the test length, anchored
+ * windows keep the start of the history and only grow.
+ */
+export class WalkForward {
+	/**
+	 * @param {import('./optimizer.js').ScenarioFactory} factory
+	 * @param {import('./optimizer.js').ParameterSpace} space
+	 * @param {Object} options - Options of `Optimizer` (`metric`, `maximize`, `filter`, `seed`, `workers`, ...) and:
+	 * @param {number|string} options.train - Length of the train window in bars (timestamps) or as interval, e.g. "90d".
+	 * @param {number|string} options.test - Length of the test window, also the step between windows.
+	 * @param {boolean} [options.anchored=false] - Keep every train window starting at the first timestamp.
+	 */
+	constructor(factory, space, { train, test, anchored = false, ...options } = {}) {
+		for (let [name, length] of Object.entries({ train, test })) {
+			if (typeof length === 'string') Klines.duration(length);
+			else if (!(length > 0)) throw new Error(`Invalid ${name} window ${length}`);
+		}
+		/** @type {import('./optimizer.js').ScenarioFactory} */
+		this.factory = factory;
+		this.space = space;
+		this.train = train;
+		this.test = test;
+		this.anchored = anchored;
+		this.options = options;
+	}
+	
+	/**
+	 * Runs the walk-forward analysis.
+	 * @param {{[pair: string]: (Array<Object>|ArrayMap)}} data - Candles per pair, as for `runBacktest`.
+	 * @param {Object} [search] - Options of `Optimizer.run`, e.g. `{ method: 'random', samples: 50 }`.
+	 * @returns {Promise<WalkForwardResult>}
+	 */
+	async run(data, search = {}) {
+		/** @type {{[pair: string]: Object[]}} */
+		const candles = {};
+		const merged = new Set();
+		for (let pair in data) {
+			const list = data[pair] instanceof ArrayMap ? data[pair].map(item => item) : data[pair];
+			candles[pair] = Klines.invert(list).sort((a, b) => a.timestamp - b.timestamp);
+			candles[pair].forEach(candle => merged.add(candle.timestamp));
+		}
+		const timestamps = Array.from(merged).sort((a, b) => a - b);
+		
+		/** @type {WalkForwardWindow[]} */
+		const windows = [];
+		const equity = new ArrayMap('timestamp', 'equity');
+		const trades = [];
+		let quoteAsset = '';
+		
+		for (const { trainStart, testStart, testEnd } of this.windows(timestamps)) {
+			const slice = (from, to) => Object.fromEntries(Object.entries(candles).map(([pair, list]) => {
+				return [pair, list.filter(candle => candle.timestamp >= from && candle.timestamp < to)];
+			}));
+			
+			const optimizer = new Optimizer(this.factory, this.space, this.options);
+			const [best] = await optimizer.run(slice(trainStart, testStart), search);
+			if (!best) throw new Error('No parameters to test, check the parameter space and filter');
+			
+			// data train hanya menghangatkan indikator, simulasi dimulai pada window test dan posisi
+			// yang masih terbuka ditutup di akhir window, termasuk fee dan slippage keluarnya
+			const scenario = this.factory(best.params);
+			const result = scenario.runBacktest(slice(trainStart, testEnd), { from: testStart, close: true });
+			const report = scenario.getReport();
+			const testScore = optimizer.score(report);
+			quoteAsset = report.quoteAsset;
+			
+			// ekuitas dan trade window ini diskalakan agar melanjutkan ekuitas window sebelumnya
+			const start = result.equity.length ? result.equity.getItemAt(0).equity : 0;
+			const capital = equity.length ? equity.getItemAt(equity.length - 1).equity : start;
+			const scale = start > 0 ? capital / start : 1;
+			result.equity.forEach(({ timestamp, equity: value }) => {
+				equity.push({ timestamp, equity: value * scale });
+			});
+			for (let position of Object.values(result.positions)) {
+				trades.push(...position.trades.map(trade => ({ ...trade, quantity: trade.quantity * scale, pnl: trade.pnl * scale })));
+			}
+			
+			windows.push({
+				index: windows.length,
+				trainStart,
+				testStart,
+				testEnd,
+				params: best.params,
+				trainScore: best.score,
+				testScore,
+				efficiency: best.score > 0 && testScore !== null ? testScore / best.score : null,
+				train: best.report,
+				test: report
+			});
+		}
+		
+		return {
+			windows,
+			equity,
+			report: createReport({ equity, trades: trades.sort((a, b) => a.exitTime - b.exitTime), quoteAsset })
+		};
+	}
+	
+	/**
+	 * Splits the timestamps into train and test windows. The last test window may be shorter than
+	 * `test` when the history ends.
+	 * @param {number[]} timestamps - Sorted unique timestamps.
+	 * @returns {{trainStart: number, testStart: number, testEnd: number}[]}
+	 */
+	windows(timestamps) {
+		const result = [];
+		if (!timestamps.length) return result;
+		const last = timestamps[timestamps.length - 1];
+		
+		// panjang berupa jumlah bar dihitung dari index timestamp, panjang berupa interval dari waktu
+		const index = (timestamp) => {
+			const i = timestamps.findIndex(t => t >= timestamp);
+			return i < 0 ? timestamps.length : i;
+		};
+		const move = (timestamp, length, direction) => {
+			if (typeof length === 'string') return timestamp + direction * Klines.duration(length);
+			const i = index(timestamp) + direction * length;
+			return i >= timestamps.length ? Infinity : timestamps[Math.max(0, i)];
+		};
+		
+		let testStart = move(timestamps[0], this.train, 1);
+		while (testStart <= last) {
+			const testEnd = move(testStart, this.test, 1);
+			const trainStart = this.anchored ? timestamps[0] : Math.max(timestamps[0], move(testStart, this.train, -1));
+			result.push({ trainStart, testStart, testEnd });
+			testStart = testEnd;
+		}
+		return result;
+	}
+}